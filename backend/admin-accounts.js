@@ -0,0 +1,320 @@
+// admin-accounts.js - Admin Panel Accounts, Roles and Permissions
+const crypto = require('crypto');
+const PasswordHasher = require('./password-hasher');
+const Totp = require('./totp');
+
+// What each role may do; routes declare the permission they need
+const ROLE_PERMISSIONS = {
+  owner: ['view', 'moderate', 'message', 'security', 'config', 'backups', 'jobs', 'maintenance', 'accounts'],
+  moderator: ['view', 'moderate', 'message', 'security'],
+  viewer: ['view']
+};
+
+class AdminAccounts {
+  constructor(storage) {
+    this.storage = storage;
+    this.hasher = new PasswordHasher();
+    this.totp = new Totp();
+    this.accounts = new Map(); // username -> account
+    this.dummyHash = null; // Verified against for unknown usernames so timing matches
+
+    this.ROLES = Object.keys(ROLE_PERMISSIONS);
+    this.usernameRegex = /^[a-zA-Z0-9_.-]{3,32}$/;
+    this.RECOVERY_CODE_COUNT = 10;
+    this.TOTP_ISSUER = 'Telegram Bot Admin';
+  }
+
+  // Loads the account store; the first start seeds an owner from ADMIN_USERNAME/ADMIN_PASSWORD
+  async initialize() {
+    const saved = await this.storage.loadConfig('admin_accounts');
+    this.accounts = new Map((saved && saved.accounts || []).map(account => [account.username, account]));
+    this.dummyHash = await this.hasher.hash(crypto.randomBytes(16).toString('hex'));
+
+    if (this.accounts.size === 0) {
+      const username = process.env.ADMIN_USERNAME || 'admin';
+      this.accounts.set(username, {
+        username,
+        passwordHash: await this.hasher.hash(process.env.ADMIN_PASSWORD || 'admin123'),
+        role: 'owner',
+        disabled: false,
+        createdAt: new Date().toISOString(),
+        createdBy: 'environment'
+      });
+      await this.save();
+      console.log(`✓ Admin account store created with owner "${username}"`);
+    }
+
+    const legacy = [...this.accounts.values()].filter(account => this.hasher.isLegacy(account.passwordHash));
+    if (legacy.length > 0 && !process.env.PASSWORD_SALT) {
+      console.warn(`⚠ WARNING: ${legacy.length} account(s) still use SHA-256 hashes and PASSWORD_SALT is not set; they cannot log in`);
+    }
+  }
+
+  save() {
+    return this.storage.saveConfig('admin_accounts', { accounts: [...this.accounts.values()] })
+      .catch(error => console.error('Error saving admin accounts:', error));
+  }
+
+  // Same rules the environment password is validated with
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 12 || password.length > 1000) {
+      return 'Password must be 12-1000 characters';
+    }
+    if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])/.test(password)) {
+      return 'Password must contain uppercase, lowercase, number, and special character';
+    }
+    return null;
+  }
+
+  getAccount(username) {
+    return this.accounts.get(username) || null;
+  }
+
+  // Account if the credentials match an enabled account, otherwise null.
+  // Legacy or outdated hashes are re-hashed with the current scrypt parameters.
+  async verifyCredentials(username, password) {
+    const account = this.accounts.get(username);
+    const matches = await this.hasher.verify(password, account ? account.passwordHash : this.dummyHash);
+    if (!account || !matches || account.disabled) {
+      return null;
+    }
+
+    if (this.hasher.needsRehash(account.passwordHash)) {
+      account.passwordHash = await this.hasher.hash(password);
+      account.passwordUpgradedAt = new Date().toISOString();
+      await this.save();
+      console.log(`✓ Password hash upgraded for admin ${username}`);
+    }
+
+    return account;
+  }
+
+  // Checks a password without the enabled/upgrade handling (re-authentication)
+  async checkPassword(username, password) {
+    const account = this.accounts.get(username);
+    const matches = await this.hasher.verify(password, account ? account.passwordHash : this.dummyHash);
+    return matches && !!account;
+  }
+
+  getPermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+  }
+
+  hasPermission(account, permission) {
+    return !!account && !account.disabled && this.getPermissions(account.role).includes(permission);
+  }
+
+  // Public view of an account (never the password hash or 2FA secrets)
+  describe(account) {
+    const { passwordHash, twoFactor, ...rest } = account;
+    return {
+      ...rest,
+      twoFactorEnabled: this.hasTwoFactor(account),
+      recoveryCodesRemaining: this.hasTwoFactor(account) ? twoFactor.recoveryCodes.length : 0,
+      permissions: this.getPermissions(account.role)
+    };
+  }
+
+  hasTwoFactor(account) {
+    return !!(account && account.twoFactor && account.twoFactor.enabled);
+  }
+
+  // Starts (or restarts) enrollment; the secret is only active after enableTwoFactor.
+  // Accounts that already use 2FA must disable it first.
+  async beginTwoFactorSetup(username) {
+    const account = this.accounts.get(username);
+    if (!account) {
+      return null;
+    }
+
+    const secret = this.totp.generateSecret();
+    account.twoFactor = { enabled: false, pendingSecret: secret };
+    await this.save();
+    return { secret, otpauthUri: this.totp.buildUri(secret, username, this.TOTP_ISSUER) };
+  }
+
+  // Confirms enrollment with a code from the pending secret; returns the recovery codes or null
+  async enableTwoFactor(username, code) {
+    const account = this.accounts.get(username);
+    const pendingSecret = account && account.twoFactor && account.twoFactor.pendingSecret;
+    if (!pendingSecret) {
+      throw new Error('Start two-factor setup first');
+    }
+
+    const step = this.totp.verify(pendingSecret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    account.twoFactor = {
+      enabled: true,
+      secret: pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)),
+      enabledAt: new Date().toISOString()
+    };
+    await this.save();
+    return recoveryCodes;
+  }
+
+  // 'totp' or 'recovery' if the code is valid (recovery codes are single-use), otherwise null
+  async verifyTwoFactor(username, code) {
+    const account = this.accounts.get(username);
+    if (!this.hasTwoFactor(account) || typeof code !== 'string') {
+      return null;
+    }
+
+    const twoFactor = account.twoFactor;
+    const step = this.totp.verify(twoFactor.secret, code.trim(), twoFactor.lastUsedStep);
+    if (step !== null) {
+      twoFactor.lastUsedStep = step;
+      await this.save();
+      return 'totp';
+    }
+
+    const hashed = Buffer.from(this.hashRecoveryCode(code));
+    const index = twoFactor.recoveryCodes.findIndex(stored =>
+      crypto.timingSafeEqual(Buffer.from(stored), hashed));
+    if (index !== -1) {
+      twoFactor.recoveryCodes.splice(index, 1);
+      await this.save();
+      return 'recovery';
+    }
+
+    return null;
+  }
+
+  async disableTwoFactor(username) {
+    const account = this.accounts.get(username);
+    if (!account || !account.twoFactor) {
+      return false;
+    }
+
+    delete account.twoFactor;
+    await this.save();
+    return true;
+  }
+
+  async regenerateRecoveryCodes(username) {
+    const account = this.accounts.get(username);
+    if (!this.hasTwoFactor(account)) {
+      return null;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    account.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode));
+    await this.save();
+    return recoveryCodes;
+  }
+
+  // xxxxx-xxxxx-xxxxx-xxxxx hex codes (80 bits); only their hashes are stored
+  generateRecoveryCodes() {
+    return Array.from({ length: this.RECOVERY_CODE_COUNT }, () =>
+      crypto.randomBytes(10).toString('hex').match(/.{5}/g).join('-'));
+  }
+
+  // 80 random bits cannot be brute-forced from a leaked hash, so SHA-256 is enough
+  hashRecoveryCode(code) {
+    const normalized = String(code).trim().toLowerCase().replace(/[^0-9a-f]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  listAccounts() {
+    return [...this.accounts.values()]
+      .sort((a, b) => a.username.localeCompare(b.username))
+      .map(account => this.describe(account));
+  }
+
+  countActiveOwners(excludeUsername = null) {
+    return [...this.accounts.values()].filter(account =>
+      account.role === 'owner' && !account.disabled && account.username !== excludeUsername).length;
+  }
+
+  async createAccount(username, password, role, createdBy) {
+    if (!this.usernameRegex.test(username)) {
+      throw new Error('Username must be 3-32 letters, numbers, dots, dashes or underscores');
+    }
+    if (this.accounts.has(username)) {
+      throw new Error('Account already exists');
+    }
+    if (!this.ROLES.includes(role)) {
+      throw new Error('Invalid role');
+    }
+    const passwordError = this.validatePassword(password);
+    if (passwordError) {
+      throw new Error(passwordError);
+    }
+
+    const account = {
+      username,
+      passwordHash: await this.hasher.hash(password),
+      role,
+      disabled: false,
+      createdAt: new Date().toISOString(),
+      createdBy
+    };
+    this.accounts.set(username, account);
+    await this.save();
+    return this.describe(account);
+  }
+
+  // Role and enabled state; at least one enabled owner must remain
+  async updateAccount(username, { role, disabled }, updatedBy) {
+    const account = this.accounts.get(username);
+    if (!account) {
+      return null;
+    }
+    if (role !== undefined && !this.ROLES.includes(role)) {
+      throw new Error('Invalid role');
+    }
+
+    const disable = disabled === undefined ? undefined : disabled === true || disabled === 'true';
+    const losesOwner = (role !== undefined && role !== 'owner') || disable === true;
+    if (account.role === 'owner' && losesOwner && this.countActiveOwners(username) === 0) {
+      throw new Error('At least one active owner account is required');
+    }
+
+    if (role !== undefined) account.role = role;
+    if (disable !== undefined) account.disabled = disable;
+    account.updatedAt = new Date().toISOString();
+    account.updatedBy = updatedBy;
+
+    await this.save();
+    return this.describe(account);
+  }
+
+  async setPassword(username, password) {
+    const account = this.accounts.get(username);
+    if (!account) {
+      return false;
+    }
+    const passwordError = this.validatePassword(password);
+    if (passwordError) {
+      throw new Error(passwordError);
+    }
+
+    account.passwordHash = await this.hasher.hash(password);
+    account.passwordChangedAt = new Date().toISOString();
+    await this.save();
+    return true;
+  }
+
+  async deleteAccount(username) {
+    const account = this.accounts.get(username);
+    if (!account) {
+      return false;
+    }
+    if (account.role === 'owner' && this.countActiveOwners(username) === 0) {
+      throw new Error('At least one active owner account is required');
+    }
+
+    this.accounts.delete(username);
+    await this.save();
+    return true;
+  }
+}
+
+AdminAccounts.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+module.exports = AdminAccounts;
@@ -91,7 +91,7 @@ class AdminBot {
                  `Timestamp: ${backupResult.manifest.timestamp}\n` +
                  `Bots backed up: ${backupResult.manifest.botCount}\n` +
                  `Checksum: \`${backupResult.manifest.checksum.substring(0, 16)}...\`\n\n` +
-                 `Location: ${backupResult.backupDir}\n\n` +
+                 `Location: ${backupResult.backupPath}\n\n` +
                  `_${new Date().toLocaleString()}_`;
       } else {
         message = `❌ *BACKUP FAILED*\n\n` +
@@ -137,6 +137,24 @@ class AdminBot {
     }
   }
 
+  // Figures for the daily report; "today" is the last 24 hours
+  async collectDailyStats() {
+    const allBots = this.storage.getAllBots();
+    const bannedUsers = await this.storage.getBannedUsers();
+    const since = Date.now() - 24 * 60 * 60 * 1000;
+    const isRecent = (timestamp) => !!timestamp && new Date(timestamp).getTime() >= since;
+
+    return {
+      totalBots: allBots.length,
+      approved: allBots.filter(b => b.status === 'approved').length,
+      pending: allBots.filter(b => b.status === 'pending').length,
+      disconnected: allBots.filter(b => b.status === 'disconnected').length,
+      bannedUsers: bannedUsers.length,
+      newBotsToday: allBots.filter(b => isRecent(b.createdAt)).length,
+      updatesToday: allBots.filter(b => isRecent(b.lastUpdate)).length
+    };
+  }
+
   async sendDailyReport(stats) {
     if (!this.isInitialized) {
       console.log('[DAILY REPORT]', stats);
@@ -4,28 +4,36 @@ const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const fs = require('fs').promises;
 const path = require('path');
+const AdminAccounts = require('./admin-accounts');
+const BotMembers = require('./bot-members');
+const BotBlocks = require('./bot-blocks');
 
 class AdminRoutes {
-  constructor(storage, config, botManager, adminBot, security) {
+  constructor(storage, config, botManager, adminBot, security, analytics, scheduler, securityLog, ipReputation, accounts, apiKeys, claimCodes) {
     this.router = express.Router();
     this.storage = storage;
     this.config = config;
     this.botManager = botManager;
     this.adminBot = adminBot;
     this.security = security;
+    this.analytics = analytics;
+    this.scheduler = scheduler;
+    this.securityLog = securityLog;
+    this.ipReputation = ipReputation;
+    this.accounts = accounts; // AdminAccounts: users, roles and permissions
+    this.apiKeys = apiKeys; // Owner API keys for the uploader endpoints
+    this.claimCodes = claimCodes; // One-time ownership claim codes
+    this.botMembers = new BotMembers(storage); // Co-owners, maintainers and ownership transfers
+    this.botBlocks = new BotBlocks(storage); // Users blocked by bot owners
     
     // Session storage with persistence
     this.sessions = new Map();
     this.failedLogins = new Map();
     this.csrfTokens = new Map();
+    this.loginChallenges = new Map(); // challenge token -> pending second login step
+    this.undoInProgress = new Set(); // operation ids being undone
     this.sessionFile = path.join(__dirname, '..', 'data', 'config', 'sessions.json');
     
-    // Admin credentials (from environment)
-    this.adminCredentials = {
-      username: process.env.ADMIN_USERNAME || 'admin',
-      password: this.hashPassword(process.env.ADMIN_PASSWORD || 'admin123')
-    };
-    
     // Load existing sessions on startup
     this.loadSessions().catch(err => console.error('Failed to load sessions:', err));
     
@@ -44,9 +52,11 @@ class AdminRoutes {
       const sessions = JSON.parse(data);
       const now = Date.now();
       
-      // Restore non-expired sessions
+      // Restore non-expired sessions (older files lack the public id and IP history)
       for (const [token, session] of Object.entries(sessions)) {
         if (session.expires > now) {
+          session.id = session.id || this.generateSessionId();
+          session.knownIps = session.knownIps || [session.ip];
           this.sessions.set(token, session);
         }
       }
@@ -68,30 +78,22 @@ class AdminRoutes {
         sessions[token] = session;
       }
       
-      // SECURITY FIX: Atomic write using temp file
-      const tempFile = `${this.sessionFile}.tmp`;
-      await fs.writeFile(tempFile, JSON.stringify(sessions, null, 2));
-      await fs.chmod(tempFile, 0o600);
-      await fs.rename(tempFile, this.sessionFile);
+      // SECURITY FIX: Session tokens are readable by the owner only
+      await this.storage.saveConfig('sessions', sessions, { mode: 0o600 });
     } catch (error) {
       console.error('Error saving sessions:', error);
     }
   }
 
-  hashPassword(password) {
-    // CRITICAL FIX #3: Enforce PASSWORD_SALT requirement
-    if (!process.env.PASSWORD_SALT) {
-      console.error('CRITICAL: PASSWORD_SALT not set in environment!');
-      throw new Error('PASSWORD_SALT environment variable required for secure password hashing');
-    }
-    const salt = process.env.PASSWORD_SALT;
-    return crypto.createHash('sha256').update(password + salt).digest('hex');
-  }
-
   generateToken() {
     return crypto.randomBytes(32).toString('hex');
   }
 
+  // Public session identifier; the token itself is never listed
+  generateSessionId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
   // CRITICAL FIX #1: Generate and validate CSRF tokens with automatic cleanup
   generateCSRFToken(sessionToken) {
     const csrfToken = crypto.randomBytes(32).toString('hex');
@@ -151,6 +153,66 @@ class AdminRoutes {
     
     // Batch delete to avoid iterator issues
     toDelete.forEach(ip => this.failedLogins.delete(ip));
+    
+    for (const [challengeToken, challenge] of this.loginChallenges.entries()) {
+      if (challenge.expires < now) {
+        this.loginChallenges.delete(challengeToken);
+      }
+    }
+  }
+
+  // Counts a failed password or 2FA code per IP; 5 failures = 15 minute block
+  async recordFailedLogin(ip, username, eventType = 'login_failed') {
+    const attempts = this.failedLogins.get(ip) || { count: 0, blockedUntil: 0 };
+    attempts.count++;
+    
+    this.security.logSecurityEvent(eventType, {
+      ip,
+      username,
+      attempts: attempts.count
+    });
+    
+    if (attempts.count >= 5) {
+      attempts.blockedUntil = Date.now() + 15 * 60 * 1000; // 15 minutes
+      this.security.logSecurityEvent('login_lockout', { ip, attempts: attempts.count });
+      await this.adminBot.sendSecurityAlert('HIGH', 'Login Attack', 
+        `Multiple failed login attempts from IP: ${ip}`);
+    }
+    
+    this.failedLogins.set(ip, attempts);
+  }
+
+  async createSession(username, ip, userAgent) {
+    // Clear failed attempts
+    this.failedLogins.delete(ip);
+    
+    const token = this.generateToken();
+    const session = {
+      token,
+      id: this.generateSessionId(),
+      username,
+      created: Date.now(),
+      expires: Date.now() + 30 * 60 * 1000, // 30 minutes
+      lastActivity: Date.now(),
+      ip: ip, // SECURITY FIX: Track IP for session hijacking detection
+      lastIp: ip,
+      knownIps: [ip],
+      userAgent: this.normalizeUserAgent(userAgent)
+    };
+    
+    this.sessions.set(token, session);
+    await this.saveSessions();
+    
+    await this.adminBot.sendAlert('system', `Admin ${username} logged in from IP: ${ip}`);
+    
+    // Generate initial CSRF token
+    const csrfToken = this.generateCSRFToken(token);
+    return { token, csrfToken };
+  }
+
+  // Accounts without 2FA may only enroll while 2FA is required for everyone
+  requiresTwoFactorSetup(account) {
+    return this.config.getRequireTwoFactor() && !this.accounts.hasTwoFactor(account);
   }
 
   // Middleware: Check authentication
@@ -170,14 +232,138 @@ class AdminRoutes {
       return res.status(401).json({ success: false, error: 'Session expired' });
     }
     
+    // Deleted or disabled accounts lose their sessions immediately
+    const account = this.accounts.getAccount(session.username);
+    if (!account || account.disabled) {
+      this.sessions.delete(token);
+      this.saveSessions();
+      return res.status(401).json({ success: false, error: 'Account disabled' });
+    }
+    
+    if (!this.checkSessionBinding(session, token, req)) {
+      return res.status(401).json({ success: false, error: 'Session invalid' });
+    }
+    
     // Extend session
     session.expires = Date.now() + 30 * 60 * 1000; // 30 minutes
     session.lastActivity = Date.now();
     this.saveSessions();
     req.adminSession = session;
+    req.adminAccount = account;
+    req.twoFactorSetupRequired = this.requiresTwoFactorSetup(account);
     next();
   }
 
+  normalizeUserAgent(userAgent) {
+    return typeof userAgent === 'string' ? userAgent.substring(0, 300) : '';
+  }
+
+  // SECURITY FIX: Session hijacking detection. With binding enabled a token used from
+  // another IP/user agent is revoked; otherwise the first use from a new IP raises an alert.
+  checkSessionBinding(session, token, req) {
+    const ip = req.ip;
+    const userAgent = this.normalizeUserAgent(req.headers['user-agent']);
+    const binding = this.config.getSessionBinding();
+    
+    const ipChanged = binding.ip && ip !== session.ip;
+    const userAgentChanged = binding.userAgent && userAgent !== session.userAgent;
+    if (ipChanged || userAgentChanged) {
+      this.revokeSession(token);
+      this.security.logSecurityEvent('session_binding_violation', {
+        ip,
+        username: session.username,
+        sessionIp: session.ip,
+        reason: ipChanged ? 'ip' : 'user_agent'
+      });
+      this.adminBot.sendSecurityAlert('HIGH', 'Session Revoked',
+        `Session of admin ${session.username} (created from ${session.ip}) was used from ${ip} with a different ${ipChanged ? 'IP' : 'user agent'}; it has been revoked`)
+        .catch(error => console.error('Failed to send session alert:', error));
+      return false;
+    }
+    
+    if (!session.knownIps.includes(ip)) {
+      session.knownIps = [...session.knownIps, ip].slice(-20);
+      this.security.logSecurityEvent('session_new_ip', { ip, username: session.username, sessionIp: session.ip });
+      this.adminBot.sendSecurityAlert('MEDIUM', 'Session Used From New IP',
+        `Session of admin ${session.username} (created from ${session.ip}) is now used from ${ip}`)
+        .catch(error => console.error('Failed to send session alert:', error));
+    }
+    session.lastIp = ip;
+    return true;
+  }
+
+  // Public view of a session for the session list
+  describeSession(session, currentToken) {
+    return {
+      id: session.id,
+      username: session.username,
+      ip: session.ip,
+      lastIp: session.lastIp || session.ip,
+      userAgent: session.userAgent || '',
+      created: new Date(session.created).toISOString(),
+      lastActivity: new Date(session.lastActivity).toISOString(),
+      expires: new Date(session.expires).toISOString(),
+      current: session.token === currentToken
+    };
+  }
+
+  findSessionById(sessionId) {
+    for (const [token, session] of this.sessions.entries()) {
+      if (session.id === sessionId) {
+        return { token, session };
+      }
+    }
+    return null;
+  }
+
+  // Drop one session and its CSRF tokens
+  revokeSession(token) {
+    this.sessions.delete(token);
+    for (const [csrfToken, data] of this.csrfTokens.entries()) {
+      if (data.sessionToken === token) {
+        this.csrfTokens.delete(csrfToken);
+      }
+    }
+    return this.saveSessions();
+  }
+
+  // Middleware factory: the account's role must grant the permission
+  requirePermission(permission) {
+    return (req, res, next) => {
+      if (req.twoFactorSetupRequired) {
+        return res.status(403).json({
+          success: false,
+          error: 'Two-factor authentication setup required',
+          twoFactorSetupRequired: true
+        });
+      }
+      if (!this.accounts.hasPermission(req.adminAccount, permission)) {
+        return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+      }
+      next();
+    };
+  }
+
+  // Drop all sessions (and their CSRF tokens) of one account, optionally keeping one
+  async revokeSessions(username, exceptToken = null) {
+    let revoked = 0;
+    for (const [token, session] of this.sessions.entries()) {
+      if (session.username === username && token !== exceptToken) {
+        this.sessions.delete(token);
+        revoked++;
+      }
+    }
+    for (const [csrfToken, data] of this.csrfTokens.entries()) {
+      if (!this.sessions.has(data.sessionToken)) {
+        this.csrfTokens.delete(csrfToken);
+      }
+    }
+    if (revoked > 0) {
+      await this.saveSessions();
+    }
+    return revoked;
+  }
+
   // CRITICAL FIX #2: CSRF validation middleware
   validateCSRF(req, res, next) {
     const csrfToken = req.headers['x-csrf-token'] || req.body.csrfToken;
@@ -199,6 +385,7 @@ class AdminRoutes {
     const attempts = this.failedLogins.get(ip) || { count: 0, blockedUntil: 0 };
     
     if (attempts.blockedUntil > Date.now()) {
+      this.security.logSecurityEvent('login_blocked', { ip, attempts: attempts.count });
       const waitTime = Math.ceil((attempts.blockedUntil - Date.now()) / 1000 / 60);
       return res.status(429).json({
         success: false,
@@ -212,6 +399,7 @@ class AdminRoutes {
   setupRoutes() {
     const auth = this.authenticate.bind(this);
     const csrf = this.validateCSRF.bind(this);
+    const can = this.requirePermission.bind(this);
     
     // SECURITY FIX: Get CSRF token endpoint
     this.router.get('/csrf-token', auth, (req, res) => {
@@ -246,61 +434,329 @@ class AdminRoutes {
             return res.status(400).json({ success: false, error: 'Invalid username format' });
           }
           
-          const hashedPassword = this.hashPassword(password);
+          const account = await this.accounts.verifyCredentials(cleanUsername, password);
           
-          if (cleanUsername === this.adminCredentials.username && 
-              hashedPassword === this.adminCredentials.password) {
-            
-            // Clear failed attempts
-            this.failedLogins.delete(ip);
-            
-            // Create session
-            const token = this.generateToken();
-            const session = {
-              token,
-              username: cleanUsername,
-              created: Date.now(),
-              expires: Date.now() + 30 * 60 * 1000, // 30 minutes
-              lastActivity: Date.now(),
-              ip: ip // SECURITY FIX: Track IP for session hijacking detection
-            };
-            
-            this.sessions.set(token, session);
-            await this.saveSessions();
-            
-            await this.adminBot.sendAlert('system', `Admin logged in from IP: ${ip}`);
-            
-            // Generate initial CSRF token
-            const csrfToken = this.generateCSRFToken(token);
-            
-            return res.json({ success: true, token, csrfToken });
-            
-          } else {
-            // Track failed attempt
-            const attempts = this.failedLogins.get(ip) || { count: 0, blockedUntil: 0 };
-            attempts.count++;
-            
-            if (attempts.count >= 5) {
-              attempts.blockedUntil = Date.now() + 15 * 60 * 1000; // 15 minutes
-              await this.adminBot.sendSecurityAlert('HIGH', 'Login Attack', 
-                `Multiple failed login attempts from IP: ${ip}`);
-            }
-            
-            this.failedLogins.set(ip, attempts);
+          if (!account) {
+            await this.recordFailedLogin(ip, cleanUsername);
             
             // SECURITY FIX: Generic error message
             return res.status(401).json({ success: false, error: 'Invalid credentials' });
           }
           
+          // Second step: no session until a TOTP or recovery code is given
+          if (this.accounts.hasTwoFactor(account)) {
+            const challengeToken = this.generateToken();
+            this.loginChallenges.set(challengeToken, {
+              username: cleanUsername,
+              ip,
+              attempts: 0,
+              expires: Date.now() + 5 * 60 * 1000 // 5 minutes
+            });
+            return res.json({ success: true, twoFactorRequired: true, challengeToken });
+          }
+          
+          const { token, csrfToken } = await this.createSession(cleanUsername, ip, req.headers['user-agent']);
+          
+          return res.json({
+            success: true,
+            token,
+            csrfToken,
+            account: this.accounts.describe(account),
+            twoFactorSetupRequired: this.requiresTwoFactorSetup(account)
+          });
+          
         } catch (error) {
           console.error('Login error:', error);
           return res.status(500).json({ success: false, error: 'Login failed' });
         }
       });
 
+    // Login step two: TOTP code or a single-use recovery code
+    this.router.post('/login/2fa',
+      this.checkLoginAttempts.bind(this),
+      [
+        body('challengeToken').isString().isLength({ min: 64, max: 64 }).withMessage('Invalid challenge'),
+        body('code').isString().trim().isLength({ min: 6, max: 32 }).withMessage('Invalid code')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, error: 'Invalid input' });
+          }
+
+          const { challengeToken, code } = req.body;
+          const ip = req.ip;
+          const challenge = this.loginChallenges.get(challengeToken);
+          
+          if (!challenge || challenge.expires < Date.now() || challenge.ip !== ip) {
+            this.loginChallenges.delete(challengeToken);
+            return res.status(401).json({ success: false, error: 'Login expired, sign in again' });
+          }
+          
+          const account = this.accounts.getAccount(challenge.username);
+          const method = account && !account.disabled
+            ? await this.accounts.verifyTwoFactor(challenge.username, code)
+            : null;
+          
+          if (!method) {
+            challenge.attempts++;
+            if (challenge.attempts >= 5) {
+              this.loginChallenges.delete(challengeToken);
+            }
+            await this.recordFailedLogin(ip, challenge.username, 'two_factor_failed');
+            return res.status(401).json({ success: false, error: 'Invalid code' });
+          }
+          
+          this.loginChallenges.delete(challengeToken);
+          
+          if (method === 'recovery') {
+            this.security.logSecurityEvent('recovery_code_used', { ip, username: challenge.username });
+            await this.adminBot.sendAlert('system',
+              `Admin ${challenge.username} used a recovery code (${account.twoFactor.recoveryCodes.length} left)`);
+          }
+          
+          const { token, csrfToken } = await this.createSession(challenge.username, ip, req.headers['user-agent']);
+          
+          return res.json({ success: true, token, csrfToken, account: this.accounts.describe(account) });
+          
+        } catch (error) {
+          console.error('2FA login error:', error);
+          return res.status(500).json({ success: false, error: 'Login failed' });
+        }
+      });
+
     // Verify session
     this.router.get('/verify', auth, (req, res) => {
-      res.json({ success: true });
+      res.json({
+        success: true,
+        account: this.accounts.describe(req.adminAccount),
+        twoFactorSetupRequired: req.twoFactorSetupRequired
+      });
+    });
+
+    // Two-factor status of the signed-in account
+    this.router.get('/2fa', auth, (req, res) => {
+      const account = this.accounts.describe(req.adminAccount);
+      res.json({
+        success: true,
+        enabled: account.twoFactorEnabled,
+        recoveryCodesRemaining: account.recoveryCodesRemaining,
+        required: this.config.getRequireTwoFactor()
+      });
+    });
+
+    // 2FA enrollment step one: new secret + otpauth URI (password required)
+    this.router.post('/2fa/setup', auth, csrf,
+      [body('password').isString().isLength({ min: 1, max: 1000 }).withMessage('Password required')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, error: 'Invalid input' });
+          }
+
+          const username = req.adminSession.username;
+          if (this.accounts.hasTwoFactor(req.adminAccount)) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled' });
+          }
+          if (!await this.accounts.checkPassword(username, req.body.password)) {
+            this.security.logSecurityEvent('two_factor_failed', { ip: req.ip, username, step: 'setup' });
+            return res.status(400).json({ success: false, error: 'Password is incorrect' });
+          }
+          
+          const setup = await this.accounts.beginTwoFactorSetup(username);
+          res.json({ success: true, ...setup });
+          
+        } catch (error) {
+          console.error('2FA setup error:', error);
+          res.status(500).json({ success: false, error: 'Failed to start two-factor setup' });
+        }
+      });
+
+    // 2FA enrollment step two: confirm with a code, returns recovery codes once
+    this.router.post('/2fa/enable', auth, csrf,
+      [body('code').isString().trim().isLength({ min: 6, max: 6 }).withMessage('Invalid code')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, error: 'Invalid input' });
+          }
+
+          const username = req.adminSession.username;
+          const recoveryCodes = await this.accounts.enableTwoFactor(username, req.body.code);
+          if (!recoveryCodes) {
+            return res.status(400).json({ success: false, error: 'Invalid code' });
+          }
+          
+          // Sessions opened without 2FA are signed out
+          const token = req.headers.authorization.substring(7);
+          const revoked = await this.revokeSessions(username, token);
+          
+          await this.adminBot.sendAlert('system', `Admin ${username} enabled two-factor authentication`);
+          res.json({ success: true, recoveryCodes, sessionsRevoked: revoked });
+          
+        } catch (error) {
+          res.status(400).json({ success: false, error: error.message });
+        }
+      });
+
+    // Turn 2FA off (password + current code); not allowed while 2FA is required
+    this.router.post('/2fa/disable', auth, csrf,
+      [
+        body('password').isString().isLength({ min: 1, max: 1000 }).withMessage('Password required'),
+        body('code').isString().trim().isLength({ min: 6, max: 32 }).withMessage('Invalid code')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, error: 'Invalid input' });
+          }
+
+          const username = req.adminSession.username;
+          if (this.config.getRequireTwoFactor()) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is required for all admin accounts' });
+          }
+          if (!await this.accounts.checkPassword(username, req.body.password) ||
+              !await this.accounts.verifyTwoFactor(username, req.body.code)) {
+            this.security.logSecurityEvent('two_factor_failed', { ip: req.ip, username, step: 'disable' });
+            return res.status(400).json({ success: false, error: 'Password or code is incorrect' });
+          }
+          
+          await this.accounts.disableTwoFactor(username);
+          await this.adminBot.sendAlert('system', `Admin ${username} disabled two-factor authentication from IP: ${req.ip}`);
+          res.json({ success: true });
+          
+        } catch (error) {
+          console.error('2FA disable error:', error);
+          res.status(500).json({ success: false, error: 'Failed to disable two-factor authentication' });
+        }
+      });
+
+    // Replace all recovery codes (current TOTP code required)
+    this.router.post('/2fa/recovery-codes', auth, csrf,
+      [body('code').isString().trim().isLength({ min: 6, max: 6 }).withMessage('Invalid code')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, error: 'Invalid input' });
+          }
+
+          const username = req.adminSession.username;
+          if (await this.accounts.verifyTwoFactor(username, req.body.code) !== 'totp') {
+            this.security.logSecurityEvent('two_factor_failed', { ip: req.ip, username, step: 'recovery-codes' });
+            return res.status(400).json({ success: false, error: 'Invalid code' });
+          }
+          
+          const recoveryCodes = await this.accounts.regenerateRecoveryCodes(username);
+          res.json({ success: true, recoveryCodes });
+          
+        } catch (error) {
+          console.error('Recovery codes error:', error);
+          res.status(500).json({ success: false, error: 'Failed to create recovery codes' });
+        }
+      });
+
+    // Change own password; every other session of the account is signed out
+    this.router.post('/change-password', auth, csrf,
+      [
+        body('currentPassword').isString().isLength({ min: 1, max: 1000 }).withMessage('Current password required'),
+        body('newPassword').isString().isLength({ max: 1000 }).withMessage('New password required')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, error: 'Invalid input' });
+          }
+
+          const { currentPassword, newPassword } = req.body;
+          const username = req.adminSession.username;
+          
+          if (!await this.accounts.checkPassword(username, currentPassword)) {
+            this.security.logSecurityEvent('password_change_failed', { ip: req.ip, username });
+            return res.status(400).json({ success: false, error: 'Current password is incorrect' });
+          }
+          if (currentPassword === newPassword) {
+            return res.status(400).json({ success: false, error: 'New password must differ from the current one' });
+          }
+          
+          await this.accounts.setPassword(username, newPassword);
+          
+          const token = req.headers.authorization.substring(7);
+          const revoked = await this.revokeSessions(username, token);
+          
+          await this.adminBot.sendAlert('system', `Admin ${username} changed their password from IP: ${req.ip}`);
+          res.json({ success: true, sessionsRevoked: revoked });
+          
+        } catch (error) {
+          res.status(400).json({ success: false, error: error.message });
+        }
+      });
+
+    // Active sessions: own by default, every account's with ?scope=all (accounts permission)
+    this.router.get('/sessions', auth, (req, res) => {
+      const all = req.query.scope === 'all';
+      if (all && !this.accounts.hasPermission(req.adminAccount, 'accounts')) {
+        return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+      }
+      
+      const now = Date.now();
+      const currentToken = req.headers.authorization.substring(7);
+      const sessions = [...this.sessions.values()]
+        .filter(session => session.expires > now && (all || session.username === req.adminSession.username))
+        .sort((a, b) => b.lastActivity - a.lastActivity)
+        .map(session => this.describeSession(session, currentToken));
+      
+      res.json({ success: true, sessions, binding: this.config.getSessionBinding() });
+    });
+
+    // Revoke one session by id (own sessions, or any with the accounts permission)
+    this.router.post('/sessions/revoke', auth, csrf,
+      [body('sessionId').isString().matches(/^[0-9a-f]{32}$/).withMessage('Invalid session id')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, error: 'Invalid input' });
+          }
+
+          const found = this.findSessionById(req.body.sessionId);
+          const own = found && found.session.username === req.adminSession.username;
+          if (!found || (!own && !this.accounts.hasPermission(req.adminAccount, 'accounts'))) {
+            return res.status(404).json({ success: false, error: 'Session not found' });
+          }
+          if (found.token === req.headers.authorization.substring(7)) {
+            return res.status(400).json({ success: false, error: 'Use logout to end the current session' });
+          }
+          
+          await this.revokeSession(found.token);
+          if (!own) {
+            await this.adminBot.sendAlert('system',
+              `Admin ${req.adminSession.username} revoked a session of ${found.session.username}`);
+          }
+          
+          res.json({ success: true });
+          
+        } catch (error) {
+          console.error('Revoke session error:', error);
+          res.status(500).json({ success: false, error: 'Failed to revoke session' });
+        }
+      });
+
+    // Sign out everywhere except here
+    this.router.post('/sessions/revoke-others', auth, csrf, async (req, res) => {
+      try {
+        const token = req.headers.authorization.substring(7);
+        const revoked = await this.revokeSessions(req.adminSession.username, token);
+        res.json({ success: true, sessionsRevoked: revoked });
+      } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ success: false, error: 'Failed to revoke sessions' });
+      }
     });
 
     // CRITICAL FIX #2: Logout endpoint with CSRF protection
@@ -324,7 +780,7 @@ class AdminRoutes {
     });
 
     // Get statistics
-    this.router.get('/stats', auth, async (req, res) => {
+    this.router.get('/stats', auth, can('view'), async (req, res) => {
       try {
         const allBots = this.storage.getAllBots();
         const bannedUsers = await this.storage.getBannedUsers();
@@ -345,8 +801,28 @@ class AdminRoutes {
       }
     });
 
+    // Usage analytics across all bots (daily totals + per-bot ranking)
+    this.router.get('/analytics', auth, can('view'), async (req, res) => {
+      try {
+        const allBots = this.storage.getAllBots();
+        const aggregate = this.analytics.getAggregate(allBots.map(bot => bot.id), req.query.days);
+        const usernames = new Map(allBots.map(bot => [bot.id, bot.botUsername]));
+        
+        aggregate.bots = aggregate.bots.map(entry => ({
+          ...entry,
+          botUsername: usernames.get(entry.botId)
+        }));
+        
+        res.json({ success: true, analytics: aggregate });
+        
+      } catch (error) {
+        console.error('Analytics error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load analytics' });
+      }
+    });
+
     // Get recent activity
-    this.router.get('/activity', auth, async (req, res) => {
+    this.router.get('/activity', auth, can('view'), async (req, res) => {
       try {
         const allBots = this.storage.getAllBots();
         const recent = allBots
@@ -366,7 +842,7 @@ class AdminRoutes {
     });
 
     // Get bots
-    this.router.get('/bots', auth, async (req, res) => {
+    this.router.get('/bots', auth, can('view'), async (req, res) => {
       try {
         const { status } = req.query;
         let bots = this.storage.getAllBots();
@@ -375,10 +851,11 @@ class AdminRoutes {
           bots = bots.filter(b => b.status === status);
         }
         
-        // SECURITY FIX: Don't expose bot tokens
+        // SECURITY FIX: Don't expose bot tokens (or claim code hashes)
         const safeBots = bots.map(bot => ({
           ...bot,
-          botToken: '••••••' + (bot.botToken ? bot.botToken.slice(-4) : '')
+          botToken: '••••••' + (bot.botToken ? bot.botToken.slice(-4) : ''),
+          claim: this.claimCodes.describe(bot.claim)
         }));
         
         res.json({ success: true, bots: safeBots });
@@ -390,7 +867,7 @@ class AdminRoutes {
     });
 
     // Get single bot
-    this.router.get('/bot/:botId', auth, async (req, res) => {
+    this.router.get('/bot/:botId', auth, can('view'), async (req, res) => {
       try {
         const botId = this.security.sanitizeInput(req.params.botId);
         const bot = this.storage.getBotById(botId);
@@ -402,10 +879,16 @@ class AdminRoutes {
         // SECURITY FIX: Mask bot token
         const safeBot = {
           ...bot,
-          botToken: '••••••' + (bot.botToken ? bot.botToken.slice(-4) : '')
+          botToken: '••••••' + (bot.botToken ? bot.botToken.slice(-4) : ''),
+          claim: this.claimCodes.describe(bot.claim)
         };
         
-        res.json({ success: true, bot: safeBot });
+        const brokenFiles = await this.storage.getBrokenFiles(botId);
+        const apiKey = this.apiKeys.describe(this.apiKeys.getActiveKey(botId));
+        const team = this.botMembers.listTeam(bot);
+        const pendingTransfer = this.botMembers.getPendingTransfer(bot);
+        
+        res.json({ success: true, bot: safeBot, brokenFiles, apiKey, team, pendingTransfer });
         
       } catch (error) {
         console.error('Get bot error:', error);
@@ -413,8 +896,27 @@ class AdminRoutes {
       }
     });
 
-    // Approve bot endpoint
-    this.router.post('/approve-bot', auth, csrf, 
+    // Usage analytics for one bot
+    this.router.get('/bot/:botId/analytics', auth, can('view'), async (req, res) => {
+      try {
+        const botId = this.security.sanitizeInput(req.params.botId);
+        if (!botId || !this.storage.getBotById(botId)) {
+          return res.status(404).json({ success: false, error: 'Bot not found' });
+        }
+        
+        const stats = this.analytics.getBotAnalytics(botId, req.query.days);
+        const { files, folders, ...analytics } = stats;
+        
+        res.json({ success: true, analytics });
+        
+      } catch (error) {
+        console.error('Bot analytics error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load analytics' });
+      }
+    });
+
+    // Clear a bot's broken files report (e.g. after the owner re-uploaded)
+    this.router.post('/clear-broken-files', auth, csrf, can('moderate'),
       [body('botId').trim().notEmpty().withMessage('Bot ID required')],
       async (req, res) => {
         try {
@@ -427,116 +929,1115 @@ class AdminRoutes {
             });
           }
 
-          const { botId } = req.body;
-          const sanitizedBotId = this.security.sanitizeInput(botId);
-          
-          const bot = this.storage.getBotById(sanitizedBotId);
-          
-          if (!bot) {
+          const botId = this.security.sanitizeInput(req.body.botId);
+          if (!this.storage.getBotById(botId, false)) {
             return res.status(404).json({ success: false, error: 'Bot not found' });
           }
-          
-          if (bot.status === 'approved') {
+
+          await this.storage.clearBrokenFiles(botId);
+          res.json({ success: true });
+
+        } catch (error) {
+          console.error('Clear broken files error:', error);
+          res.status(500).json({ success: false, error: 'Failed to clear broken files' });
+        }
+      }
+    );
+
+    // Revoke a bot's uploader API key (the owner can issue a new one with /apikey)
+    this.router.post('/revoke-api-key', auth, csrf, can('moderate'),
+      [body('botId').trim().notEmpty().withMessage('Bot ID required')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
+            });
+          }
+
+          const botId = this.security.sanitizeInput(req.body.botId);
+          if (!this.storage.getBotById(botId, false)) {
+            return res.status(404).json({ success: false, error: 'Bot not found' });
+          }
+
+          if (!await this.apiKeys.revoke(botId, `admin:${req.adminSession.username}`)) {
+            return res.status(404).json({ success: false, error: 'Bot has no active API key' });
+          }
+
+          await this.adminBot.sendAlert('security', `API key of bot ${botId} revoked by ${req.adminSession.username}`);
+          res.json({ success: true });
+
+        } catch (error) {
+          console.error('Revoke API key error:', error);
+          res.status(500).json({ success: false, error: 'Failed to revoke API key' });
+        }
+      }
+    );
+
+    // Remove a bot's owner and issue a new claim code for the rightful owner
+    this.router.post('/reset-bot-owner', auth, csrf, can('moderate'),
+      [body('botId').trim().notEmpty().withMessage('Bot ID required')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
+            });
+          }
+
+          const botId = this.security.sanitizeInput(req.body.botId);
+          const bot = this.storage.getBotById(botId, false);
+          if (!bot) {
+            return res.status(404).json({ success: false, error: 'Bot not found' });
+          }
+
+          await this.storage.createOperationBackup('reset_owner', {
+            botId,
+            botUsername: bot.botUsername,
+            previousOwnerId: bot.ownerId || null,
+            timestamp: new Date().toISOString(),
+            resetBy: req.adminSession.username
+          });
+
+          this.storage.resetBotOwner(botId);
+          await this.apiKeys.revoke(botId, `admin:${req.adminSession.username}`);
+          const claim = this.claimCodes.issue(botId);
+          this.botManager.applyBotUpdate(botId, { ownerId: null });
+
+          await this.adminBot.sendAlert('moderation', 
+            `Owner of bot ${botId} reset by ${req.adminSession.username} (was ${bot.ownerId || 'not registered'})`
+          );
+
+          res.json({ success: true, claimCode: claim.code, claimExpiresAt: claim.expiresAt });
+
+        } catch (error) {
+          console.error('Reset bot owner error:', error);
+          res.status(500).json({ success: false, error: 'Failed to reset bot owner' });
+        }
+      }
+    );
+
+    // Make another Telegram user the owner of a bot
+    this.router.post('/transfer-bot-owner', auth, csrf, can('moderate'),
+      [
+        body('botId').trim().notEmpty().withMessage('Bot ID required'),
+        body('ownerId').trim().matches(/^\d{1,15}$/).withMessage('Invalid user ID format')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
+            });
+          }
+
+          const botId = this.security.sanitizeInput(req.body.botId);
+          const ownerId = parseInt(req.body.ownerId);
+          const bot = this.storage.getBotById(botId, false);
+          if (!bot) {
+            return res.status(404).json({ success: false, error: 'Bot not found' });
+          }
+          if (String(bot.ownerId) === String(ownerId)) {
+            return res.status(400).json({ success: false, error: 'User already owns this bot' });
+          }
+          if (await this.storage.isBanned(String(ownerId))) {
+            return res.status(400).json({ success: false, error: 'User is banned' });
+          }
+
+          await this.storage.createOperationBackup('transfer_owner', {
+            botId,
+            botUsername: bot.botUsername,
+            previousOwnerId: bot.ownerId || null,
+            newOwnerId: ownerId,
+            timestamp: new Date().toISOString(),
+            transferredBy: req.adminSession.username
+          });
+
+          // The previous owner's API key must not keep working; co-owners and
+          // maintainers stay, a pending owner-initiated transfer is dropped
+          this.botMembers.setOwner(bot, ownerId);
+          this.storage.setBotClaim(botId, null);
+          await this.apiKeys.revoke(botId, `admin:${req.adminSession.username}`);
+          this.botManager.applyBotUpdate(botId, { ownerId });
+
+          await this.adminBot.sendAlert('moderation', 
+            `Bot ${botId} transferred from ${bot.ownerId || 'no owner'} to ${ownerId} by ${req.adminSession.username}`
+          );
+
+          // Only works once the new owner has started the bot
+          let notified = true;
+          try {
+            await this.botManager.sendAdminMessage(botId, ownerId, 
+              'You are now the registered owner of this bot. Send /apikey here to get your uploader API key.'
+            );
+          } catch (error) {
+            notified = false;
+          }
+
+          res.json({ success: true, notified });
+
+        } catch (error) {
+          console.error('Transfer bot owner error:', error);
+          res.status(500).json({ success: false, error: 'Failed to transfer bot owner' });
+        }
+      }
+    );
+
+    // Add a co-owner or maintainer to a bot's team (or change their role)
+    this.router.post('/bot-members/add', auth, csrf, can('moderate'),
+      [
+        body('botId').trim().notEmpty().withMessage('Bot ID required'),
+        body('userId').trim().matches(/^\d{1,15}$/).withMessage('Invalid user ID format'),
+        body('role').isIn(['co-owner', 'maintainer']).withMessage('Role must be co-owner or maintainer')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
+            });
+          }
+
+          const botId = this.security.sanitizeInput(req.body.botId);
+          const userId = parseInt(req.body.userId);
+          const bot = this.storage.getBotById(botId, false);
+          if (!bot) {
+            return res.status(404).json({ success: false, error: 'Bot not found' });
+          }
+
+          const previousRole = this.botMembers.getRole(bot, userId);
+          let member;
+          try {
+            member = await this.botMembers.addMember(botId, userId, req.body.role, `admin:${req.adminSession.username}`);
+          } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+          }
+
+          await this.storage.createOperationBackup('add_member', {
+            botId,
+            botUsername: bot.botUsername,
+            userId: String(userId),
+            role: member.role,
+            previousRole,
+            timestamp: new Date().toISOString(),
+            addedBy: req.adminSession.username
+          });
+
+          res.json({ success: true, member });
+
+        } catch (error) {
+          console.error('Add bot member error:', error);
+          res.status(500).json({ success: false, error: 'Failed to add member' });
+        }
+      }
+    );
+
+    // Remove a co-owner or maintainer from a bot's team
+    this.router.post('/bot-members/remove', auth, csrf, can('moderate'),
+      [
+        body('botId').trim().notEmpty().withMessage('Bot ID required'),
+        body('userId').trim().matches(/^\d{1,15}$/).withMessage('Invalid user ID format')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
+            });
+          }
+
+          const botId = this.security.sanitizeInput(req.body.botId);
+          const bot = this.storage.getBotById(botId, false);
+          if (!bot) {
+            return res.status(404).json({ success: false, error: 'Bot not found' });
+          }
+
+          const member = this.botMembers.removeMember(botId, req.body.userId);
+          if (!member) {
+            return res.status(404).json({ success: false, error: 'User is not a member of this bot' });
+          }
+
+          await this.storage.createOperationBackup('remove_member', {
+            botId,
+            botUsername: bot.botUsername,
+            userId: String(member.userId),
+            role: member.role,
+            timestamp: new Date().toISOString(),
+            removedBy: req.adminSession.username
+          });
+
+          res.json({ success: true });
+
+        } catch (error) {
+          console.error('Remove bot member error:', error);
+          res.status(500).json({ success: false, error: 'Failed to remove member' });
+        }
+      }
+    );
+
+    // Drop an owner-initiated transfer that has not been accepted yet
+    this.router.post('/bot-members/cancel-transfer', auth, csrf, can('moderate'),
+      [body('botId').trim().notEmpty().withMessage('Bot ID required')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
+            });
+          }
+
+          const botId = this.security.sanitizeInput(req.body.botId);
+          if (!this.storage.getBotById(botId, false)) {
+            return res.status(404).json({ success: false, error: 'Bot not found' });
+          }
+
+          if (!this.botMembers.cancelTransfer(botId)) {
+            return res.status(404).json({ success: false, error: 'No pending transfer' });
+          }
+
+          res.json({ success: true });
+
+        } catch (error) {
+          console.error('Cancel transfer error:', error);
+          res.status(500).json({ success: false, error: 'Failed to cancel transfer' });
+        }
+      }
+    );
+
+    // Users blocked by bot owners (/block), for all bots or one (?botId=)
+    this.router.get('/bot-blocks', auth, can('view'), async (req, res) => {
+      try {
+        const botId = typeof req.query.botId === 'string' ? this.security.sanitizeInput(req.query.botId) : null;
+        const bots = botId ? [this.storage.getBotById(botId)].filter(Boolean) : this.storage.getAllBots();
+        
+        const blocks = [];
+        for (const bot of bots) {
+          for (const entry of this.botBlocks.getBlocked(bot)) {
+            blocks.push({ botId: bot.id, botUsername: bot.botUsername, ...entry });
+          }
+        }
+        blocks.sort((a, b) => new Date(b.blockedAt) - new Date(a.blockedAt));
+        
+        res.json({ success: true, blocks });
+        
+      } catch (error) {
+        console.error('Get bot blocks error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load blocked users' });
+      }
+    });
+
+    // Lift a block set by a bot's owner team
+    this.router.post('/bot-blocks/unblock', auth, csrf, can('moderate'),
+      [
+        body('botId').trim().notEmpty().withMessage('Bot ID required'),
+        body('userId').trim().matches(/^\d{1,15}$/).withMessage('Invalid user ID format')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
+            });
+          }
+
+          const botId = this.security.sanitizeInput(req.body.botId);
+          const bot = this.storage.getBotById(botId, false);
+          if (!bot) {
+            return res.status(404).json({ success: false, error: 'Bot not found' });
+          }
+
+          const entry = this.botBlocks.unblock(botId, req.body.userId);
+          if (!entry) {
+            return res.status(404).json({ success: false, error: 'User is not blocked in this bot' });
+          }
+
+          await this.storage.createOperationBackup('unblock_bot_user', {
+            botId,
+            botUsername: bot.botUsername,
+            userId: String(entry.userId),
+            previousBlock: entry,
+            timestamp: new Date().toISOString(),
+            unblockedBy: req.adminSession.username
+          });
+
+          res.json({ success: true });
+
+        } catch (error) {
+          console.error('Unblock bot user error:', error);
+          res.status(500).json({ success: false, error: 'Failed to unblock user' });
+        }
+      }
+    );
+
+    // Update per-bot settings
+    this.router.post('/bot-settings', auth, csrf, can('moderate'),
+      [
+        body('botId').trim().notEmpty().withMessage('Bot ID required'),
+        body('deliveryMode').optional().isIn(['buttons', 'all', 'default']).withMessage('Invalid delivery mode'),
+        body('deliveryMethod').optional().isIn(['forward', 'copy', 'document']).withMessage('Invalid delivery method'),
+        body('captionTemplate').optional().isString().isLength({ max: 1024 }).withMessage('Caption template too long'),
+        body('protectContent').optional().isBoolean().withMessage('protectContent must be a boolean')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
+            });
+          }
+
+          const { botId, deliveryMode, deliveryMethod, captionTemplate, protectContent } = req.body;
+          const sanitizedBotId = this.security.sanitizeInput(botId);
+          
+          const bot = this.storage.getBotById(sanitizedBotId);
+          if (!bot) {
+            return res.status(404).json({ success: false, error: 'Bot not found' });
+          }
+          
+          const updates = {};
+          if (deliveryMode) {
+            // 'default' clears the override so the system default applies
+            updates.deliveryMode = deliveryMode === 'default' ? null : deliveryMode;
+          }
+          if (deliveryMethod) {
+            updates.deliveryMethod = deliveryMethod;
+          }
+          if (captionTemplate !== undefined) {
+            // Stored unescaped (captions are sent as plain text) but still screened for injection patterns
+            const template = captionTemplate.trim();
+            if (template && this.security.sanitizeInput(template) === null) {
+              this.security.logSecurityEvent('injection_attempt', { ip: req.ip, botId: sanitizedBotId });
+              return res.status(400).json({ success: false, error: 'Invalid caption template' });
+            }
+            updates.captionTemplate = template || null;
+          }
+          if (protectContent !== undefined) {
+            updates.protectContent = protectContent === true || protectContent === 'true';
+          }
+          
+          const settings = await this.storage.updateBotSettings(sanitizedBotId, updates);
+          this.botManager.applyBotUpdate(sanitizedBotId, { settings });
+          
+          res.json({ success: true, settings });
+          
+        } catch (error) {
+          console.error('Update bot settings error:', error);
+          res.status(500).json({ success: false, error: 'Failed to update bot settings' });
+        }
+      });
+
+    // Approve bot endpoint
+    this.router.post('/approve-bot', auth, csrf, can('moderate'), 
+      [body('botId').trim().notEmpty().withMessage('Bot ID required')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
+            });
+          }
+
+          const { botId } = req.body;
+          const sanitizedBotId = this.security.sanitizeInput(botId);
+          
+          const bot = this.storage.getBotById(sanitizedBotId);
+          
+          if (!bot) {
+            return res.status(404).json({ success: false, error: 'Bot not found' });
+          }
+          
+          if (bot.status === 'approved') {
             return res.json({ success: true, message: 'Bot already approved' });
           }
           
-          // Create backup of operation
-          await this.storage.createOperationBackup('approve_bot', {
-            botId: sanitizedBotId,
-            botUsername: bot.botUsername,
-            previousStatus: bot.status,
+          // Create backup of operation
+          await this.storage.createOperationBackup('approve_bot', {
+            botId: sanitizedBotId,
+            botUsername: bot.botUsername,
+            previousStatus: bot.status,
+            timestamp: new Date().toISOString(),
+            approvedBy: req.adminSession.username
+          });
+          
+          const success = await this.storage.updateBotStatusAtomic(sanitizedBotId, 'approved');
+          
+          if (success) {
+            // Apply the new status to the running bot (or start it if it was stopped)
+            await this.botManager.refreshBot(sanitizedBotId);
+            
+            await this.adminBot.sendAlert('approval', 
+              `Bot ${bot.botUsername} has been approved!\nBot ID: ${sanitizedBotId}\nOwner: ${bot.ownerId || 'Not registered'}`
+            );
+            
+            // Notify bot owner if registered
+            if (bot.ownerId) {
+              try {
+                await this.botManager.sendAdminMessage(
+                  sanitizedBotId,
+                  bot.ownerId,
+                  '🎉 Your bot has been approved! It is now public and available to all users.'
+                );
+              } catch (error) {
+                console.error('Failed to notify bot owner:', error);
+              }
+            }
+            
+            return res.json({ 
+              success: true,
+              message: 'Bot approved successfully'
+            });
+          } else {
+            return res.status(500).json({ 
+              success: false, 
+              error: 'Failed to update bot status' 
+            });
+          }
+          
+        } catch (error) {
+          console.error('Approve bot error:', error);
+          res.status(500).json({ success: false, error: 'Failed to approve bot' });
+        }
+      });
+
+    // Disconnect bot
+    this.router.post('/disconnect-bot', auth, csrf, can('moderate'),
+      [body('botId').trim().notEmpty().withMessage('Bot ID required')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input'
+            });
+          }
+
+          const { botId } = req.body;
+          const sanitizedBotId = this.security.sanitizeInput(botId);
+          
+          const bot = this.storage.getBotById(sanitizedBotId);
+          
+          if (!bot) {
+            return res.status(404).json({ success: false, error: 'Bot not found' });
+          }
+          
+          await this.storage.createOperationBackup('disconnect_bot', {
+            botId: sanitizedBotId,
+            botUsername: bot.botUsername,
+            previousStatus: bot.status,
+            timestamp: new Date().toISOString(),
+            disconnectedBy: req.adminSession.username
+          });
+          
+          const success = await this.storage.updateBotStatusAtomic(sanitizedBotId, 'disconnected');
+          
+          if (success) {
+            this.botManager.applyBotUpdate(sanitizedBotId, { status: 'disconnected' });
+            await this.botManager.stopBot(sanitizedBotId);
+            await this.adminBot.sendAlert('moderation', `Bot ${sanitizedBotId} has been disconnected`);
+            return res.json({ success: true });
+          } else {
+            return res.status(404).json({ success: false, error: 'Bot not found' });
+          }
+          
+        } catch (error) {
+          console.error('Disconnect bot error:', error);
+          res.status(500).json({ success: false, error: 'Failed to disconnect bot' });
+        }
+      });
+
+    // Ban user
+    this.router.post('/ban-user', auth, csrf, can('moderate'),
+      [
+        body('userId').trim().notEmpty().withMessage('User ID required'),
+        body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input'
+            });
+          }
+
+          const { userId, reason } = req.body;
+          const sanitizedUserId = this.security.sanitizeInput(userId);
+          const sanitizedReason = this.security.sanitizeInput(reason || 'No reason provided');
+          
+          // MINOR FIX #10: Validate userId is a number
+          if (!/^\d+$/.test(sanitizedUserId)) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid user ID format' 
+            });
+          }
+          
+          const botsAffected = await this.planBanEffects(sanitizedUserId);
+          
+          await this.storage.createOperationBackup('ban_user', {
+            userId: sanitizedUserId,
+            reason: sanitizedReason,
+            timestamp: new Date().toISOString(),
+            bannedBy: req.adminSession.username,
+            botsAffected
+          });
+          
+          await this.storage.addBannedUser(sanitizedUserId, sanitizedReason);
+          
+          // Owned bots go to a co-owner or offline; memberships are removed
+          await this.applyBanEffects(sanitizedUserId, botsAffected, req.adminSession.username);
+          
+          const count = (action) => botsAffected.filter(b => b.action === action).length;
+          const summary = {
+            botsDisconnected: count('disconnected'),
+            ownersReplaced: count('owner_replaced'),
+            membershipsRemoved: count('member_removed')
+          };
+          
+          await this.adminBot.sendAlert('ban', 
+            `User ${sanitizedUserId} banned. ${summary.botsDisconnected} bot(s) disconnected, ` +
+            `${summary.ownersReplaced} handed to a co-owner, ${summary.membershipsRemoved} team membership(s) removed.\n` +
+            `Reason: ${sanitizedReason}`
+          );
+          
+          res.json({ success: true, ...summary });
+          
+        } catch (error) {
+          console.error('Ban user error:', error);
+          res.status(500).json({ success: false, error: 'Failed to ban user' });
+        }
+      });
+
+    // Get banned users
+    this.router.get('/banned-users', auth, can('view'), async (req, res) => {
+      try {
+        const users = await this.storage.getBannedUsers();
+        res.json({ success: true, users });
+      } catch (error) {
+        console.error('Get banned users error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load banned users' });
+      }
+    });
+
+    // Unban user
+    this.router.post('/unban-user', auth, csrf, can('moderate'),
+      [body('userId').trim().notEmpty().withMessage('User ID required')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input'
+            });
+          }
+
+          const { userId } = req.body;
+          const sanitizedUserId = this.security.sanitizeInput(userId);
+          
+          if (!/^\d+$/.test(sanitizedUserId)) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid user ID format' 
+            });
+          }
+          
+          const config = await this.storage.loadConfig('banned_users') || { users: [] };
+          
+          // The removed ban entry is kept so the unban can be undone
+          await this.storage.createOperationBackup('unban_user', {
+            userId: sanitizedUserId,
             timestamp: new Date().toISOString(),
-            approvedBy: req.adminSession.username
+            unbannedBy: req.adminSession.username,
+            previousBan: config.users.find(u => u.userId === sanitizedUserId) || null
           });
           
-          const success = await this.storage.updateBotStatusAtomic(sanitizedBotId, 'approved');
+          config.users = config.users.filter(u => u.userId !== sanitizedUserId);
+          await this.storage.saveConfig('banned_users', config);
           
-          if (success) {
-            await this.adminBot.sendAlert('approval', 
-              `Bot ${bot.botUsername} has been approved!\nBot ID: ${sanitizedBotId}\nOwner: ${bot.ownerId || 'Not registered'}`
-            );
-            
-            // Notify bot owner if registered
-            if (bot.ownerId) {
-              try {
-                await this.botManager.sendAdminMessage(
-                  sanitizedBotId,
-                  bot.ownerId,
-                  '🎉 Your bot has been approved! It is now public and available to all users.'
-                );
-              } catch (error) {
-                console.error('Failed to notify bot owner:', error);
-              }
-            }
-            
-            return res.json({ 
-              success: true,
-              message: 'Bot approved successfully'
+          await this.adminBot.sendAlert('moderation', `User ${sanitizedUserId} has been unbanned`);
+          
+          res.json({ success: true });
+          
+        } catch (error) {
+          console.error('Unban user error:', error);
+          res.status(500).json({ success: false, error: 'Failed to unban user' });
+        }
+      });
+
+    // Moderation journal (approve/disconnect/ban/unban and their undos)
+    this.router.get('/operations', auth, can('view'), async (req, res) => {
+      try {
+        const filters = {};
+        for (const key of ['type', 'actor', 'botId']) {
+          if (typeof req.query[key] === 'string' && req.query[key].trim()) {
+            filters[key] = req.query[key].trim().substring(0, 100);
+          }
+        }
+        filters.limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+        
+        const operations = await this.storage.listOperations(filters);
+        res.json({ success: true, operations });
+        
+      } catch (error) {
+        console.error('Get operations error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load operations' });
+      }
+    });
+
+    // Undo a journaled moderation action
+    this.router.post('/operations/undo', auth, csrf, can('moderate'),
+      [body('operationId').trim().notEmpty().withMessage('Operation ID required')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input'
             });
-          } else {
-            return res.status(500).json({ 
+          }
+
+          const { operationId } = req.body;
+          
+          if (this.undoInProgress.has(operationId)) {
+            return res.status(409).json({ success: false, error: 'Undo already in progress' });
+          }
+          
+          const operation = await this.storage.getOperation(operationId);
+          if (!operation) {
+            return res.status(404).json({ success: false, error: 'Operation not found' });
+          }
+          
+          this.undoInProgress.add(operationId);
+          try {
+            const result = await this.undoOperation(operation, req.adminSession.username);
+            res.status(result.status).json(result.body);
+          } finally {
+            this.undoInProgress.delete(operationId);
+          }
+          
+        } catch (error) {
+          console.error('Undo operation error:', error);
+          res.status(500).json({ success: false, error: 'Failed to undo operation' });
+        }
+      });
+
+    // Send message to bot owner
+    this.router.post('/send-message', auth, csrf, can('message'),
+      [
+        body('botId').trim().notEmpty().withMessage('Bot ID required'),
+        body('message').trim().notEmpty().isLength({ max: 4000 }).withMessage('Message too long')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
               success: false, 
-              error: 'Failed to update bot status' 
+              error: 'Invalid input'
+            });
+          }
+
+          const { botId, message } = req.body;
+          const sanitizedBotId = this.security.sanitizeInput(botId);
+          const sanitizedMessage = this.security.sanitizeInput(message);
+          
+          if (!sanitizedMessage) {
+            return res.status(400).json({ success: false, error: 'Invalid message content' });
+          }
+          
+          const bot = this.storage.getBotById(sanitizedBotId);
+          
+          if (!bot || !bot.ownerId) {
+            return res.status(404).json({ success: false, error: 'Bot or owner not found' });
+          }
+          
+          await this.botManager.sendAdminMessage(sanitizedBotId, bot.ownerId, sanitizedMessage);
+          
+          res.json({ success: true });
+          
+        } catch (error) {
+          console.error('Send message error:', error);
+          res.status(500).json({ success: false, error: 'Failed to send message' });
+        }
+      });
+
+    // Get admin config
+    this.router.get('/config/admin', auth, can('config'), async (req, res) => {
+      try {
+        const config = await this.storage.loadConfig('admin') || {};
+        
+        // SECURITY FIX: Don't send sensitive tokens to client
+        const safeConfig = {
+          telegramUserId: config.telegramUserId || null,
+          botToken: config.botToken ? '••••••' + config.botToken.slice(-4) : null,
+          channelId: config.channelId || null
+        };
+        
+        res.json({ success: true, config: safeConfig });
+        
+      } catch (error) {
+        console.error('Get admin config error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load config' });
+      }
+    });
+
+    // MINOR FIX #11: Save admin config with enhanced validation
+    this.router.post('/config/admin', auth, csrf, can('config'),
+      [
+        body('telegramUserId').optional().isInt({ min: 1 }).withMessage('Invalid user ID'),
+        body('botToken').optional().trim().isLength({ min: 40, max: 100 }).withMessage('Invalid token length'),
+        body('channelId').optional().trim().matches(/^(@[a-zA-Z0-9_]{5,32}|-100\d{10,})$/).withMessage('Invalid channel format')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
+            });
+          }
+
+          const { telegramUserId, botToken, channelId } = req.body;
+          
+          await this.config.setAdminConfig(telegramUserId, botToken, channelId);
+          
+          // Reinitialize admin bot with new config
+          await this.adminBot.initialize();
+          
+          await this.adminBot.sendAlert('system', 'Admin configuration updated');
+          
+          res.json({ success: true });
+          
+        } catch (error) {
+          console.error('Save admin config error:', error);
+          res.status(500).json({ success: false, error: 'Failed to save config' });
+        }
+      });
+
+    // Get system config
+    this.router.get('/config/system', auth, can('config'), async (req, res) => {
+      try {
+        const config = this.config.getSystemSettings();
+        res.json({ success: true, config });
+      } catch (error) {
+        console.error('Get system config error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load config' });
+      }
+    });
+
+    // Save system config
+    this.router.post('/config/system', auth, csrf, can('config'),
+      [
+        body('maxJsonSizeMB').optional().isInt({ min: 1, max: 50 }).withMessage('Invalid size'),
+        body('welcomeMessage').optional().trim().isLength({ max: 500 }).withMessage('Message too long'),
+        body('invalidInputMessage').optional().trim().isLength({ max: 500 }).withMessage('Message too long'),
+        body('defaultDeliveryMode').optional().isIn(['buttons', 'all']).withMessage('Invalid delivery mode'),
+        body('requireTwoFactor').optional().isBoolean().withMessage('requireTwoFactor must be a boolean'),
+        body('bindSessionIp').optional().isBoolean().withMessage('bindSessionIp must be a boolean'),
+        body('bindSessionUserAgent').optional().isBoolean().withMessage('bindSessionUserAgent must be a boolean'),
+        body('allowLegacyTokenAuth').optional().isBoolean().withMessage('allowLegacyTokenAuth must be a boolean'),
+        body('userRateBurst').optional().isInt({ min: 1, max: 100 }).withMessage('Invalid burst'),
+        body('userRatePerMinute').optional().isInt({ min: 1, max: 600 }).withMessage('Invalid requests per minute')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+              success: false, 
+              error: 'Invalid input'
+            });
+          }
+
+          const { maxJsonSizeMB, welcomeMessage, invalidInputMessage, defaultDeliveryMode } = req.body;
+          const requireTwoFactor = req.body.requireTwoFactor === undefined
+            ? undefined
+            : req.body.requireTwoFactor === true || req.body.requireTwoFactor === 'true';
+          
+          // Requiring 2FA would immediately lock the requester into enrollment
+          if (requireTwoFactor && !this.accounts.hasTwoFactor(req.adminAccount)) {
+            return res.status(400).json({
+              success: false,
+              error: 'Enable two-factor authentication on your own account first'
+            });
+          }
+          
+          if (maxJsonSizeMB) {
+            await this.config.setMaxJsonSize(maxJsonSizeMB);
+          }
+          
+          if (welcomeMessage) {
+            await this.config.setWelcomeMessage(welcomeMessage);
+          }
+          
+          if (invalidInputMessage) {
+            await this.config.setInvalidInputMessage(invalidInputMessage);
+          }
+          
+          if (defaultDeliveryMode) {
+            await this.config.setDefaultDeliveryMode(defaultDeliveryMode);
+          }
+          
+          if (requireTwoFactor !== undefined) {
+            await this.config.setRequireTwoFactor(requireTwoFactor);
+          }
+          
+          const { bindSessionIp, bindSessionUserAgent } = req.body;
+          if (bindSessionIp !== undefined || bindSessionUserAgent !== undefined) {
+            await this.config.setSessionBinding({
+              ip: bindSessionIp === undefined ? undefined : bindSessionIp === true || bindSessionIp === 'true',
+              userAgent: bindSessionUserAgent === undefined ? undefined : bindSessionUserAgent === true || bindSessionUserAgent === 'true'
             });
           }
           
+          if (req.body.allowLegacyTokenAuth !== undefined) {
+            await this.config.setAllowLegacyTokenAuth(
+              req.body.allowLegacyTokenAuth === true || req.body.allowLegacyTokenAuth === 'true');
+          }
+          
+          const { userRateBurst, userRatePerMinute } = req.body;
+          if (userRateBurst !== undefined || userRatePerMinute !== undefined) {
+            const current = this.config.getUserRateLimit();
+            await this.config.setUserRateLimit(
+              userRateBurst === undefined ? current.burst : parseInt(userRateBurst),
+              userRatePerMinute === undefined ? current.perMinute : parseInt(userRatePerMinute)
+            );
+          }
+          
+          await this.adminBot.sendAlert('system', 'System configuration updated');
+          
+          res.json({ success: true });
+          
         } catch (error) {
-          console.error('Approve bot error:', error);
-          res.status(500).json({ success: false, error: 'Failed to approve bot' });
+          console.error('Save system config error:', error);
+          res.status(500).json({ success: false, error: error.message });
         }
       });
 
-    // Disconnect bot
-    this.router.post('/disconnect-bot', auth, csrf,
-      [body('botId').trim().notEmpty().withMessage('Bot ID required')],
+    // Security log (?severity=&type=&ip=&botId=&from=&to=&limit=)
+    this.router.get('/security-log', auth, can('view'), async (req, res) => {
+      try {
+        const filters = {};
+        for (const key of ['severity', 'type', 'ip', 'botId', 'from', 'to', 'limit']) {
+          if (typeof req.query[key] === 'string' && req.query[key].trim()) {
+            filters[key] = req.query[key].trim().substring(0, 100);
+          }
+        }
+        
+        for (const key of ['from', 'to']) {
+          if (filters[key] && isNaN(new Date(filters[key]).getTime())) {
+            return res.status(400).json({ success: false, error: `Invalid ${key} date` });
+          }
+        }
+        
+        const events = await this.securityLog.query(filters);
+        res.json({ success: true, events });
+      } catch (error) {
+        console.error('Security log error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load security log' });
+      }
+    });
+
+    // IP blocklist: automatic and manual blocks, allow list and current scores
+    this.router.get('/ip-blocks', auth, can('view'), async (req, res) => {
+      try {
+        res.json({ success: true, ...this.ipReputation.getStatus(), yourIp: req.ip });
+      } catch (error) {
+        console.error('Get IP blocks error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load IP blocks' });
+      }
+    });
+
+    this.router.post('/ip-blocks/block', auth, csrf, can('security'),
+      [
+        body('target').trim().notEmpty().isLength({ max: 64 }).withMessage('IP or CIDR required'),
+        body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long'),
+        body('durationMinutes').optional({ nullable: true }).isInt({ min: 1, max: 525600 }).withMessage('Duration must be 1-525600 minutes')
+      ],
       async (req, res) => {
         try {
           const errors = validationResult(req);
           if (!errors.isEmpty()) {
             return res.status(400).json({ 
               success: false, 
-              error: 'Invalid input'
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
             });
           }
 
-          const { botId } = req.body;
-          const sanitizedBotId = this.security.sanitizeInput(botId);
+          const { target, reason, durationMinutes } = req.body;
+          const parsed = this.ipReputation.parseTarget(target);
+          if (!parsed) {
+            return res.status(400).json({ success: false, error: 'Invalid IP address or CIDR range' });
+          }
           
-          const bot = this.storage.getBotById(sanitizedBotId);
+          // Don't let an admin lock themselves out of the panel
+          if (this.ipReputation.covers(parsed.target, req.ip)) {
+            return res.status(400).json({ success: false, error: 'This block would include your own IP' });
+          }
           
-          if (!bot) {
-            return res.status(404).json({ success: false, error: 'Bot not found' });
+          const entry = await this.ipReputation.addBlock(parsed.target, {
+            reason: reason ? this.security.sanitizeInput(reason) || '' : '',
+            source: 'manual',
+            expiresAt: durationMinutes ? new Date(Date.now() + durationMinutes * 60000).toISOString() : null,
+            createdBy: req.adminSession.username
+          });
+          
+          await this.adminBot.sendAlert('security', `IP ${entry.target} blocked by ${req.adminSession.username}`);
+          res.json({ success: true, block: entry });
+          
+        } catch (error) {
+          console.error('Block IP error:', error);
+          res.status(500).json({ success: false, error: 'Failed to block IP' });
+        }
+      });
+
+    this.router.post('/ip-blocks/unblock', auth, csrf, can('security'),
+      [body('target').trim().notEmpty().isLength({ max: 64 }).withMessage('IP or CIDR required')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, error: 'Invalid input' });
+          }
+
+          const removed = await this.ipReputation.removeBlock(req.body.target);
+          if (!removed) {
+            return res.status(404).json({ success: false, error: 'Block not found' });
           }
           
-          await this.storage.createOperationBackup('disconnect_bot', {
-            botId: sanitizedBotId,
-            botUsername: bot.botUsername,
-            previousStatus: bot.status,
-            timestamp: new Date().toISOString(),
-            disconnectedBy: req.adminSession.username
+          res.json({ success: true });
+          
+        } catch (error) {
+          console.error('Unblock IP error:', error);
+          res.status(500).json({ success: false, error: 'Failed to unblock IP' });
+        }
+      });
+
+    this.router.post('/ip-blocks/allow', auth, csrf, can('security'),
+      [
+        body('target').trim().notEmpty().isLength({ max: 64 }).withMessage('IP or CIDR required'),
+        body('note').optional().trim().isLength({ max: 500 }).withMessage('Note too long')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, error: 'Invalid input' });
+          }
+
+          if (!this.ipReputation.parseTarget(req.body.target)) {
+            return res.status(400).json({ success: false, error: 'Invalid IP address or CIDR range' });
+          }
+          
+          const entry = await this.ipReputation.addAllow(req.body.target, {
+            note: req.body.note ? this.security.sanitizeInput(req.body.note) || '' : '',
+            createdBy: req.adminSession.username
           });
           
-          const success = await this.storage.updateBotStatusAtomic(sanitizedBotId, 'disconnected');
+          res.json({ success: true, allow: entry });
           
-          if (success) {
-            await this.botManager.stopBot(sanitizedBotId);
-            await this.adminBot.sendAlert('moderation', `Bot ${sanitizedBotId} has been disconnected`);
-            return res.json({ success: true });
-          } else {
-            return res.status(404).json({ success: false, error: 'Bot not found' });
+        } catch (error) {
+          console.error('Allow IP error:', error);
+          res.status(500).json({ success: false, error: 'Failed to update allow list' });
+        }
+      });
+
+    this.router.post('/ip-blocks/unallow', auth, csrf, can('security'),
+      [body('target').trim().notEmpty().isLength({ max: 64 }).withMessage('IP or CIDR required')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, error: 'Invalid input' });
+          }
+
+          const removed = await this.ipReputation.removeAllow(req.body.target);
+          if (!removed) {
+            return res.status(404).json({ success: false, error: 'Allow entry not found' });
           }
           
+          res.json({ success: true });
+          
         } catch (error) {
-          console.error('Disconnect bot error:', error);
-          res.status(500).json({ success: false, error: 'Failed to disconnect bot' });
+          console.error('Unallow IP error:', error);
+          res.status(500).json({ success: false, error: 'Failed to update allow list' });
         }
       });
 
-    // Ban user
-    this.router.post('/ban-user', auth, csrf,
+    // Create backup
+    this.router.post('/create-backup', auth, csrf, can('backups'), async (req, res) => {
+      try {
+        const result = await this.storage.createBackup('manual');
+        
+        if (result.success) {
+          await this.adminBot.sendBackupReport(result);
+        }
+        
+        res.json(result);
+        
+      } catch (error) {
+        console.error('Create backup error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create backup' });
+      }
+    });
+
+    // Get backup history
+    this.router.get('/backups', auth, can('view'), async (req, res) => {
+      try {
+        const backups = await this.storage.listBackups();
+        
+        res.json({ success: true, backups });
+        
+      } catch (error) {
+        console.error('Get backups error:', error);
+        res.json({ success: true, backups: [] });
+      }
+    });
+    
+    // Backup retention policy (applied by the scheduled backup job)
+    this.router.get('/backups/retention', auth, can('view'), async (req, res) => {
+      res.json({ success: true, retention: this.config.getBackupRetention() });
+    });
+
+    this.router.post('/backups/retention', auth, csrf, can('backups'),
       [
-        body('userId').trim().notEmpty().withMessage('User ID required'),
-        body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+        body('keepDaily').isInt({ min: 0, max: 365 }).withMessage('keepDaily must be between 0 and 365'),
+        body('keepWeekly').isInt({ min: 0, max: 104 }).withMessage('keepWeekly must be between 0 and 104'),
+        body('apply').optional().isBoolean().withMessage('apply must be a boolean')
       ],
       async (req, res) => {
         try {
@@ -544,115 +2045,282 @@ class AdminRoutes {
           if (!errors.isEmpty()) {
             return res.status(400).json({ 
               success: false, 
-              error: 'Invalid input'
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
             });
           }
 
-          const { userId, reason } = req.body;
-          const sanitizedUserId = this.security.sanitizeInput(userId);
-          const sanitizedReason = this.security.sanitizeInput(reason || 'No reason provided');
-          
-          // MINOR FIX #10: Validate userId is a number
-          if (!/^\d+$/.test(sanitizedUserId)) {
+          await this.config.setBackupRetention(parseInt(req.body.keepDaily), parseInt(req.body.keepWeekly));
+          const retention = this.config.getBackupRetention();
+
+          let removed = [];
+          if (req.body.apply === true) {
+            removed = await this.storage.applyBackupRetention(retention);
+          }
+
+          res.json({ success: true, retention, removed });
+
+        } catch (error) {
+          console.error('Backup retention error:', error);
+          res.status(500).json({ success: false, error: 'Failed to save retention policy' });
+        }
+      }
+    );
+
+    this.router.get('/backups/:id/verify', auth, can('backups'), async (req, res) => {
+      try {
+        const result = await this.storage.verifyBackup(req.params.id);
+        if (!result) {
+          return res.status(404).json({ success: false, error: 'Backup not found' });
+        }
+        
+        res.json({ success: true, ...result });
+        
+      } catch (error) {
+        console.error('Verify backup error:', error);
+        res.status(500).json({ success: false, error: 'Failed to verify backup' });
+      }
+    });
+
+    // Restore is a dry run (diff only) unless dryRun is explicitly false
+    this.router.post('/backups/:id/restore', auth, csrf, can('backups'),
+      [body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, error: 'Invalid input' });
+          }
+
+          const { status, body: result } = await this.restoreBackupById(req.params.id, req.body.dryRun !== false);
+          res.status(status).json(result);
+
+        } catch (error) {
+          console.error('Restore backup error:', error);
+          res.status(500).json({ success: false, error: 'Failed to restore backup' });
+        }
+      }
+    );
+
+    // Encrypted archive download (directory backups are packed on the fly)
+    this.router.get('/backups/:id/download', auth, can('backups'), async (req, res) => {
+      try {
+        if (!this.storage.getBackupEncryptionKey()) {
+          return res.status(400).json({ success: false, error: 'BACKUP_ENCRYPTION_KEY is not configured' });
+        }
+
+        const archive = await this.storage.getBackupArchive(req.params.id);
+        if (!archive) {
+          return res.status(404).json({ success: false, error: 'Backup not found' });
+        }
+
+        res.set({
+          'Content-Type': 'application/octet-stream',
+          'Content-Disposition': `attachment; filename="${req.params.id}${this.storage.backupArchive.EXTENSION}"`,
+          'Cache-Control': 'no-store'
+        });
+        res.send(archive);
+
+      } catch (error) {
+        console.error('Download backup error:', error);
+        res.status(500).json({ success: false, error: 'Failed to download backup' });
+      }
+    });
+
+    // Upload an archive (raw body); it is stored as a backup, then diffed or restored (?dryRun=false)
+    this.router.post('/backups/upload', auth, csrf, can('backups'),
+      express.raw({ type: 'application/octet-stream', limit: '100mb' }),
+      async (req, res) => {
+        try {
+          if (!this.storage.getBackupEncryptionKey()) {
+            return res.status(400).json({ success: false, error: 'BACKUP_ENCRYPTION_KEY is not configured' });
+          }
+          if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ success: false, error: 'Send the archive as application/octet-stream' });
+          }
+
+          let imported;
+          try {
+            imported = await this.storage.importBackupArchive(req.body);
+          } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+          }
+
+          const { status, body: result } = await this.restoreBackupById(imported.backupId, req.query.dryRun !== 'false');
+          res.status(status).json({ ...result, backupId: imported.backupId });
+
+        } catch (error) {
+          console.error('Upload backup error:', error);
+          res.status(500).json({ success: false, error: 'Failed to import backup' });
+        }
+      }
+    );
+
+    this.router.post('/backups/:id/delete', auth, csrf, can('backups'), async (req, res) => {
+      try {
+        const deleted = await this.storage.deleteBackup(req.params.id);
+        if (!deleted) {
+          return res.status(404).json({ success: false, error: 'Backup not found' });
+        }
+        
+        res.json({ success: true });
+        
+      } catch (error) {
+        console.error('Delete backup error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete backup' });
+      }
+    });
+
+    // Scheduled jobs
+    this.router.get('/jobs', auth, can('view'), async (req, res) => {
+      try {
+        res.json({ success: true, jobs: this.scheduler.listJobs() });
+      } catch (error) {
+        console.error('Get jobs error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load jobs' });
+      }
+    });
+
+    this.router.post('/jobs/update', auth, csrf, can('jobs'),
+      [
+        body('name').trim().notEmpty().withMessage('Job name required'),
+        body('schedule').optional().isString().isLength({ min: 9, max: 100 }).withMessage('Invalid schedule'),
+        body('enabled').optional().isBoolean().toBoolean(true).withMessage('enabled must be a boolean'),
+        body('options').optional().isObject().withMessage('options must be an object')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
             return res.status(400).json({ 
               success: false, 
-              error: 'Invalid user ID format' 
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
             });
           }
-          
-          const userBots = this.storage.getBotsByOwner(sanitizedUserId);
-          
-          await this.storage.createOperationBackup('ban_user', {
-            userId: sanitizedUserId,
-            reason: sanitizedReason,
-            timestamp: new Date().toISOString(),
-            bannedBy: req.adminSession.username,
-            botsAffected: userBots.map(b => ({
-              id: b.id,
-              botUsername: b.botUsername,
-              status: b.status
-            }))
-          });
-          
-          await this.storage.addBannedUser(sanitizedUserId, sanitizedReason);
-          
-          // Disconnect all bots owned by this user
-          for (const bot of userBots) {
-            await this.storage.updateBotStatusAtomic(bot.id, 'disconnected');
-            await this.botManager.stopBot(bot.id);
+
+          const { name, schedule, enabled, options } = req.body;
+          if (!this.scheduler.jobs.has(name)) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
           }
-          
-          await this.adminBot.sendAlert('ban', 
-            `User ${sanitizedUserId} banned. ${userBots.length} bot(s) disconnected.\nReason: ${sanitizedReason}`
+
+          let job;
+          try {
+            job = await this.scheduler.updateJob(name, { schedule, enabled, options });
+          } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+          }
+
+          await this.adminBot.sendAlert('system', 
+            `Scheduled job ${name} updated: ${job.schedule}${job.enabled ? '' : ' (paused)'}`
           );
-          
-          res.json({ success: true, botsDisconnected: userBots.length });
-          
+
+          res.json({ success: true, job });
+
+        } catch (error) {
+          console.error('Update job error:', error);
+          res.status(500).json({ success: false, error: 'Failed to update job' });
+        }
+      }
+    );
+
+    // Pause/resume are shorthands for enabled=false/true
+    for (const [action, enabled] of [['pause', false], ['resume', true]]) {
+      this.router.post(`/jobs/${action}`, auth, csrf, can('jobs'),
+        [body('name').trim().notEmpty().withMessage('Job name required')],
+        async (req, res) => {
+          try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+              return res.status(400).json({ success: false, error: 'Invalid input' });
+            }
+
+            const { name } = req.body;
+            if (!this.scheduler.jobs.has(name)) {
+              return res.status(404).json({ success: false, error: 'Job not found' });
+            }
+
+            const job = await this.scheduler.updateJob(name, { enabled });
+            res.json({ success: true, job });
+
+          } catch (error) {
+            console.error(`Job ${action} error:`, error);
+            res.status(500).json({ success: false, error: `Failed to ${action} job` });
+          }
+        }
+      );
+    }
+
+    this.router.post('/jobs/run', auth, csrf, can('jobs'),
+      [body('name').trim().notEmpty().withMessage('Job name required')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, error: 'Invalid input' });
+          }
+
+          const { name } = req.body;
+          const job = this.scheduler.jobs.get(name);
+          if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+          }
+          if (job.state.running) {
+            return res.status(409).json({ success: false, error: 'Job is already running' });
+          }
+
+          try {
+            const result = await this.scheduler.runJob(name, 'manual');
+            res.json({ success: true, result: result === undefined ? null : result });
+          } catch (error) {
+            res.status(500).json({ success: false, error: `Job failed: ${error.message}` });
+          }
+
         } catch (error) {
-          console.error('Ban user error:', error);
-          res.status(500).json({ success: false, error: 'Failed to ban user' });
+          console.error('Run job error:', error);
+          res.status(500).json({ success: false, error: 'Failed to run job' });
         }
-      });
-
-    // Get banned users
-    this.router.get('/banned-users', auth, async (req, res) => {
-      try {
-        const users = await this.storage.getBannedUsers();
-        res.json({ success: true, users });
-      } catch (error) {
-        console.error('Get banned users error:', error);
-        res.status(500).json({ success: false, error: 'Failed to load banned users' });
       }
+    );
+
+    // Admin accounts (owner only)
+    this.router.get('/accounts', auth, can('accounts'), (req, res) => {
+      res.json({ success: true, accounts: this.accounts.listAccounts(), roles: AdminAccounts.ROLE_PERMISSIONS });
     });
 
-    // Unban user
-    this.router.post('/unban-user', auth, csrf,
-      [body('userId').trim().notEmpty().withMessage('User ID required')],
+    this.router.post('/accounts/create', auth, csrf, can('accounts'),
+      [
+        body('username').trim().notEmpty().isLength({ max: 32 }).withMessage('Username required'),
+        body('password').isString().isLength({ max: 1000 }).withMessage('Password required'),
+        body('role').isIn(Object.keys(AdminAccounts.ROLE_PERMISSIONS)).withMessage('Invalid role')
+      ],
       async (req, res) => {
         try {
           const errors = validationResult(req);
           if (!errors.isEmpty()) {
             return res.status(400).json({ 
               success: false, 
-              error: 'Invalid input'
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
             });
           }
 
-          const { userId } = req.body;
-          const sanitizedUserId = this.security.sanitizeInput(userId);
-          
-          if (!/^\d+$/.test(sanitizedUserId)) {
-            return res.status(400).json({ 
-              success: false, 
-              error: 'Invalid user ID format' 
-            });
-          }
-          
-          await this.storage.createOperationBackup('unban_user', {
-            userId: sanitizedUserId,
-            timestamp: new Date().toISOString(),
-            unbannedBy: req.adminSession.username
-          });
-          
-          const config = await this.storage.loadConfig('banned_users') || { users: [] };
-          config.users = config.users.filter(u => u.userId !== sanitizedUserId);
-          await this.storage.saveConfig('banned_users', config);
+          const { username, password, role } = req.body;
+          const account = await this.accounts.createAccount(username, password, role, req.adminSession.username);
           
-          await this.adminBot.sendAlert('moderation', `User ${sanitizedUserId} has been unbanned`);
-          
-          res.json({ success: true });
+          await this.adminBot.sendAlert('system', `Admin account ${username} (${role}) created by ${req.adminSession.username}`);
+          res.json({ success: true, account });
           
         } catch (error) {
-          console.error('Unban user error:', error);
-          res.status(500).json({ success: false, error: 'Failed to unban user' });
+          res.status(400).json({ success: false, error: error.message });
         }
       });
 
-    // Send message to bot owner
-    this.router.post('/send-message', auth, csrf,
+    this.router.post('/accounts/update', auth, csrf, can('accounts'),
       [
-        body('botId').trim().notEmpty().withMessage('Bot ID required'),
-        body('message').trim().notEmpty().isLength({ max: 4000 }).withMessage('Message too long')
+        body('username').trim().notEmpty().withMessage('Username required'),
+        body('role').optional().isIn(Object.keys(AdminAccounts.ROLE_PERMISSIONS)).withMessage('Invalid role'),
+        body('disabled').optional().isBoolean().toBoolean(true).withMessage('disabled must be true or false')
       ],
       async (req, res) => {
         try {
@@ -660,227 +2328,383 @@ class AdminRoutes {
           if (!errors.isEmpty()) {
             return res.status(400).json({ 
               success: false, 
-              error: 'Invalid input'
+              error: 'Invalid input',
+              details: errors.array().map(e => e.msg)
             });
           }
 
-          const { botId, message } = req.body;
-          const sanitizedBotId = this.security.sanitizeInput(botId);
-          const sanitizedMessage = this.security.sanitizeInput(message);
-          
-          if (!sanitizedMessage) {
-            return res.status(400).json({ success: false, error: 'Invalid message content' });
+          const { username, role, disabled } = req.body;
+          const account = await this.accounts.updateAccount(username, { role, disabled }, req.adminSession.username);
+          if (!account) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
           }
           
-          const bot = this.storage.getBotById(sanitizedBotId);
-          
-          if (!bot || !bot.ownerId) {
-            return res.status(404).json({ success: false, error: 'Bot or owner not found' });
+          if (account.disabled) {
+            await this.revokeSessions(username);
           }
           
-          await this.botManager.sendAdminMessage(sanitizedBotId, bot.ownerId, sanitizedMessage);
-          
-          res.json({ success: true });
+          res.json({ success: true, account });
           
         } catch (error) {
-          console.error('Send message error:', error);
-          res.status(500).json({ success: false, error: 'Failed to send message' });
+          res.status(400).json({ success: false, error: error.message });
         }
       });
 
-    // Get admin config
-    this.router.get('/config/admin', auth, async (req, res) => {
-      try {
-        const config = await this.storage.loadConfig('admin') || {};
-        
-        // SECURITY FIX: Don't send sensitive tokens to client
-        const safeConfig = {
-          telegramUserId: config.telegramUserId || null,
-          botToken: config.botToken ? '••••••' + config.botToken.slice(-4) : null,
-          channelId: config.channelId || null
-        };
-        
-        res.json({ success: true, config: safeConfig });
-        
-      } catch (error) {
-        console.error('Get admin config error:', error);
-        res.status(500).json({ success: false, error: 'Failed to load config' });
-      }
-    });
-
-    // MINOR FIX #11: Save admin config with enhanced validation
-    this.router.post('/config/admin', auth, csrf,
+    this.router.post('/accounts/reset-password', auth, csrf, can('accounts'),
       [
-        body('telegramUserId').optional().isInt({ min: 1 }).withMessage('Invalid user ID'),
-        body('botToken').optional().trim().isLength({ min: 40, max: 100 }).withMessage('Invalid token length'),
-        body('channelId').optional().trim().matches(/^(@[a-zA-Z0-9_]{5,32}|-100\d{10,})$/).withMessage('Invalid channel format')
+        body('username').trim().notEmpty().withMessage('Username required'),
+        body('password').isString().isLength({ max: 1000 }).withMessage('Password required')
       ],
       async (req, res) => {
         try {
           const errors = validationResult(req);
           if (!errors.isEmpty()) {
-            return res.status(400).json({ 
-              success: false, 
-              error: 'Invalid input',
-              details: errors.array().map(e => e.msg)
-            });
+            return res.status(400).json({ success: false, error: 'Invalid input' });
           }
 
-          const { telegramUserId, botToken, channelId } = req.body;
-          
-          await this.config.setAdminConfig(telegramUserId, botToken, channelId);
-          
-          // Reinitialize admin bot with new config
-          await this.adminBot.initialize();
+          const { username, password } = req.body;
+          const updated = await this.accounts.setPassword(username, password);
+          if (!updated) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+          }
           
-          await this.adminBot.sendAlert('system', 'Admin configuration updated');
+          // Existing sessions were opened with the old password
+          const token = req.headers.authorization.substring(7);
+          const revoked = await this.revokeSessions(username, token);
           
-          res.json({ success: true });
+          res.json({ success: true, sessionsRevoked: revoked });
           
         } catch (error) {
-          console.error('Save admin config error:', error);
-          res.status(500).json({ success: false, error: 'Failed to save config' });
+          res.status(400).json({ success: false, error: error.message });
         }
       });
 
-    // Get system config
-    this.router.get('/config/system', auth, async (req, res) => {
-      try {
-        const config = this.config.getSystemSettings();
-        res.json({ success: true, config });
-      } catch (error) {
-        console.error('Get system config error:', error);
-        res.status(500).json({ success: false, error: 'Failed to load config' });
-      }
-    });
-
-    // Save system config
-    this.router.post('/config/system', auth, csrf,
-      [
-        body('maxJsonSizeMB').optional().isInt({ min: 1, max: 50 }).withMessage('Invalid size'),
-        body('welcomeMessage').optional().trim().isLength({ max: 500 }).withMessage('Message too long'),
-        body('invalidInputMessage').optional().trim().isLength({ max: 500 }).withMessage('Message too long')
-      ],
+    // Remove 2FA from an account that lost its authenticator; it re-enrolls on next login if required
+    this.router.post('/accounts/reset-2fa', auth, csrf, can('accounts'),
+      [body('username').trim().notEmpty().withMessage('Username required')],
       async (req, res) => {
         try {
           const errors = validationResult(req);
           if (!errors.isEmpty()) {
-            return res.status(400).json({ 
-              success: false, 
-              error: 'Invalid input'
-            });
+            return res.status(400).json({ success: false, error: 'Invalid input' });
           }
 
-          const { maxJsonSizeMB, welcomeMessage, invalidInputMessage } = req.body;
-          
-          if (maxJsonSizeMB) {
-            await this.config.setMaxJsonSize(maxJsonSizeMB);
+          const { username } = req.body;
+          if (username === req.adminSession.username) {
+            return res.status(400).json({ success: false, error: 'Use the two-factor settings to change your own account' });
           }
-          
-          if (welcomeMessage) {
-            await this.config.setWelcomeMessage(welcomeMessage);
+          if (!await this.accounts.disableTwoFactor(username)) {
+            return res.status(404).json({ success: false, error: 'Account has no two-factor authentication' });
           }
           
-          if (invalidInputMessage) {
-            await this.config.setInvalidInputMessage(invalidInputMessage);
+          const revoked = await this.revokeSessions(username);
+          await this.adminBot.sendAlert('system',
+            `Admin ${req.adminSession.username} reset two-factor authentication of ${username}`);
+          
+          res.json({ success: true, sessionsRevoked: revoked });
+          
+        } catch (error) {
+          console.error('Reset 2FA error:', error);
+          res.status(500).json({ success: false, error: 'Failed to reset two-factor authentication' });
+        }
+      });
+
+    this.router.post('/accounts/delete', auth, csrf, can('accounts'),
+      [body('username').trim().notEmpty().withMessage('Username required')],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, error: 'Invalid input' });
+          }
+
+          const { username } = req.body;
+          if (username === req.adminSession.username) {
+            return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
           }
           
-          await this.adminBot.sendAlert('system', 'System configuration updated');
+          const deleted = await this.accounts.deleteAccount(username);
+          if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+          }
           
+          await this.revokeSessions(username);
+          await this.adminBot.sendAlert('system', `Admin account ${username} deleted by ${req.adminSession.username}`);
           res.json({ success: true });
           
         } catch (error) {
-          console.error('Save system config error:', error);
-          res.status(500).json({ success: false, error: error.message });
+          res.status(400).json({ success: false, error: error.message });
         }
       });
 
-    // Security log
-    this.router.get('/security-log', auth, async (req, res) => {
+    // SECURITY FIX: Cleanup endpoint for expired sessions/tokens
+    this.router.post('/cleanup', auth, csrf, can('maintenance'), async (req, res) => {
       try {
-        // TODO: Implement actual security log storage
-        res.json({ success: true, events: [] });
+        const cleaned = await this.cleanupExpiredSessions();
+        
+        res.json({ success: true, message: `Cleaned ${cleaned} expired sessions` });
       } catch (error) {
-        res.json({ success: true, events: [] });
+        console.error('Cleanup error:', error);
+        res.status(500).json({ success: false, error: 'Cleanup failed' });
       }
     });
+  }
 
-    // Create backup
-    this.router.post('/create-backup', auth, csrf, async (req, res) => {
-      try {
-        const result = await this.storage.createBackup();
-        
-        if (result.success) {
-          await this.adminBot.sendBackupReport(result);
+  // Reverse an approve/disconnect/ban/unban from its journal entry; refuses when the
+  // current state no longer matches what the operation left behind
+  async undoOperation(operation, username) {
+    const conflict = (error) => ({ status: 409, body: { success: false, error } });
+    
+    if (operation.undo) {
+      return conflict('Operation already undone');
+    }
+    
+    const { data } = operation;
+    const changes = [];
+    
+    switch (operation.operation) {
+      case 'approve_bot':
+      case 'disconnect_bot': {
+        const bot = this.storage.getBotById(data.botId, false);
+        if (!bot) {
+          return { status: 404, body: { success: false, error: 'Bot not found' } };
         }
         
-        res.json(result);
+        const resultStatus = operation.operation === 'approve_bot' ? 'approved' : 'disconnected';
+        if (!data.previousStatus || data.previousStatus === resultStatus) {
+          return conflict('Nothing to undo');
+        }
+        if (bot.status !== resultStatus) {
+          return conflict(`Bot status changed since this operation (now ${bot.status})`);
+        }
         
-      } catch (error) {
-        console.error('Create backup error:', error);
-        res.status(500).json({ success: false, error: 'Failed to create backup' });
+        await this.storage.updateBotStatusAtomic(bot.id, data.previousStatus);
+        await this.applyRestoredStatus(bot.id, data.previousStatus);
+        changes.push({ id: bot.id, botUsername: bot.botUsername, status: resultStatus, restoredStatus: data.previousStatus });
+        break;
       }
-    });
-
-    // Get backup history
-    this.router.get('/backups', auth, async (req, res) => {
-      try {
-        const fsSync = require('fs');
-        const backupsDir = path.join(__dirname, '..', 'data', 'backups');
-        
-        const dirs = fsSync.readdirSync(backupsDir);
-        const backups = [];
-        
-        for (const dir of dirs) {
-          if (dir.startsWith('backup_')) {
-            try {
-              const manifestPath = path.join(backupsDir, dir, 'manifest.json');
-              const manifest = JSON.parse(fsSync.readFileSync(manifestPath, 'utf8'));
-              backups.push(manifest);
-            } catch (e) {
-              // Skip invalid backups
+      
+      case 'ban_user': {
+        if (!await this.storage.isBanned(data.userId)) {
+          return conflict('User is no longer banned');
+        }
+        
+        const config = await this.storage.loadConfig('banned_users') || { users: [] };
+        config.users = config.users.filter(u => u.userId !== data.userId);
+        await this.storage.saveConfig('banned_users', config);
+        
+        // Bring back bots the ban disconnected and the ownership it moved, unless changed since
+        for (const affected of data.botsAffected || []) {
+          const bot = this.storage.getBotById(affected.id, false);
+          if (bot && affected.action === 'owner_replaced') {
+            if (this.botMembers.sameUser(bot.ownerId, affected.newOwnerId)) {
+              // The successor goes back to being a co-owner
+              const members = this.botMembers.getMembers(bot).filter(entry => !this.botMembers.sameUser(entry.userId, data.userId));
+              this.storage.setBotOwnership(bot.id, { ownerId: Number(data.userId), members: [affected.successor, ...members] });
+              await this.apiKeys.revoke(bot.id, `admin:${username}`);
+              this.botManager.applyBotUpdate(bot.id, { ownerId: Number(data.userId) });
+              changes.push({ id: bot.id, botUsername: bot.botUsername, action: 'owner_restored', ownerId: data.userId });
+            }
+            continue;
+          }
+          if (bot && affected.action === 'member_removed') {
+            if (bot.ownerId && !this.botMembers.getRole(bot, data.userId)) {
+              this.storage.setBotOwnership(bot.id, { members: this.botMembers.getMembers(bot).concat(affected.member) });
+              changes.push({ id: bot.id, botUsername: bot.botUsername, action: 'member_restored', role: affected.member.role });
             }
+            continue;
+          }
+          if (!bot || bot.status !== 'disconnected' ||
+              affected.status === 'disconnected' || affected.status === 'banned') {
+            continue;
           }
+          
+          await this.storage.updateBotStatusAtomic(bot.id, affected.status);
+          await this.applyRestoredStatus(bot.id, affected.status);
+          changes.push({ id: bot.id, botUsername: bot.botUsername, status: 'disconnected', restoredStatus: affected.status });
+        }
+        break;
+      }
+      
+      case 'unban_user': {
+        if (!data.previousBan) {
+          return conflict('No ban record to restore');
+        }
+        if (await this.storage.isBanned(data.userId)) {
+          return conflict('User is already banned');
         }
         
-        backups.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        
-        res.json({ success: true, backups });
+        const config = await this.storage.loadConfig('banned_users') || { users: [] };
+        config.users.push(data.previousBan);
+        await this.storage.saveConfig('banned_users', config);
         
-      } catch (error) {
-        console.error('Get backups error:', error);
-        res.json({ success: true, backups: [] });
+        // Same effect as the original ban on the user's bots and team memberships
+        const effects = await this.planBanEffects(data.userId);
+        await this.applyBanEffects(data.userId, effects, username);
+        for (const effect of effects) {
+          if (effect.action !== 'disconnected') {
+            changes.push(effect);
+          } else if (effect.status !== 'disconnected') {
+            changes.push({ ...effect, restoredStatus: 'disconnected' });
+          }
+        }
+        break;
       }
+      
+      default:
+        return { status: 400, body: { success: false, error: 'This operation cannot be undone' } };
+    }
+    
+    const undoOperationId = await this.storage.createOperationBackup(`undo_${operation.operation}`, {
+      undoOf: operation.id,
+      botId: data.botId,
+      userId: data.userId,
+      timestamp: new Date().toISOString(),
+      undoneBy: username,
+      botsAffected: changes
     });
     
-    // SECURITY FIX: Cleanup endpoint for expired sessions/tokens
-    this.router.post('/cleanup', auth, csrf, async (req, res) => {
-      try {
-        const now = Date.now();
-        let cleaned = 0;
+    await this.storage.markOperationUndone(operation.id, {
+      undoneAt: new Date().toISOString(),
+      undoneBy: username,
+      undoOperationId: undoOperationId || null
+    });
+    
+    await this.adminBot.sendAlert('moderation',
+      `Undo of ${operation.operation} by ${username}\nTarget: ${data.botUsername || data.botId || data.userId}\nBots changed: ${changes.length}`
+    );
+    
+    return { status: 200, body: { success: true, undoOperationId, changes } };
+  }
+
+  // What banning a user does to each bot: an owned bot goes to its earliest
+  // co-owner who is not banned, or is disconnected when there is none; team
+  // memberships are removed. Stored in the ban's journal entry for undo.
+  async planBanEffects(userId) {
+    const effects = [];
+    
+    for (const bot of this.storage.getBotsByOwner(userId)) {
+      const entry = { id: bot.id, botUsername: bot.botUsername, status: bot.status };
+      const successor = await this.botMembers.findSuccessor(bot, userId);
+      if (successor) {
+        effects.push({ ...entry, action: 'owner_replaced', newOwnerId: successor.userId, successor });
+      } else {
+        effects.push({ ...entry, action: 'disconnected' });
+      }
+    }
+    
+    for (const bot of this.storage.getBotsByMember(userId)) {
+      const member = this.botMembers.getMembers(bot).find(entry => this.botMembers.sameUser(entry.userId, userId));
+      effects.push({ id: bot.id, botUsername: bot.botUsername, status: bot.status, action: 'member_removed', member });
+    }
+    
+    return effects;
+  }
+
+  async applyBanEffects(userId, effects, username) {
+    for (const effect of effects) {
+      if (effect.action === 'owner_replaced') {
+        const bot = this.storage.getBotById(effect.id, false);
+        this.botMembers.setOwner(bot, effect.newOwnerId);
+        // The key may be in the banned user's hands
+        await this.apiKeys.revoke(effect.id, `admin:${username}`);
+        this.botManager.applyBotUpdate(effect.id, { ownerId: effect.newOwnerId });
         
-        // Cleanup expired sessions
-        for (const [token, session] of this.sessions.entries()) {
-          if (session.expires < now) {
-            this.sessions.delete(token);
-            cleaned++;
-          }
+        try {
+          await this.botManager.sendAdminMessage(effect.id, effect.newOwnerId, 
+            'The owner of this bot was banned, so you are now its owner. Send /apikey here for a new uploader API key.'
+          );
+        } catch (error) {
+          // Only works once the co-owner has started the bot
         }
-        
-        // Cleanup expired CSRF tokens
-        this.cleanupCSRFTokens();
-        
-        // Cleanup failed login attempts
-        this.cleanupFailedLogins();
-        
-        await this.saveSessions();
-        
-        res.json({ success: true, message: `Cleaned ${cleaned} expired sessions` });
-      } catch (error) {
-        console.error('Cleanup error:', error);
-        res.status(500).json({ success: false, error: 'Cleanup failed' });
+      } else if (effect.action === 'member_removed') {
+        this.botMembers.removeMember(effect.id, userId);
+      } else if (effect.status !== 'disconnected') {
+        await this.storage.updateBotStatusAtomic(effect.id, 'disconnected');
+        await this.botManager.stopBot(effect.id);
       }
-    });
+    }
+  }
+
+  // Start, update or stop a running bot to match a status set by an undo
+  async applyRestoredStatus(botId, status) {
+    if (status === 'disconnected' || status === 'banned') {
+      this.botManager.applyBotUpdate(botId, { status });
+      await this.botManager.stopBot(botId);
+    } else {
+      await this.botManager.refreshBot(botId);
+    }
+  }
+
+  // Verify, diff and (unless dryRun) restore a backup after taking a safety backup
+  async restoreBackupById(backupId, dryRun) {
+    const verification = await this.storage.verifyBackup(backupId);
+    if (!verification) {
+      return { status: 404, body: { success: false, error: 'Backup not found' } };
+    }
+    if (!verification.valid) {
+      return {
+        status: 409,
+        body: { success: false, error: verification.error || 'Backup checksum mismatch; refusing to restore' }
+      };
+    }
+
+    const diff = await this.storage.diffBackup(backupId);
+    if (dryRun) {
+      return { status: 200, body: { success: true, dryRun: true, diff } };
+    }
+
+    if (this.restoreInProgress) {
+      return { status: 409, body: { success: false, error: 'A restore is already in progress' } };
+    }
+    this.restoreInProgress = true;
+
+    try {
+      // SECURITY FIX: Safety backup so a bad restore can itself be undone
+      const safety = await this.storage.createBackup('pre-restore');
+      if (!safety.success) {
+        return { status: 500, body: { success: false, error: 'Safety backup failed; restore aborted' } };
+      }
+
+      await this.storage.restoreBackup(backupId);
+      await this.config.initialize();
+      await this.accounts.initialize();
+      await this.ipReputation.initialize();
+      await this.apiKeys.initialize();
+      await this.adminBot.initialize();
+      const reload = await this.botManager.reloadAllBots();
+
+      await this.adminBot.sendAlert('system', 
+        `Backup ${backupId} restored\nSafety backup: ${safety.backupId}\n` +
+        `Bots refreshed: ${reload.refreshed}, started: ${reload.started}, stopped: ${reload.stopped}`
+      );
+
+      return {
+        status: 200,
+        body: { success: true, dryRun: false, diff, safetyBackup: safety.backupId, reload }
+      };
+    } finally {
+      this.restoreInProgress = false;
+    }
+  }
+
+  // Expired sessions, CSRF tokens and failed logins (also run by the sessionCleanup job)
+  async cleanupExpiredSessions() {
+    const now = Date.now();
+    let cleaned = 0;
+    
+    for (const [token, session] of this.sessions.entries()) {
+      if (session.expires < now) {
+        this.sessions.delete(token);
+        cleaned++;
+      }
+    }
+    
+    this.cleanupCSRFTokens();
+    this.cleanupFailedLogins();
+    
+    await this.saveSessions();
+    return cleaned;
   }
 
   getRouter() {
@@ -0,0 +1,271 @@
+// analytics.js - Per-Bot End-User Analytics (daily buckets on disk)
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+class Analytics {
+  constructor(dataDir = path.join(__dirname, '..', 'data', 'analytics')) {
+    this.dataDir = dataDir;
+    this.bots = new Map(); // botId -> { days: { 'YYYY-MM-DD': bucket }, lastUsed }
+    this.dirty = new Set(); // botIds with unsaved changes
+
+    this.FLUSH_INTERVAL = 30000; // 30 seconds
+    this.RETENTION_DAYS = 400;
+    this.MAX_DAYS_QUERY = 365;
+    this.IDLE_EVICT_MS = 10 * 60 * 1000; // Saved bots unused this long are dropped from memory
+    this.flushInterval = null;
+    this.flushing = Promise.resolve();
+
+    this.botIdRegex = /^[a-zA-Z0-9_-]{1,64}$/;
+  }
+
+  async initialize() {
+    await fsPromises.mkdir(this.dataDir, { recursive: true });
+    await fsPromises.chmod(this.dataDir, 0o750);
+
+    this.flushInterval = setInterval(() => {
+      this.flush().catch(err => console.error('Analytics flush error:', err));
+    }, this.FLUSH_INTERVAL);
+    this.flushInterval.unref();
+  }
+
+  async shutdown() {
+    if (this.flushInterval) {
+      clearInterval(this.flushInterval);
+      this.flushInterval = null;
+    }
+    await this.flush();
+  }
+
+  getFilePath(botId) {
+    return path.join(this.dataDir, `bot_${botId}.json`);
+  }
+
+  dayKey(date = new Date()) {
+    return date.toISOString().substring(0, 10);
+  }
+
+  // Telegram user IDs are stored hashed; only distinct counts are needed
+  hashUser(botId, userId) {
+    return crypto.createHash('sha256').update(`${botId}:${userId}`).digest('hex').substring(0, 12);
+  }
+
+  // Bot's days from disk, only those from `fromKey` on when given
+  readBot(botId, fromKey = null) {
+    const state = { days: {}, lastUsed: Date.now() };
+    try {
+      const data = JSON.parse(fs.readFileSync(this.getFilePath(botId), 'utf8'));
+      if (data && data.days && typeof data.days === 'object') {
+        for (const [key, bucket] of Object.entries(data.days)) {
+          if (!fromKey || key >= fromKey) {
+            state.days[key] = bucket;
+          }
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading analytics for bot ${botId}:`, error);
+      }
+    }
+
+    // Unique users are kept as Sets in memory
+    for (const bucket of Object.values(state.days)) {
+      bucket.users = new Set(bucket.users || []);
+      bucket.files = bucket.files || {};
+      bucket.folders = bucket.folders || {};
+    }
+    return state;
+  }
+
+  loadBot(botId) {
+    let state = this.bots.get(botId);
+    if (!state) {
+      state = this.readBot(botId);
+      this.bots.set(botId, state);
+    }
+    state.lastUsed = Date.now();
+    return state;
+  }
+
+  getBucket(botId) {
+    const state = this.loadBot(botId);
+    const key = this.dayKey();
+    if (!state.days[key]) {
+      state.days[key] = { starts: 0, folderOpens: 0, downloads: 0, users: new Set(), files: {}, folders: {} };
+    }
+    this.dirty.add(botId);
+    return state.days[key];
+  }
+
+  isValidBotId(botId) {
+    return typeof botId === 'string' && this.botIdRegex.test(botId);
+  }
+
+  recordUser(botId, userId) {
+    if (!this.isValidBotId(botId) || !userId) return;
+    this.getBucket(botId).users.add(this.hashUser(botId, userId));
+  }
+
+  recordStart(botId, userId) {
+    if (!this.isValidBotId(botId)) return;
+    const bucket = this.getBucket(botId);
+    bucket.starts++;
+    if (userId) {
+      bucket.users.add(this.hashUser(botId, userId));
+    }
+  }
+
+  recordFolderOpen(botId, folderNodeId) {
+    if (!this.isValidBotId(botId)) return;
+    const bucket = this.getBucket(botId);
+    bucket.folderOpens++;
+    if (folderNodeId) {
+      bucket.folders[folderNodeId] = (bucket.folders[folderNodeId] || 0) + 1;
+    }
+  }
+
+  recordDownload(botId, fileNodeId) {
+    if (!this.isValidBotId(botId)) return;
+    const bucket = this.getBucket(botId);
+    bucket.downloads++;
+    if (fileNodeId) {
+      bucket.files[fileNodeId] = (bucket.files[fileNodeId] || 0) + 1;
+    }
+  }
+
+  // Write changed bots to disk (atomic temp file + rename), dropping expired days
+  flush() {
+    this.flushing = this.flushing.then(async () => {
+      const botIds = [...this.dirty];
+      this.dirty.clear();
+
+      const cutoff = this.dayKey(new Date(Date.now() - this.RETENTION_DAYS * 86400000));
+
+      for (const botId of botIds) {
+        const state = this.bots.get(botId);
+        if (!state) continue;
+
+        const days = {};
+        for (const [key, bucket] of Object.entries(state.days)) {
+          if (key < cutoff) {
+            delete state.days[key];
+            continue;
+          }
+          days[key] = { ...bucket, users: [...bucket.users] };
+        }
+
+        try {
+          const filePath = this.getFilePath(botId);
+          const tempPath = `${filePath}.tmp`;
+          await fsPromises.writeFile(tempPath, JSON.stringify({ botId, days }), 'utf8');
+          await fsPromises.rename(tempPath, filePath);
+          await fsPromises.chmod(filePath, 0o640);
+        } catch (error) {
+          console.error(`Error saving analytics for bot ${botId}:`, error);
+          this.dirty.add(botId);
+        }
+      }
+
+      this.evictIdle();
+    });
+    return this.flushing;
+  }
+
+  // Forget saved bots nobody used for a while; they are read again when needed
+  evictIdle() {
+    const now = Date.now();
+    for (const [botId, state] of this.bots.entries()) {
+      if (!this.dirty.has(botId) && now - state.lastUsed > this.IDLE_EVICT_MS) {
+        this.bots.delete(botId);
+      }
+    }
+  }
+
+  // Last `days` daily buckets (oldest first), including empty days
+  getDayKeys(days) {
+    const count = Math.min(Math.max(parseInt(days) || 30, 1), this.MAX_DAYS_QUERY);
+    const keys = [];
+    for (let i = count - 1; i >= 0; i--) {
+      keys.push(this.dayKey(new Date(Date.now() - i * 86400000)));
+    }
+    return keys;
+  }
+
+  getBotAnalytics(botId, days = 30) {
+    if (!this.isValidBotId(botId)) {
+      return null;
+    }
+    return this.summarize(botId, this.loadBot(botId), days);
+  }
+
+  summarize(botId, state, days) {
+    const uniqueUsers = new Set();
+    const files = {};
+    const folders = {};
+    const totals = { starts: 0, folderOpens: 0, downloads: 0, uniqueUsers: 0 };
+
+    const series = this.getDayKeys(days).map(key => {
+      const bucket = state.days[key];
+      if (!bucket) {
+        return { date: key, starts: 0, users: 0, folderOpens: 0, downloads: 0 };
+      }
+
+      totals.starts += bucket.starts;
+      totals.folderOpens += bucket.folderOpens;
+      totals.downloads += bucket.downloads;
+      bucket.users.forEach(user => uniqueUsers.add(user));
+      for (const [nodeId, count] of Object.entries(bucket.files)) {
+        files[nodeId] = (files[nodeId] || 0) + count;
+      }
+      for (const [nodeId, count] of Object.entries(bucket.folders)) {
+        folders[nodeId] = (folders[nodeId] || 0) + count;
+      }
+
+      return {
+        date: key,
+        starts: bucket.starts,
+        users: bucket.users.size,
+        folderOpens: bucket.folderOpens,
+        downloads: bucket.downloads
+      };
+    });
+
+    totals.uniqueUsers = uniqueUsers.size;
+    return { botId, days: series, totals, files, folders };
+  }
+
+  // Daily totals across all bots plus per-bot totals for ranking
+  getAggregate(botIds, days = 30) {
+    const keys = this.getDayKeys(days);
+    const series = keys.map(date => ({ date, starts: 0, users: 0, folderOpens: 0, downloads: 0 }));
+    const bots = [];
+    const totals = { starts: 0, folderOpens: 0, downloads: 0, uniqueUsers: 0 };
+
+    // Bots not in memory are read for the requested days only and not kept
+    for (const botId of botIds) {
+      if (!this.isValidBotId(botId)) continue;
+      const state = this.bots.get(botId) || this.readBot(botId, keys[0]);
+      const stats = this.summarize(botId, state, days);
+
+      stats.days.forEach((day, i) => {
+        series[i].starts += day.starts;
+        series[i].users += day.users; // per-bot unique users summed
+        series[i].folderOpens += day.folderOpens;
+        series[i].downloads += day.downloads;
+      });
+
+      totals.starts += stats.totals.starts;
+      totals.folderOpens += stats.totals.folderOpens;
+      totals.downloads += stats.totals.downloads;
+      totals.uniqueUsers += stats.totals.uniqueUsers;
+
+      bots.push({ botId, ...stats.totals });
+    }
+
+    bots.sort((a, b) => b.downloads - a.downloads || b.starts - a.starts);
+    return { days: series, totals, bots };
+  }
+}
+
+module.exports = Analytics;
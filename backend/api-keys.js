@@ -0,0 +1,113 @@
+// api-keys.js - Per-Bot Owner API Keys for the Uploader Endpoints
+const crypto = require('crypto');
+
+// Keys look like tfb_<id>_<secret>. Only a hash of the secret is stored; the id
+// is used for lookup and shown in the admin panel. Each bot has at most one
+// active key, issued to its owner after registration.
+class ApiKeys {
+  constructor(storage) {
+    this.storage = storage;
+    this.keys = []; // { id, botId, hash, createdAt, createdBy, lastUsedAt, lastUsedIp, revokedAt, revokedBy }
+
+    this.PREFIX = 'tfb';
+    this.keyRegex = /^tfb_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+    this.LAST_USED_SAVE_MS = 60 * 1000; // Usage timestamps are persisted at most once a minute per key
+  }
+
+  async initialize() {
+    const saved = await this.storage.loadConfig('api_keys');
+    this.keys = (saved && saved.keys) || [];
+  }
+
+  save() {
+    return this.storage.saveConfig('api_keys', { keys: this.keys })
+      .catch(error => console.error('Error saving API keys:', error));
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  // Key from an "Authorization: Bearer <key>" header, or null
+  parseAuthorization(header) {
+    if (typeof header !== 'string') return null;
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+  }
+
+  getActiveKey(botId) {
+    return this.keys.find(key => key.botId === botId && !key.revokedAt) || null;
+  }
+
+  // New key for a bot; any previous key stops working. The plain key is only returned here.
+  async issue(botId, createdBy) {
+    this.revokeActive(botId, createdBy);
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id,
+      botId,
+      hash: this.hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      createdBy,
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null,
+      revokedBy: null
+    };
+    this.keys.push(record);
+    await this.save();
+
+    return { key: `${this.PREFIX}_${id}_${secret}`, record: this.describe(record) };
+  }
+
+  revokeActive(botId, revokedBy) {
+    const active = this.getActiveKey(botId);
+    if (!active) return false;
+
+    active.revokedAt = new Date().toISOString();
+    active.revokedBy = revokedBy;
+    return true;
+  }
+
+  async revoke(botId, revokedBy) {
+    if (!this.revokeActive(botId, revokedBy)) {
+      return false;
+    }
+    await this.save();
+    return true;
+  }
+
+  // Active key record matching the presented key, or null
+  verify(presented, ip = null) {
+    const match = typeof presented === 'string' ? presented.match(this.keyRegex) : null;
+    if (!match) return null;
+
+    const record = this.keys.find(key => key.id === match[1] && !key.revokedAt);
+    if (!record) return null;
+
+    // SECURITY FIX: Constant-time comparison
+    const matches = crypto.timingSafeEqual(Buffer.from(this.hashSecret(match[2])), Buffer.from(record.hash));
+    if (!matches) return null;
+
+    const now = Date.now();
+    const persist = !record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() > this.LAST_USED_SAVE_MS;
+    record.lastUsedAt = new Date(now).toISOString();
+    record.lastUsedIp = ip;
+    if (persist) {
+      this.save();
+    }
+
+    return record;
+  }
+
+  // Public view of a key (never the hash)
+  describe(record) {
+    if (!record) return null;
+    const { hash, ...rest } = record;
+    return { ...rest, prefix: `${this.PREFIX}_${record.id}` };
+  }
+}
+
+module.exports = ApiKeys;
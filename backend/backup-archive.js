@@ -0,0 +1,158 @@
+// backup-archive.js - Encrypted, Compressed Single-File Backups (tar + gzip + AES-256-GCM)
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const scrypt = promisify(crypto.scrypt);
+
+// File layout: MAGIC | salt (16) | iv (12) | auth tag (16) | AES-256-GCM(gzip(tar))
+class BackupArchive {
+  constructor() {
+    this.MAGIC = Buffer.from('TGBKP01\n');
+    this.SALT_LENGTH = 16;
+    this.IV_LENGTH = 12;
+    this.TAG_LENGTH = 16;
+    this.BLOCK = 512;
+    this.MAX_ENTRIES = 100000;
+    this.MAX_UNPACKED_BYTES = 512 * 1024 * 1024; // Guard against gzip bombs
+    this.EXTENSION = '.tar.gz.enc';
+  }
+
+  // Key derived per archive from the environment secret and a random salt
+  async deriveKey(secret, salt) {
+    if (!secret) {
+      throw new Error('BACKUP_ENCRYPTION_KEY is not set');
+    }
+    return scrypt(secret, salt, 32, { N: 16384, r: 8, p: 1 });
+  }
+
+  // files: Map of relative path -> Buffer
+  async create(files, secret) {
+    const compressed = await gzip(this.pack(files), { level: 9 });
+
+    const salt = crypto.randomBytes(this.SALT_LENGTH);
+    const iv = crypto.randomBytes(this.IV_LENGTH);
+    const key = await this.deriveKey(secret, salt);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(this.MAGIC);
+    const encrypted = Buffer.concat([cipher.update(compressed), cipher.final()]);
+
+    return Buffer.concat([this.MAGIC, salt, iv, cipher.getAuthTag(), encrypted]);
+  }
+
+  // Throws if the key is wrong or the archive was modified (GCM authentication)
+  async open(buffer, secret) {
+    const headerLength = this.MAGIC.length + this.SALT_LENGTH + this.IV_LENGTH + this.TAG_LENGTH;
+    if (!Buffer.isBuffer(buffer) || buffer.length < headerLength ||
+        !buffer.subarray(0, this.MAGIC.length).equals(this.MAGIC)) {
+      throw new Error('Not a backup archive');
+    }
+
+    let offset = this.MAGIC.length;
+    const salt = buffer.subarray(offset, offset += this.SALT_LENGTH);
+    const iv = buffer.subarray(offset, offset += this.IV_LENGTH);
+    const tag = buffer.subarray(offset, offset += this.TAG_LENGTH);
+    const key = await this.deriveKey(secret, salt);
+
+    let compressed;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAAD(this.MAGIC);
+      decipher.setAuthTag(tag);
+      compressed = Buffer.concat([decipher.update(buffer.subarray(offset)), decipher.final()]);
+    } catch (error) {
+      throw new Error('Backup archive could not be decrypted (wrong key or corrupted file)');
+    }
+
+    const tar = await gunzip(compressed, { maxOutputLength: this.MAX_UNPACKED_BYTES });
+    return this.unpack(tar);
+  }
+
+  // Minimal ustar writer: regular files only, names up to 100 bytes
+  pack(files) {
+    const blocks = [];
+
+    for (const [name, content] of [...files.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+      const nameBytes = Buffer.from(name, 'utf8');
+      if (nameBytes.length > 100) {
+        throw new Error(`File name too long for archive: ${name}`);
+      }
+
+      const header = Buffer.alloc(this.BLOCK);
+      nameBytes.copy(header, 0);
+      this.writeOctal(header, 100, 8, 0o640);
+      this.writeOctal(header, 108, 8, 0);
+      this.writeOctal(header, 116, 8, 0);
+      this.writeOctal(header, 124, 12, content.length);
+      this.writeOctal(header, 136, 12, Math.floor(Date.now() / 1000));
+      header.fill(' ', 148, 156);
+      header.write('0', 156);
+      header.write('ustar\0', 257);
+      header.write('00', 263);
+      this.writeOctal(header, 148, 7, this.headerChecksum(header));
+
+      blocks.push(header, content);
+      const padding = (this.BLOCK - (content.length % this.BLOCK)) % this.BLOCK;
+      if (padding > 0) {
+        blocks.push(Buffer.alloc(padding));
+      }
+    }
+
+    blocks.push(Buffer.alloc(this.BLOCK * 2));
+    return Buffer.concat(blocks);
+  }
+
+  unpack(tar) {
+    const files = new Map();
+    let offset = 0;
+
+    while (offset + this.BLOCK <= tar.length) {
+      const header = tar.subarray(offset, offset + this.BLOCK);
+      if (header.every(byte => byte === 0)) {
+        break;
+      }
+
+      const expected = parseInt(header.toString('ascii', 148, 156).replace(/\0.*$/, '').trim(), 8);
+      if (expected !== this.headerChecksum(header)) {
+        throw new Error('Corrupted archive header');
+      }
+
+      const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+      const size = parseInt(header.toString('ascii', 124, 136).replace(/\0.*$/, '').trim(), 8);
+      const type = header.toString('ascii', 156, 157);
+      offset += this.BLOCK;
+
+      if (!Number.isFinite(size) || size < 0 || offset + size > tar.length) {
+        throw new Error('Corrupted archive entry');
+      }
+      if (type === '0' || type === '\0') {
+        files.set(name, Buffer.from(tar.subarray(offset, offset + size)));
+        if (files.size > this.MAX_ENTRIES) {
+          throw new Error('Archive has too many entries');
+        }
+      }
+
+      offset += Math.ceil(size / this.BLOCK) * this.BLOCK;
+    }
+
+    return files;
+  }
+
+  writeOctal(header, offset, length, value) {
+    header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+  }
+
+  // Sum of header bytes with the checksum field counted as spaces
+  headerChecksum(header) {
+    let sum = 0;
+    for (let i = 0; i < this.BLOCK; i++) {
+      sum += i >= 148 && i < 156 ? 32 : header[i];
+    }
+    return sum;
+  }
+}
+
+module.exports = BackupArchive;
@@ -0,0 +1,57 @@
+// bot-blocks.js - Per-Bot Block Lists Managed by the Bot's Owner Team
+
+// Blocked users are kept in bot.blockedUsers; the global ban list
+// (storage.isBanned) applies to every bot on top of this.
+class BotBlocks {
+  constructor(storage) {
+    this.storage = storage;
+
+    this.MAX_BLOCKED = 1000;
+  }
+
+  getBlocked(bot) {
+    return (bot && bot.blockedUsers) || [];
+  }
+
+  isBlocked(bot, userId) {
+    return this.getBlocked(bot).some(entry => String(entry.userId) === String(userId));
+  }
+
+  // Adds the user to the bot's block list; false if already blocked
+  block(botId, userId, blockedBy, reason = '') {
+    const bot = this.storage.getBotById(botId, false);
+    if (!bot) {
+      throw new Error('Bot not found');
+    }
+    if (this.isBlocked(bot, userId)) {
+      return false;
+    }
+
+    const blocked = this.getBlocked(bot);
+    if (blocked.length >= this.MAX_BLOCKED) {
+      throw new Error(`A bot can block at most ${this.MAX_BLOCKED} users`);
+    }
+
+    this.storage.setBotBlockedUsers(botId, blocked.concat({
+      userId: Number(userId),
+      reason,
+      blockedAt: new Date().toISOString(),
+      blockedBy: String(blockedBy)
+    }));
+    return true;
+  }
+
+  // Removed entry or null if the user was not blocked
+  unblock(botId, userId) {
+    const bot = this.storage.getBotById(botId, false);
+    const entry = this.getBlocked(bot).find(blocked => String(blocked.userId) === String(userId));
+    if (!entry) {
+      return null;
+    }
+
+    this.storage.setBotBlockedUsers(botId, this.getBlocked(bot).filter(blocked => blocked !== entry));
+    return entry;
+  }
+}
+
+module.exports = BotBlocks;
@@ -1,13 +1,28 @@
 // bot-manager.js - Manages Multiple Telegram Bots (PRODUCTION-READY - ALL FIXES APPLIED)
 const TelegramBot = require('node-telegram-bot-api');
+const crypto = require('crypto');
 const Security = require('./security');
+const MetadataSearch = require('./search');
+const NodeIds = require('./node-ids');
+const BotMembers = require('./bot-members');
+const BotBlocks = require('./bot-blocks');
+const FloodControl = require('./flood-control');
+const SendQueue = require('./send-queue');
 
 class BotManager {
-  constructor(storage, config, adminBot) {
+  constructor(storage, config, adminBot, analytics = null, security = null, apiKeys = null, claimCodes = null) {
     this.storage = storage;
     this.config = config;
     this.adminBot = adminBot;
-    this.security = new Security();
+    this.analytics = analytics; // Optional per-bot usage analytics
+    this.security = security || new Security(); // Shared instance feeds the security log
+    this.apiKeys = apiKeys; // Owner API keys for the uploader (optional)
+    this.claimCodes = claimCodes; // One-time codes for /register
+    this.search = new MetadataSearch();
+    this.nodeIds = new NodeIds();
+    this.members = new BotMembers(storage);
+    this.blocks = new BotBlocks(storage);
+    this.floodControl = new FloodControl(this.security, config);
     this.bots = new Map(); // botId -> bot instance
     this.botTokenMap = new Map(); // token -> botId
     
@@ -20,6 +35,27 @@ class BotManager {
     // Recovery monitoring
     this.recoveryInterval = null;
     
+    // Webhook delivery: per-bot route secrets are derived from this key
+    this.webhookKey = null;
+    
+    // In-bot search sessions (per chat) expire after 10 minutes
+    this.SEARCH_SESSION_TTL = 10 * 60 * 1000;
+    this.MAX_SEARCH_SESSIONS = 1000;
+    this.SEARCH_RESULTS_PER_PAGE = 10;
+    
+    // Outgoing messages are queued per bot within Telegram's flood limits
+    this.SEND_QUEUE_GLOBAL_PER_SECOND = 30;
+    this.SEND_QUEUE_CHAT_INTERVAL_MS = 1000;
+    this.QUEUED_SEND_METHODS = ['sendMessage', 'forwardMessage', 'copyMessage', 'sendDocument'];
+    
+    // Owner notices for broken files are batched
+    this.BROKEN_NOTIFY_DELAY_MS = 60000;
+    
+    // Owner /stats and /top windows (days)
+    this.OWNER_STATS_DEFAULT_DAYS = 7;
+    this.OWNER_STATS_MAX_DAYS = 90;
+    this.OWNER_TOP_LIMIT = 10;
+    
     // CRITICAL FIX #1: Limit error tracking to prevent memory leaks
     this.MAX_ERROR_HISTORY = 10;
     
@@ -46,6 +82,11 @@ class BotManager {
       await this.loadCircuitBreakerState();
 
       for (const botData of allBots) {
+        // Encrypted token that no configured master key can open
+        if (!botData.botToken) {
+          this.logger.error(`Bot ${botData.id} skipped: token could not be decrypted`);
+          continue;
+        }
         if (botData.status !== 'banned' && botData.status !== 'disconnected') {
           await this.addBot(
             botData.id,
@@ -53,7 +94,8 @@ class BotManager {
             botData.channelId,
             botData.metadata,
             botData.status,
-            botData.ownerId
+            botData.ownerId,
+            botData.settings
           );
         }
       }
@@ -63,9 +105,6 @@ class BotManager {
       // Start recovery monitor
       this.startRecoveryMonitor();
       
-      // CRITICAL FIX #5: Start circuit breaker cleanup and persistence
-      this.startCircuitBreakerCleanup();
-      
     } catch (error) {
       this.logger.error('Error loading bots:', error);
       throw error;
@@ -162,27 +201,27 @@ class BotManager {
     }
   }
 
-  startCircuitBreakerCleanup() {
-    setInterval(() => {
-      const now = Date.now();
-      let cleaned = false;
-      
-      for (const [botId, breaker] of this.circuitBreakers.entries()) {
-        // Remove old circuit breaker data
-        if (now - breaker.lastFailure > this.CIRCUIT_BREAKER_TIMEOUT * 2) {
-          this.circuitBreakers.delete(botId);
-          cleaned = true;
-        }
-      }
-      
-      // CRITICAL FIX #5: Persist state if anything was cleaned
-      if (cleaned) {
-        this.saveCircuitBreakerState();
+  // Run by the scheduler's breakerCleanup job (every 10 minutes by default)
+  async cleanupCircuitBreakers() {
+    const now = Date.now();
+    let cleaned = 0;
+    
+    for (const [botId, breaker] of this.circuitBreakers.entries()) {
+      // Remove old circuit breaker data
+      if (now - breaker.lastFailure > this.CIRCUIT_BREAKER_TIMEOUT * 2) {
+        this.circuitBreakers.delete(botId);
+        cleaned++;
       }
-    }, 600000); // Clean every 10 minutes
+    }
+    
+    // CRITICAL FIX #5: Persist state if anything was cleaned
+    if (cleaned > 0) {
+      await this.saveCircuitBreakerState();
+    }
+    return cleaned;
   }
 
-  async addBot(botId, token, channelId, metadata, status = 'pending', ownerId = null) {
+  async addBot(botId, token, channelId, metadata, status = 'pending', ownerId = null, settings = {}) {
     try {
       // CRITICAL FIX #5: Check circuit breaker
       if (this.isCircuitBreakerOpen(botId)) {
@@ -190,26 +229,22 @@ class BotManager {
         return null;
       }
 
-      // Create bot instance with error handling
-      const bot = new TelegramBot(token, { 
-        polling: {
-          interval: 300,
-          autoStart: true,
-          params: {
-            timeout: 10
-          }
-        }
-      });
+      // Create bot instance with error handling (updates are started after handlers are attached)
+      const bot = this.createBotInstance(token);
       
       // Test bot connection before adding
+      let me;
       try {
-        await bot.getMe();
+        me = await bot.getMe();
         this.recordBotSuccess(botId);
       } catch (error) {
         this.recordBotFailure(botId);
         throw new Error(`Bot token invalid or revoked: ${error.message}`);
       }
       
+      // Metadata stored before node IDs existed gets them computed at load time
+      this.nodeIds.ensure(metadata);
+
       // Store bot info
       const botInfo = {
         instance: bot,
@@ -219,9 +254,18 @@ class BotManager {
         metadata,
         status,
         ownerId,
+        username: me.username,
+        settings: settings || {}, // Per-bot options (deliveryMode, deliveryMethod, ...)
         started: new Date().toISOString(),
         errors: [], // CRITICAL FIX #1: Limited error history
-        lastHealthCheck: Date.now()
+        lastHealthCheck: Date.now(),
+        updateMode: null, // 'polling' or 'webhook', set by startUpdates
+        searchIndex: null, // Built lazily from metadata, reset on refresh
+        nodeIndex: null, // nodeId -> node lookup for compact callback data
+        searchSessions: new Map(), // chatId -> { query, results, awaitingQuery, updated }
+        activeBatches: new Set(), // chatIds with a "Send all" delivery in progress
+        pendingBrokenNotices: [], // New broken files waiting for the owner summary
+        brokenNoticeTimer: null
       };
 
       this.bots.set(botId, botInfo);
@@ -230,7 +274,9 @@ class BotManager {
       // Setup handlers with error isolation
       this.setupBotHandlers(botInfo);
 
-      this.logger.info(`✓ Bot ${botId} initialized (status: ${status})`);
+      await this.startUpdates(botInfo);
+
+      this.logger.info(`✓ Bot ${botId} initialized (status: ${status}, updates: ${botInfo.updateMode})`);
       return botId;
 
     } catch (error) {
@@ -241,9 +287,132 @@ class BotManager {
     }
   }
 
+  createBotInstance(token) {
+    const options = {
+      polling: {
+        interval: 300,
+        autoStart: false,
+        params: {
+          timeout: 10
+        }
+      }
+    };
+
+    const apiUrl = this.config.getTelegramApiUrl();
+    if (apiUrl) {
+      options.baseApiUrl = apiUrl;
+    }
+
+    return new TelegramBot(token, options);
+  }
+
+  // Start receiving updates via webhook when configured, falling back to long polling
+  async startUpdates(botInfo) {
+    const { instance: bot, botId } = botInfo;
+
+    if (this.config.getUpdateMode() === 'webhook') {
+      try {
+        await this.registerWebhook(botInfo);
+        botInfo.updateMode = 'webhook';
+        return;
+      } catch (error) {
+        this.logger.warn(`Webhook registration failed for bot ${botId}, falling back to polling:`, error.message);
+        await bot.deleteWebHook().catch(() => {});
+      }
+    }
+
+    botInfo.updateMode = 'polling';
+    bot.startPolling().catch(error => {
+      this.logger.error(`Failed to start polling for bot ${botId}:`, error);
+    });
+  }
+
+  async stopUpdates(botInfo) {
+    if (botInfo.updateMode === 'webhook') {
+      await botInfo.instance.deleteWebHook();
+    } else {
+      await botInfo.instance.stopPolling();
+    }
+  }
+
+  async registerWebhook(botInfo) {
+    const url = `${this.config.getWebhookBaseUrl()}${this.getWebhookPath(botInfo.botId)}`;
+
+    await botInfo.instance.setWebHook(url, {
+      secret_token: this.getWebhookHeaderToken(botInfo.botId),
+      allowed_updates: JSON.stringify(['message', 'callback_query'])
+    });
+  }
+
+  // Webhook secrets are derived from WEBHOOK_SECRET so routes stay stable across restarts
+  getWebhookKey() {
+    if (!this.webhookKey) {
+      this.webhookKey = this.config.getWebhookSecret() || crypto.randomBytes(32).toString('hex');
+    }
+    return this.webhookKey;
+  }
+
+  getWebhookPathSecret(botId) {
+    return crypto.createHmac('sha256', this.getWebhookKey())
+      .update(`path:${botId}`)
+      .digest('hex')
+      .substring(0, 32);
+  }
+
+  getWebhookHeaderToken(botId) {
+    return crypto.createHmac('sha256', this.getWebhookKey())
+      .update(`header:${botId}`)
+      .digest('hex');
+  }
+
+  getWebhookPath(botId) {
+    return `/telegram/webhook/${botId}/${this.getWebhookPathSecret(botId)}`;
+  }
+
+  // Dispatch a webhook update to the handlers built in setupBotHandlers
+  handleWebhookUpdate(botId, pathSecret, headerToken, update, ip = null) {
+    const botInfo = this.bots.get(botId);
+    if (!botInfo || botInfo.updateMode !== 'webhook') {
+      return false;
+    }
+
+    if (!this.secretsMatch(pathSecret, this.getWebhookPathSecret(botId)) ||
+        !this.secretsMatch(headerToken, this.getWebhookHeaderToken(botId))) {
+      this.logger.warn(`Rejected webhook update with invalid secret for bot ${botId}`);
+      this.security.logSecurityEvent('invalid_webhook_secret', { ip, botId });
+      return false;
+    }
+
+    try {
+      botInfo.instance.processUpdate(update);
+      botInfo.lastUpdateReceived = Date.now();
+    } catch (error) {
+      this.logger.error(`Error processing webhook update for bot ${botId}:`, error);
+    }
+
+    return true;
+  }
+
+  // Lengths are compared in bytes: timingSafeEqual throws on buffers of different size
+  secretsMatch(provided, expected) {
+    if (typeof provided !== 'string') {
+      return false;
+    }
+    const providedBuffer = Buffer.from(provided);
+    const expectedBuffer = Buffer.from(expected);
+    if (providedBuffer.length !== expectedBuffer.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+  }
+
   setupBotHandlers(botInfo) {
-    const { instance: bot, botId, channelId, metadata, status, ownerId } = botInfo;
-    const adminUserId = this.config.getAdminUserId();
+    // Metadata, status and owner are read from botInfo on every update so that
+    // applyBotUpdate() takes effect without restarting the bot instance
+    const { instance: bot, botId } = botInfo;
+
+    this.attachSendQueue(botInfo);
+    this.attachFloodControl(botInfo);
 
     // CRITICAL FIX #1: Global error handler with proper error isolation
     bot.on('polling_error', (error) => {
@@ -296,12 +465,16 @@ class BotManager {
       // Sanitize message
       const sanitizedMsg = this.security.sanitizeTelegramMessage(msg);
       if (!sanitizedMsg) {
+        this.security.logSecurityEvent('injection_attempt', { botId, userId });
         await this.adminBot.sendAlert('security', 
           `Malicious message blocked from user ${userId} in bot ${botId}`
         );
         return;
       }
 
+      const { status } = botInfo;
+      const adminUserId = this.config.getAdminUserId();
+
       // Check bot status and user permissions
       if (status === 'pending') {
         if (userId !== adminUserId) {
@@ -319,254 +492,1402 @@ class BotManager {
         return;
       }
 
+      if (await this.getAccessDenial(botInfo, userId)) {
+        await bot.sendMessage(chatId, '⛔ You are not allowed to use this bot.');
+        return;
+      }
+
+      this.track(botInfo, 'recordStart', userId);
+
       // Send welcome message
       const welcomeMsg = this.config.getWelcomeMessage();
       await bot.sendMessage(chatId, welcomeMsg);
 
       // Show main menu
-      await this.sendFolderMenu(bot, chatId, metadata, []);
+      await this.sendFolderMenu(botInfo, chatId, []);
     }));
 
-    // Handle text messages (for owner registration)
-    bot.on('message', safeHandler(async (msg) => {
-      // Skip if it's a command
-      if (msg.text && msg.text.startsWith('/')) return;
-
+    // Handle /search <query>
+    bot.onText(/^\/search(?:@\w+)?(?:\s+([\s\S]+))?$/, safeHandler(async (msg, match) => {
       const userId = msg.from.id;
       const chatId = msg.chat.id;
-      const text = msg.text || '';
 
-      // Sanitize message
       const sanitizedMsg = this.security.sanitizeTelegramMessage(msg);
       if (!sanitizedMsg) {
+        this.security.logSecurityEvent('injection_attempt', { botId, userId });
         await this.adminBot.sendAlert('security', 
           `Malicious message blocked from user ${userId} in bot ${botId}`
         );
         return;
       }
 
-      // CRITICAL FIX #1: Limit text length
-      if (text.length > 4096) {
-        await bot.sendMessage(chatId, 'Message too long. Please use shorter messages.');
+      if (!this.isBotAvailableTo(botInfo, userId) || await this.getAccessDenial(botInfo, userId)) {
         return;
       }
 
-      // Check if this is owner registration
-      if (!ownerId && text.toLowerCase().includes('register')) {
-        this.storage.registerBotOwner(botId, userId);
-        botInfo.ownerId = userId;
+      this.track(botInfo, 'recordUser', userId);
 
-        await bot.sendMessage(chatId, 
-          '✅ Registration successful! Your bot has been submitted for review.\n\n' +
-          'You will be notified once approved.'
-        );
+      const query = match && match[1] ? match[1].trim() : '';
+      if (!query) {
+        await this.promptSearchQuery(botInfo, chatId);
+        return;
+      }
 
-        await this.adminBot.sendAlert('registration', 
-          `Bot ${botId} owner registered\nUser ID: ${userId}\nBot needs approval`
-        );
+      await this.runSearch(botInfo, chatId, query);
+    }));
 
+    // Handle /broken (owner team): files whose channel post or fileId is gone
+    bot.onText(/^\/broken(?:@\w+)?$/, safeHandler(async (msg) => {
+      const userId = msg.from.id;
+      const chatId = msg.chat.id;
+
+      if (!this.hasBotPermission(botInfo, userId, 'broken')) {
         return;
       }
 
-      // For other text messages, send invalid input message
-      const invalidMsg = this.config.getInvalidInputMessage();
-      await bot.sendMessage(chatId, invalidMsg);
+      await this.sendBrokenFilesReport(botInfo, chatId);
     }));
 
-    // Handle inline keyboard callbacks
-    bot.on('callback_query', safeHandler(async (query) => {
-      const userId = query.from.id;
-      const chatId = query.message.chat.id;
-      const data = query.data;
+    // Handle /stats [days] and /top [days] (owner team): usage of this bot
+    bot.onText(/^\/(stats|top)(?:@\w+)?(?:\s+(\S+))?\s*$/, safeHandler(async (msg, match) => {
+      const userId = msg.from.id;
+      const chatId = msg.chat.id;
 
-      // Sanitize callback data
-      const sanitizedData = this.security.sanitizeInput(data);
-      if (!sanitizedData) {
-        await this.adminBot.sendAlert('security', 
-          `Malicious callback blocked from user ${userId} in bot ${botId}`
-        );
-        await bot.answerCallbackQuery(query.id, { text: 'Invalid request' });
+      if (!this.hasBotPermission(botInfo, userId, 'stats')) {
         return;
       }
 
-      // CRITICAL FIX #1: Limit callback data length
-      if (sanitizedData.length > 256) {
-        await bot.answerCallbackQuery(query.id, { text: 'Request too long' });
+      const days = this.parseStatsWindow(match[2]);
+      if (days === null) {
+        await bot.sendMessage(chatId, 
+          `Usage: /${match[1]} [days], e.g. /${match[1]} 30 (1-${this.OWNER_STATS_MAX_DAYS} days)`
+        );
         return;
       }
 
-      // Check bot status
-      if (status === 'pending' && userId !== adminUserId) {
-        await bot.answerCallbackQuery(query.id);
+      if (match[1] === 'stats') {
+        await this.sendOwnerStats(botInfo, chatId, days);
+      } else {
+        await this.sendOwnerTop(botInfo, chatId, days);
+      }
+    }));
+
+    // Handle /register <code>: claim ownership with the code the uploader showed
+    bot.onText(/^\/register(?:@\w+)?(?:\s+(\S+))?\s*$/, safeHandler(async (msg, match) => {
+      const userId = msg.from.id;
+      const chatId = msg.chat.id;
+
+      const sanitizedMsg = this.security.sanitizeTelegramMessage(msg);
+      if (!sanitizedMsg || !this.claimCodes) {
         return;
       }
 
-      if (status === 'disconnected' || status === 'banned') {
-        await bot.answerCallbackQuery(query.id);
+      if (botInfo.ownerId) {
+        await bot.sendMessage(chatId, 'This bot already has a registered owner.');
         return;
       }
 
-      // Parse callback data
-      const [action, ...pathParts] = sanitizedData.split('|');
-      const path = pathParts.join('|').split('/').filter(p => p);
+      if (await this.getAccessDenial(botInfo, userId)) {
+        await bot.sendMessage(chatId, '⛔ You are not allowed to use this bot.');
+        return;
+      }
 
-      if (action === 'folder') {
-        await this.sendFolderMenu(bot, chatId, metadata, path);
-        await bot.answerCallbackQuery(query.id);
+      // The API key is sent right after registration
+      if (msg.chat.type !== 'private') {
+        await bot.sendMessage(chatId, 'Send /register in a private chat with this bot.');
+        return;
+      }
 
-      } else if (action === 'main') {
-        await this.sendFolderMenu(bot, chatId, metadata, []);
-        await bot.answerCallbackQuery(query.id, { text: 'Returned to main menu' });
+      if (!match[1]) {
+        await bot.sendMessage(chatId, 'Usage: /register <code> (the claim code shown in the uploader)');
+        return;
+      }
 
-      } else if (action === 'page') {
-        const pageNum = parseInt(pathParts[0]);
-        const currentPath = pathParts.slice(1).join('|').split('/').filter(p => p);
-        await this.sendFolderMenu(bot, chatId, metadata, currentPath, pageNum);
-        await bot.answerCallbackQuery(query.id);
+      const result = this.claimCodes.redeem(botId, match[1], userId);
+      if (!result.success) {
+        await this.handleFailedClaim(botInfo, chatId, userId, result);
+        return;
       }
-    }));
-  }
 
-  async sendFolderMenu(bot, chatId, metadata, currentPath, page = 0) {
-    try {
-      // Navigate to current folder
-      let currentFolder = metadata;
-      for (const folder of currentPath) {
-        if (!currentFolder.subfolders || !currentFolder.subfolders[folder]) {
-          await bot.sendMessage(chatId, '❌ Folder not found.');
-          return;
-        }
-        currentFolder = currentFolder.subfolders[folder];
+      botInfo.ownerId = userId;
+
+      await bot.sendMessage(chatId, 
+        '✅ Registration successful! Your bot has been submitted for review.\n\n' +
+        'You will be notified once approved.'
+      );
+
+      // The uploader needs this key for future updates of the bot
+      if (this.apiKeys) {
+        const { key } = await this.apiKeys.issue(botId, 'registration');
+        await bot.sendMessage(chatId, 
+          `🔑 Your uploader API key:\n\n${key}\n\n` +
+          'Enter it in the uploader to update this bot and keep it secret. ' +
+          'Send /apikey to replace it if it leaks.'
+        );
       }
 
-      // Get subfolders
-      const subfolders = Object.keys(currentFolder.subfolders || {}).sort((a, b) => 
-        a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' })
+      await this.adminBot.sendAlert('registration', 
+        `Bot ${botId} owner registered\nUser ID: ${userId}\nBot needs approval`
       );
+    }));
 
-      // Get files
-      const files = currentFolder.files || [];
+    // Handle /apikey (owner and co-owners): issue a new uploader API key, replacing the old one
+    bot.onText(/^\/apikey(?:@\w+)?\s*$/, safeHandler(async (msg) => {
+      const userId = msg.from.id;
+      const chatId = msg.chat.id;
 
-      // Forward files if present
-      if (files.length > 0 && page === 0) {
-        await bot.sendMessage(chatId, `📁 Sending ${files.length} file(s)...`);
-        
-        for (const file of files) {
-          try {
-            await bot.forwardMessage(
-              chatId, 
-              currentFolder.channelId || metadata.channelId, 
-              file.messageId
-            );
-          } catch (error) {
-            this.logger.error(`Error forwarding file:`, error);
-          }
-        }
+      if (!this.hasBotPermission(botInfo, userId, 'apikey') || !this.apiKeys) {
+        return;
       }
 
-      // Prepare inline keyboard for subfolders
-      if (subfolders.length === 0) {
-        if (files.length === 0) {
-          await bot.sendMessage(chatId, '📭 This folder is empty.');
-        }
-        
-        if (currentPath.length > 0) {
-          const keyboard = {
-            inline_keyboard: [[
-              { text: '🏠 Main Menu', callback_data: 'main|' }
-            ]]
-          };
-          await bot.sendMessage(chatId, 'Navigation:', { reply_markup: keyboard });
-        }
+      // Never post the key where other members could read it
+      if (msg.chat.type !== 'private') {
+        await bot.sendMessage(chatId, 'Send /apikey in a private chat with this bot.');
         return;
       }
 
-      // Pagination
-      const ITEMS_PER_PAGE = 30;
-      const BUTTONS_PER_ROW = 10;
-      
-      const startIdx = page * ITEMS_PER_PAGE;
-      const endIdx = Math.min(startIdx + ITEMS_PER_PAGE, subfolders.length);
-      const pageSubfolders = subfolders.slice(startIdx, endIdx);
+      const hadKey = !!this.apiKeys.getActiveKey(botId);
+      const { key } = await this.apiKeys.issue(botId, `owner:${userId}`);
+      await bot.sendMessage(chatId, 
+        `🔑 New uploader API key:\n\n${key}\n\n` +
+        (hadKey ? 'The previous key of this bot no longer works. ' : '') +
+        'Enter it in the uploader and keep it secret; send /apikey again to replace it.'
+      );
+    }));
 
-      // Create button rows
-      const buttons = [];
-      for (let i = 0; i < pageSubfolders.length; i += BUTTONS_PER_ROW) {
-        const row = pageSubfolders.slice(i, i + BUTTONS_PER_ROW).map(folder => ({
-          text: `📁 ${folder}`,
-          callback_data: `folder|${[...currentPath, folder].join('/')}`
-        }));
-        buttons.push(row);
+    // Handle /team (owner team): owner, co-owners and maintainers
+    bot.onText(/^\/team(?:@\w+)?\s*$/, safeHandler(async (msg) => {
+      const record = this.storage.getBotById(botId);
+      if (!this.members.getRole(record, msg.from.id)) {
+        return;
       }
 
-      // Add navigation buttons
-      const navButtons = [];
-      const totalPages = Math.ceil(subfolders.length / ITEMS_PER_PAGE);
+      await this.sendTeam(botInfo, msg.chat.id, record);
+    }));
 
-      if (page > 0) {
-        navButtons.push({ 
-          text: '⬅️ Back', 
-          callback_data: `page|${page - 1}|${currentPath.join('/')}` 
-        });
+    // Handle /addmember <userId> <co-owner|maintainer> and /removemember <userId>
+    bot.onText(/^\/(addmember|removemember)(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?\s*$/, safeHandler(async (msg, match) => {
+      const userId = msg.from.id;
+      const chatId = msg.chat.id;
+      const record = this.storage.getBotById(botId);
+      const actorRole = this.members.getRole(record, userId);
+      const [, command, targetId, role] = match;
+
+      // Members may always leave the team themselves
+      if (command === 'removemember' && actorRole && actorRole !== 'owner' && this.members.sameUser(targetId, userId)) {
+        this.members.removeMember(botId, userId);
+        await bot.sendMessage(chatId, '✅ You left the team of this bot.');
+        return;
       }
-      if (page < totalPages - 1) {
-        navButtons.push({ 
-          text: '➡️ Next', 
-          callback_data: `page|${page + 1}|${currentPath.join('/')}` 
-        });
+
+      if (!this.members.can(record, userId, 'members')) {
+        return;
       }
-      if (currentPath.length > 0) {
-        navButtons.push({ text: '🏠 Main', callback_data: 'main|' });
+
+      if (!targetId || !/^\d{1,15}$/.test(targetId) || (command === 'addmember' && !role)) {
+        await bot.sendMessage(chatId, command === 'addmember'
+          ? 'Usage: /addmember <user ID> <co-owner|maintainer>'
+          : 'Usage: /removemember <user ID>'
+        );
+        return;
       }
 
-      if (navButtons.length > 0) {
-        buttons.push(navButtons);
+      const targetRole = command === 'addmember' ? role.toLowerCase() : this.members.getRole(record, targetId);
+      if (!targetRole || !this.members.canManage(actorRole, targetRole)) {
+        await bot.sendMessage(chatId, '⛔ You cannot change this member.');
+        return;
       }
 
-      // Send menu
-      const pathDisplay = currentPath.length > 0 ? currentPath.join(' > ') : 'Main Menu';
-      const pageInfo = totalPages > 1 ? ` (Page ${page + 1}/${totalPages})` : '';
-      
-      await bot.sendMessage(chatId, `📂 ${pathDisplay}${pageInfo}`, {
-        reply_markup: { inline_keyboard: buttons }
-      });
+      if (command === 'removemember') {
+        this.members.removeMember(botId, targetId);
+        await bot.sendMessage(chatId, `✅ User ${targetId} removed from the team.`);
+        return;
+      }
 
-    } catch (error) {
-      this.logger.error('Error sending folder menu:', error);
       try {
-        await bot.sendMessage(chatId, '❌ Error loading folder menu.');
-      } catch (e) {
-        this.logger.error('Failed to send error message:', e);
+        await this.members.addMember(botId, targetId, targetRole, userId);
+      } catch (error) {
+        await bot.sendMessage(chatId, `⛔ ${error.message}`);
+        return;
       }
-    }
-  }
 
-  async sendAdminMessage(botId, ownerId, message) {
-    try {
-      const botInfo = this.bots.get(botId);
-      if (!botInfo) {
-        throw new Error('Bot not found');
+      await bot.sendMessage(chatId, `✅ User ${targetId} is now a ${targetRole} of this bot.`);
+      await this.notifyUser(botInfo, targetId, 
+        `You were added as ${targetRole} of this bot by user ${userId}. Send /team to see the team.`
+      );
+    }));
+
+    // Handle /transfer <userId> (owner only): hand the bot over once the new owner accepts
+    bot.onText(/^\/transfer(?:@\w+)?(?:\s+(\S+))?\s*$/, safeHandler(async (msg, match) => {
+      const userId = msg.from.id;
+      const chatId = msg.chat.id;
+      const record = this.storage.getBotById(botId);
+
+      if (!this.members.can(record, userId, 'transfer')) {
+        return;
       }
 
-      // CRITICAL FIX #1: Limit message length
-      const sanitizedMessage = this.security.sanitizeInput(message);
-      if (!sanitizedMessage || sanitizedMessage.length > 4096) {
-        throw new Error('Invalid or too long message');
+      if (!match[1] || !/^\d{1,15}$/.test(match[1])) {
+        await bot.sendMessage(chatId, 'Usage: /transfer <user ID of the new owner>');
+        return;
       }
-      
-      await botInfo.instance.sendMessage(ownerId, 
-        `📨 Message from Administrator:\n\n${sanitizedMessage}`
-      );
 
-      return true;
-    } catch (error) {
-      this.logger.error(`Error sending admin message:`, error);
-      throw error;
-    }
-  }
+      let transfer;
+      try {
+        transfer = await this.members.requestTransfer(botId, match[1], userId);
+      } catch (error) {
+        await bot.sendMessage(chatId, `⛔ ${error.message}`);
+        return;
+      }
+
+      const delivered = await this.notifyUser(botInfo, transfer.toUserId, 
+        `User ${userId} wants to transfer ownership of this bot to you.\n\n` +
+        'Send /accepttransfer to become the owner or /canceltransfer to decline ' +
+        `(valid until ${transfer.expiresAt}).`
+      );
+      await bot.sendMessage(chatId, 
+        `⏳ Transfer to user ${transfer.toUserId} requested. It takes effect when they send /accepttransfer to this bot` +
+        (delivered ? '.' : ' (they have not started the bot yet, so ask them to open it first).') +
+        '\nSend /canceltransfer to withdraw it.'
+      );
+    }));
+
+    // Handle /accepttransfer (the proposed new owner) and /canceltransfer (either side)
+    bot.onText(/^\/(accepttransfer|canceltransfer)(?:@\w+)?\s*$/, safeHandler(async (msg, match) => {
+      const userId = msg.from.id;
+      const chatId = msg.chat.id;
+      const record = this.storage.getBotById(botId);
+      const transfer = this.members.getPendingTransfer(record);
+
+      const isRecipient = !!transfer && this.members.sameUser(transfer.toUserId, userId);
+      if (!transfer || (!isRecipient && !this.members.can(record, userId, 'transfer'))) {
+        if (isRecipient || this.members.getRole(record, userId)) {
+          await bot.sendMessage(chatId, 'There is no pending ownership transfer.');
+        }
+        return;
+      }
+
+      if (match[1] === 'canceltransfer') {
+        this.members.cancelTransfer(botId);
+        await bot.sendMessage(chatId, '✅ Ownership transfer cancelled.');
+        const other = isRecipient ? record.ownerId : transfer.toUserId;
+        await this.notifyUser(botInfo, other, 'The pending ownership transfer of this bot was cancelled.');
+        return;
+      }
+
+      if (!isRecipient) {
+        await bot.sendMessage(chatId, 'Only the proposed new owner can accept the transfer.');
+        return;
+      }
+
+      const accepted = await this.members.acceptTransfer(botId, userId);
+      if (!accepted) {
+        await bot.sendMessage(chatId, '⛔ The transfer could not be completed.');
+        return;
+      }
+
+      // The uploader key belonged to the previous owner's team
+      if (this.apiKeys) {
+        await this.apiKeys.revoke(botId, `transfer:${userId}`);
+      }
+      this.applyBotUpdate(botId, { ownerId: transfer.toUserId });
+
+      await bot.sendMessage(chatId, 
+        '✅ You are now the owner of this bot. Send /apikey for your uploader API key.'
+      );
+      await this.notifyUser(botInfo, accepted.previousOwnerId, 
+        `Ownership of this bot was transferred to user ${userId}.`
+      );
+      await this.adminBot.sendAlert('registration', 
+        `Bot ${botId} transferred from ${accepted.previousOwnerId} to ${userId}`
+      );
+    }));
+
+    // Handle /block <userId> [reason] and /unblock [userId] (owner and co-owners)
+    bot.onText(/^\/(block|unblock)(?:@\w+)?(?:\s+(\S+))?(?:\s+([\s\S]+))?$/, safeHandler(async (msg, match) => {
+      const userId = msg.from.id;
+      const chatId = msg.chat.id;
+      const record = this.storage.getBotById(botId);
+
+      if (!this.members.can(record, userId, 'block')) {
+        return;
+      }
+
+      const [, command, targetId, reason] = match;
+      if (!targetId) {
+        if (command === 'block') {
+          await bot.sendMessage(chatId, 'Usage: /block <user ID> [reason]');
+          return;
+        }
+        const blocked = this.blocks.getBlocked(record);
+        await bot.sendMessage(chatId, blocked.length === 0
+          ? 'No users are blocked. Use /block <user ID> [reason] to block one.'
+          : `🚫 Blocked users:\n\n${blocked.map(entry =>
+            `• ${entry.userId}${entry.reason ? ` - ${entry.reason}` : ''}`).join('\n')}\n\nUse /unblock <user ID> to unblock.`
+        );
+        return;
+      }
+
+      if (!/^\d{1,15}$/.test(targetId)) {
+        await bot.sendMessage(chatId, 'Invalid user ID.');
+        return;
+      }
+
+      if (command === 'unblock') {
+        await bot.sendMessage(chatId, this.blocks.unblock(botId, targetId)
+          ? `✅ User ${targetId} unblocked.`
+          : `User ${targetId} is not blocked.`
+        );
+        return;
+      }
+
+      // Team members and the admin cannot be locked out by a co-owner
+      if (this.members.getRole(record, targetId) || String(targetId) === String(this.config.getAdminUserId())) {
+        await bot.sendMessage(chatId, '⛔ This user cannot be blocked.');
+        return;
+      }
+
+      const sanitizedReason = (reason && this.security.sanitizeInput(reason)) || '';
+      try {
+        const added = this.blocks.block(botId, targetId, userId, sanitizedReason.substring(0, 200));
+        await bot.sendMessage(chatId, added
+          ? `🚫 User ${targetId} can no longer use this bot. /unblock ${targetId} reverses this.`
+          : `User ${targetId} is already blocked.`
+        );
+      } catch (error) {
+        await bot.sendMessage(chatId, `⛔ ${error.message}`);
+      }
+    }));
+
+    // Handle text messages (for owner registration)
+    bot.on('message', safeHandler(async (msg) => {
+      // Skip if it's a command
+      if (msg.text && msg.text.startsWith('/')) return;
+
+      const userId = msg.from.id;
+      const chatId = msg.chat.id;
+      const text = msg.text || '';
+
+      // Sanitize message
+      const sanitizedMsg = this.security.sanitizeTelegramMessage(msg);
+      if (!sanitizedMsg) {
+        this.security.logSecurityEvent('injection_attempt', { botId, userId });
+        await this.adminBot.sendAlert('security', 
+          `Malicious message blocked from user ${userId} in bot ${botId}`
+        );
+        return;
+      }
+
+      // Banned and blocked users get no answers at all
+      if (await this.getAccessDenial(botInfo, userId)) {
+        return;
+      }
+
+      // CRITICAL FIX #1: Limit text length
+      if (text.length > 4096) {
+        await bot.sendMessage(chatId, 'Message too long. Please use shorter messages.');
+        return;
+      }
+
+      // Free text after the "🔍 Search" button is treated as the query
+      const searchSession = this.getSearchSession(botInfo, chatId);
+      if (searchSession && searchSession.awaitingQuery && text) {
+        if (!this.isBotAvailableTo(botInfo, userId)) {
+          return;
+        }
+        await this.runSearch(botInfo, chatId, text);
+        return;
+      }
+
+      // Registration moved to /register <code>; point people who still type "register" there
+      if (!botInfo.ownerId && text.toLowerCase().includes('register')) {
+        await bot.sendMessage(chatId, 
+          'To register as the owner, send /register followed by the claim code shown in the uploader.'
+        );
+        return;
+      }
+
+      // For other text messages, send invalid input message
+      const invalidMsg = this.config.getInvalidInputMessage();
+      await bot.sendMessage(chatId, invalidMsg);
+    }));
+
+    // Handle inline keyboard callbacks
+    bot.on('callback_query', safeHandler(async (query) => {
+      const userId = query.from.id;
+      const chatId = query.message.chat.id;
+      const data = query.data;
+
+      // Sanitize callback data
+      const sanitizedData = this.security.sanitizeInput(data);
+      if (!sanitizedData) {
+        this.security.logSecurityEvent('malicious_callback', {
+          botId,
+          userId,
+          length: typeof data === 'string' ? data.length : 0
+        });
+        await this.adminBot.sendAlert('security', 
+          `Malicious callback blocked from user ${userId} in bot ${botId}`
+        );
+        await bot.answerCallbackQuery(query.id, { text: 'Invalid request' });
+        return;
+      }
+
+      // CRITICAL FIX #1: Limit callback data length
+      if (sanitizedData.length > 256) {
+        await bot.answerCallbackQuery(query.id, { text: 'Request too long' });
+        return;
+      }
+
+      // Check bot status
+      if (!this.isBotAvailableTo(botInfo, userId)) {
+        await bot.answerCallbackQuery(query.id);
+        return;
+      }
+
+      if (await this.getAccessDenial(botInfo, userId)) {
+        await bot.answerCallbackQuery(query.id, { text: '⛔ You are not allowed to use this bot.' });
+        return;
+      }
+
+      this.track(botInfo, 'recordUser', userId);
+
+      // Parse callback data
+      const [action, ...pathParts] = sanitizedData.split('|');
+      const path = pathParts.join('|').split('/').filter(p => p);
+
+      // Compact node-ID formats: f|<folderId>|p<page>, d|<fileId>, a|<folderId>
+      if (action === 'f' || action === 'd' || action === 'a') {
+        const target = this.getNode(botInfo, pathParts[0], action === 'd' ? 'file' : 'folder');
+        if (!target) {
+          await bot.answerCallbackQuery(query.id, { text: 'No longer available. Please use /start.' });
+          return;
+        }
+
+        if (action === 'f') {
+          const pageParam = pathParts[1] || '';
+          const pageNum = pageParam.startsWith('p') ? parseInt(pageParam.substring(1)) || 0 : 0;
+          await this.sendFolderMenu(botInfo, chatId, target.path, pageNum);
+          await bot.answerCallbackQuery(query.id);
+        } else if (action === 'd') {
+          await bot.answerCallbackQuery(query.id);
+          await this.deliverFile(botInfo, chatId, target.node, target.folder, target.path);
+        } else {
+          await bot.answerCallbackQuery(query.id);
+          await this.sendAllFiles(botInfo, chatId, target.folder, target.path);
+        }
+
+      // Legacy path-based formats (buttons sent before node IDs were introduced)
+      } else if (action === 'folder') {
+        await this.sendFolderMenu(botInfo, chatId, path);
+        await bot.answerCallbackQuery(query.id);
+
+      } else if (action === 'main') {
+        await this.sendFolderMenu(botInfo, chatId, []);
+        await bot.answerCallbackQuery(query.id, { text: 'Returned to main menu' });
+
+      } else if (action === 'page') {
+        const pageNum = parseInt(pathParts[0]);
+        const currentPath = pathParts.slice(1).join('|').split('/').filter(p => p);
+        await this.sendFolderMenu(botInfo, chatId, currentPath, pageNum);
+        await bot.answerCallbackQuery(query.id);
+
+      } else if (action === 'file') {
+        const fileIndex = parseInt(pathParts[0]);
+        const filePath = pathParts.slice(1).join('|').split('/').filter(p => p);
+        const folder = this.getFolderAtPath(botInfo.metadata, filePath);
+        const file = folder && (folder.files || [])[fileIndex];
+        if (!file) {
+          await bot.answerCallbackQuery(query.id, { text: 'File not found' });
+          return;
+        }
+        await bot.answerCallbackQuery(query.id);
+        await this.deliverFile(botInfo, chatId, file, folder, filePath);
+
+      } else if (action === 'sendall') {
+        const folder = this.getFolderAtPath(botInfo.metadata, path);
+        if (!folder) {
+          await bot.answerCallbackQuery(query.id, { text: 'Folder not found' });
+          return;
+        }
+        await bot.answerCallbackQuery(query.id);
+        await this.sendAllFiles(botInfo, chatId, folder, path);
+
+      } else if (action === 'search') {
+        await this.promptSearchQuery(botInfo, chatId);
+        await bot.answerCallbackQuery(query.id);
+
+      } else if (action === 'spage') {
+        await this.sendSearchResults(botInfo, chatId, parseInt(pathParts[0]) || 0);
+        await bot.answerCallbackQuery(query.id);
+
+      } else if (action === 'sfile' || action === 'sfolder') {
+        const session = this.getSearchSession(botInfo, chatId);
+        const entry = session && session.results[parseInt(pathParts[0])];
+        if (!entry) {
+          await bot.answerCallbackQuery(query.id, { text: 'Search expired. Please search again.' });
+          return;
+        }
+
+        if (action === 'sfile') {
+          await this.deliverSearchResult(botInfo, chatId, entry);
+        } else {
+          await this.sendFolderMenu(botInfo, chatId, entry.path);
+        }
+        await bot.answerCallbackQuery(query.id);
+      }
+    }));
+  }
+
+  // Routes the instance's send methods through a per-bot queue, so every handler
+  // (and sendAdminMessage) respects the global and per-chat limits
+  attachSendQueue(botInfo) {
+    const bot = botInfo.instance;
+    botInfo.sendQueue = new SendQueue({
+      globalPerSecond: this.SEND_QUEUE_GLOBAL_PER_SECOND,
+      chatIntervalMs: this.SEND_QUEUE_CHAT_INTERVAL_MS,
+      getRetryAfter: error => this.getRetryAfter(error)
+    });
+
+    for (const method of this.QUEUED_SEND_METHODS) {
+      const send = bot[method].bind(bot);
+      bot[method] = (chatId, ...args) => botInfo.sendQueue.push(chatId, () => send(chatId, ...args));
+    }
+  }
+
+  // Per-user flood limits apply before any handler sees an update (polling and webhook)
+  attachFloodControl(botInfo) {
+    const bot = botInfo.instance;
+    const processUpdate = bot.processUpdate.bind(bot);
+
+    bot.processUpdate = (update) => {
+      if (this.admitUpdate(botInfo, update)) {
+        processUpdate(update);
+      }
+    };
+  }
+
+  admitUpdate(botInfo, update) {
+    const source = update.message || update.callback_query;
+    const userId = source && source.from && source.from.id;
+    if (!userId || userId === this.config.getAdminUserId()) {
+      return true;
+    }
+
+    const result = this.floodControl.check(botInfo.botId, userId);
+    if (result.allowed) {
+      return true;
+    }
+
+    if (result.reply) {
+      const notice = update.callback_query
+        ? botInfo.instance.answerCallbackQuery(update.callback_query.id, { text: result.reply })
+        : botInfo.instance.sendMessage(update.message.chat.id, result.reply);
+      notice.catch(error => this.logger.warn(`Could not send flood notice in bot ${botInfo.botId}: ${error.message}`));
+    }
+    return false;
+  }
+
+  // 'banned' (global ban list), 'blocked' (this bot's block list) or null
+  async getAccessDenial(botInfo, userId) {
+    if (await this.storage.isBanned(userId)) {
+      return 'banned';
+    }
+    if (this.blocks.isBlocked(this.storage.getBotById(botInfo.botId), userId)) {
+      return 'blocked';
+    }
+    return null;
+  }
+
+  // Owner commands check the stored team (owner, co-owners, maintainers)
+  hasBotPermission(botInfo, userId, permission) {
+    return this.members.can(this.storage.getBotById(botInfo.botId), userId, permission);
+  }
+
+  async sendTeam(botInfo, chatId, record) {
+    const lines = this.members.listTeam(record).map(member => `• ${member.userId} - ${member.role}`);
+    const transfer = this.members.getPendingTransfer(record);
+    if (transfer) {
+      lines.push('', `⏳ Transfer to ${transfer.toUserId} pending until ${transfer.expiresAt}`);
+    }
+
+    await botInfo.instance.sendMessage(chatId, 
+      `👥 Team of this bot:\n\n${lines.join('\n')}\n\n` +
+      'Owner: /addmember <user ID> <co-owner|maintainer>, /removemember <user ID>, /transfer <user ID>'
+    );
+  }
+
+  // Direct message from the bot; false if the user never started it
+  async notifyUser(botInfo, userId, text) {
+    if (!userId) return false;
+    try {
+      await botInfo.instance.sendMessage(userId, text);
+      return true;
+    } catch (error) {
+      this.logger.warn(`Could not notify user ${userId} of bot ${botInfo.botId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Reply to a rejected /register and record it; a locked claim is reported to the admin
+  async handleFailedClaim(botInfo, chatId, userId, result) {
+    const messages = {
+      registered: 'This bot already has a registered owner.',
+      no_code: '⛔ This bot has no active claim code. Upload it again or ask the administrator for a new code.',
+      expired: '⛔ This claim code has expired. Upload the bot again to get a new code.',
+      locked: '⛔ Too many wrong codes. Upload the bot again or ask the administrator for a new code.',
+      invalid: `❌ Wrong claim code. ${result.attemptsLeft} attempt(s) left.`
+    };
+    await botInfo.instance.sendMessage(chatId, messages[result.reason]);
+
+    if (result.reason === 'invalid' || result.reason === 'locked') {
+      this.security.logSecurityEvent('claim_code_failed', {
+        botId: botInfo.botId,
+        userId,
+        reason: result.reason
+      });
+    }
+    if (result.reason === 'locked' && result.attemptsLeft === 0) {
+      await this.adminBot.sendAlert('security', 
+        `Claim code for bot ${botInfo.botId} locked after too many wrong attempts (last from user ${userId})`
+      );
+    }
+  }
+
+  // Swap metadata/status/owner on a running bot so changes apply without a restart
+  applyBotUpdate(botId, updates = {}) {
+    const botInfo = this.bots.get(botId);
+    if (!botInfo) {
+      return false;
+    }
+
+    for (const key of ['metadata', 'status', 'ownerId', 'channelId', 'settings']) {
+      if (updates[key] !== undefined) {
+        botInfo[key] = updates[key];
+      }
+    }
+    if (updates.metadata !== undefined) {
+      this.nodeIds.ensure(botInfo.metadata);
+      botInfo.nodeIndex = null;
+      botInfo.searchIndex = null;
+      botInfo.searchSessions.clear();
+    }
+    botInfo.lastRefresh = new Date().toISOString();
+
+    this.logger.info(`✓ Bot ${botId} refreshed (status: ${botInfo.status})`);
+    return true;
+  }
+
+  // Reload a bot record from storage into the running instance, starting it if needed
+  async refreshBot(botId) {
+    const bot = this.storage.getBotById(botId, false);
+    if (!bot) {
+      return false;
+    }
+
+    if (this.bots.has(botId)) {
+      return this.applyBotUpdate(botId, bot);
+    }
+
+    if (bot.status === 'banned' || bot.status === 'disconnected' || !bot.botToken) {
+      return false;
+    }
+
+    const started = await this.addBot(
+      bot.id,
+      bot.botToken,
+      bot.channelId,
+      bot.metadata,
+      bot.status,
+      bot.ownerId,
+      bot.settings
+    );
+    return started !== null;
+  }
+
+  // Bring running bots in line with storage after bulk changes (e.g. a backup restore)
+  async reloadAllBots() {
+    const storedBots = new Map(this.storage.getAllBots().map(bot => [bot.id, bot]));
+    const summary = { refreshed: 0, started: 0, stopped: 0 };
+
+    for (const [botId, botInfo] of [...this.bots.entries()]) {
+      const stored = storedBots.get(botId);
+      if (!stored || stored.status === 'banned' || stored.status === 'disconnected' ||
+          stored.botToken !== botInfo.token) {
+        await this.stopBot(botId);
+        summary.stopped++;
+      }
+    }
+
+    for (const botId of storedBots.keys()) {
+      const wasRunning = this.bots.has(botId);
+      if (await this.refreshBot(botId)) {
+        summary[wasRunning ? 'refreshed' : 'started']++;
+      }
+    }
+
+    this.logger.info(`✓ Bots reloaded (refreshed: ${summary.refreshed}, started: ${summary.started}, stopped: ${summary.stopped})`);
+    return summary;
+  }
+
+  // Pending bots answer only the admin; disconnected and banned bots answer nobody
+  isBotAvailableTo(botInfo, userId) {
+    if (botInfo.status === 'pending') {
+      return userId === this.config.getAdminUserId();
+    }
+    return botInfo.status !== 'disconnected' && botInfo.status !== 'banned';
+  }
+
+  // Usage analytics for live bots only (admin tests of pending bots are not counted)
+  track(botInfo, event, ...args) {
+    if (!this.analytics || botInfo.status !== 'approved') {
+      return;
+    }
+    try {
+      this.analytics[event](botInfo.botId, ...args);
+    } catch (error) {
+      this.logger.error(`Analytics error:`, error);
+    }
+  }
+
+  // Source channel for a file: folder override, then metadata, then the bot's channel
+  resolveChannelId(botInfo, folder) {
+    return (folder && folder.channelId) ||
+      (botInfo.metadata && botInfo.metadata.channelId) ||
+      botInfo.channelId;
+  }
+
+  // Send one file using the bot's delivery method:
+  //   'forward'  - forwardMessage from the storage channel (shows "Forwarded from")
+  //   'copy'     - copyMessage, hides the source channel, optional caption template
+  //   'document' - sendDocument with the stored fileId, no channel access needed
+  // If the source is gone (deleted channel post, expired fileId) the other
+  // identifier is tried and the file is recorded in the bot's broken files report.
+  async sendFile(botInfo, chatId, file, folder, folderPath) {
+    const method = (botInfo.settings && botInfo.settings.deliveryMethod) || 'forward';
+    const primary = method === 'document' && file.fileId ? 'fileId' : 'messageId';
+
+    try {
+      const result = await this.sendFileVia(primary, botInfo, chatId, file, folder, folderPath);
+      this.track(botInfo, 'recordDownload', file.nodeId);
+      return result;
+    } catch (error) {
+      if (!this.isMissingSourceError(error)) {
+        throw error;
+      }
+
+      const fallback = primary === 'messageId'
+        ? (file.fileId ? 'fileId' : null)
+        : (file.messageId ? 'messageId' : null);
+
+      if (!fallback) {
+        await this.reportBrokenFile(botInfo, file, folderPath, primary, error, false);
+        throw error;
+      }
+
+      try {
+        const result = await this.sendFileVia(fallback, botInfo, chatId, file, folder, folderPath);
+        this.track(botInfo, 'recordDownload', file.nodeId);
+        await this.reportBrokenFile(botInfo, file, folderPath, primary, error, true);
+        return result;
+      } catch (fallbackError) {
+        if (this.isMissingSourceError(fallbackError)) {
+          await this.reportBrokenFile(botInfo, file, folderPath, primary, error, false);
+        }
+        throw fallbackError;
+      }
+    }
+  }
+
+  async sendFileVia(source, botInfo, chatId, file, folder, folderPath) {
+    const bot = botInfo.instance;
+    const settings = botInfo.settings || {};
+    const method = settings.deliveryMethod || 'forward';
+    const channelId = this.resolveChannelId(botInfo, folder);
+
+    const options = {};
+    if (settings.protectContent) {
+      options.protect_content = true;
+    }
+
+    const caption = this.renderCaption(botInfo, file, folderPath);
+    if (caption && method !== 'forward') {
+      options.caption = caption;
+    }
+
+    if (source === 'fileId') {
+      return bot.sendDocument(chatId, file.fileId, options);
+    }
+
+    if (method === 'copy' || method === 'document') {
+      return bot.copyMessage(chatId, channelId, file.messageId, options);
+    }
+
+    return bot.forwardMessage(chatId, channelId, file.messageId, options);
+  }
+
+  // Telegram errors meaning the stored message/file no longer exists or is unreachable
+  isMissingSourceError(error) {
+    const response = error && error.response;
+    if (!response || (response.statusCode !== 400 && response.statusCode !== 403)) {
+      return false;
+    }
+    const description = (response.body && response.body.description) || '';
+    return /message to (forward|copy) not found|message_id_invalid|chat not found|not a member of the channel|wrong file identifier|wrong remote file|file reference|failed to get http url content/i.test(description);
+  }
+
+  // Record a broken file; the owner gets one summary per BROKEN_NOTIFY_DELAY_MS for new entries
+  async reportBrokenFile(botInfo, file, folderPath, source, error, recovered) {
+    try {
+      const description = (error.response && error.response.body && error.response.body.description) ||
+        error.message;
+      const isNew = await this.storage.recordBrokenFile(botInfo.botId, {
+        nodeId: file.nodeId,
+        fileName: file.fileName,
+        folderPath: (folderPath || []).join('/'),
+        messageId: file.messageId,
+        fileId: file.fileId,
+        failedSource: source,
+        recovered,
+        error: String(description).substring(0, 200)
+      });
+
+      this.logger.warn(`Bot ${botInfo.botId}: ${recovered ? 'recovered' : 'undeliverable'} file ` +
+        `"${file.fileName}" (${source} failed: ${description})`);
+
+      if (isNew && botInfo.ownerId) {
+        botInfo.pendingBrokenNotices.push({ file, folderPath: folderPath || [], recovered });
+        if (!botInfo.brokenNoticeTimer) {
+          botInfo.brokenNoticeTimer = setTimeout(() => {
+            botInfo.brokenNoticeTimer = null;
+            this.notifyOwnerBrokenFiles(botInfo).catch(err =>
+              this.logger.error(`Error notifying owner about broken files:`, err)
+            );
+          }, this.BROKEN_NOTIFY_DELAY_MS);
+        }
+      }
+    } catch (recordError) {
+      this.logger.error(`Error recording broken file:`, recordError);
+    }
+  }
+
+  async notifyOwnerBrokenFiles(botInfo) {
+    const notices = botInfo.pendingBrokenNotices.splice(0);
+    if (notices.length === 0 || !botInfo.ownerId || this.bots.get(botInfo.botId) !== botInfo) {
+      return;
+    }
+
+    const lines = notices.slice(0, 10).map(({ file, folderPath, recovered }) =>
+      `${recovered ? '⚠️' : '❌'} ${this.formatNodePath(file.fileName, folderPath)}`
+    );
+    if (notices.length > 10) {
+      lines.push(`…and ${notices.length - 10} more`);
+    }
+
+    await botInfo.instance.sendMessage(botInfo.ownerId,
+      `🩹 Some files could not be delivered from the storage channel:\n\n${lines.join('\n')}\n\n` +
+      `⚠️ = sent from the cached file instead, ❌ = unavailable.\n` +
+      `Re-upload them with the uploader. Use /broken to see the full report.`
+    );
+  }
+
+  formatNodePath(fileName, folderPath) {
+    const parts = (Array.isArray(folderPath) ? folderPath : String(folderPath || '').split('/').filter(Boolean))
+      .map(name => this.search.decodeEntities(name));
+    parts.push(this.search.decodeEntities(fileName || 'unknown'));
+    return parts.join(' / ');
+  }
+
+  async sendBrokenFilesReport(botInfo, chatId) {
+    const entries = await this.storage.getBrokenFiles(botInfo.botId);
+    if (entries.length === 0) {
+      await botInfo.instance.sendMessage(chatId, '✅ No broken files reported.');
+      return;
+    }
+
+    const lines = entries.slice(0, 30).map(entry =>
+      `${entry.recovered ? '⚠️' : '❌'} ${this.formatNodePath(entry.fileName, entry.folderPath)} (${entry.count}×)`
+    );
+    if (entries.length > 30) {
+      lines.push(`…and ${entries.length - 30} more`);
+    }
+
+    await botInfo.instance.sendMessage(chatId,
+      `🩹 Broken files (${entries.length}):\n\n${lines.join('\n')}\n\n` +
+      `⚠️ = channel post gone, sent from the cached file\n❌ = unavailable\n` +
+      `Re-upload these files with the uploader to fix them.`
+    );
+  }
+
+  // "30", "30d" or nothing (default window); null when out of range
+  parseStatsWindow(arg) {
+    if (!arg) {
+      return this.OWNER_STATS_DEFAULT_DAYS;
+    }
+    const match = /^(\d{1,3})d?$/i.exec(arg);
+    const days = match ? parseInt(match[1]) : NaN;
+    return days >= 1 && days <= this.OWNER_STATS_MAX_DAYS ? days : null;
+  }
+
+  async sendOwnerStats(botInfo, chatId, days) {
+    const bot = botInfo.instance;
+    if (!this.analytics) {
+      await bot.sendMessage(chatId, 'Statistics are not available.');
+      return;
+    }
+
+    const stats = this.analytics.getBotAnalytics(botInfo.botId, days);
+    const { totals } = stats;
+
+    // Newest first; the last 14 days are listed individually
+    const dayLines = stats.days.slice(-14).reverse().map(day =>
+      `${day.date}: ${day.users} users, ${day.downloads} downloads`
+    );
+
+    await bot.sendMessage(chatId,
+      `📊 Statistics (last ${days} day${days === 1 ? '' : 's'})\n\n` +
+      `👥 Unique users: ${totals.uniqueUsers}\n` +
+      `▶️ Starts: ${totals.starts}\n` +
+      `📂 Folder opens: ${totals.folderOpens}\n` +
+      `📥 Downloads: ${totals.downloads}\n\n` +
+      `Per day:\n${dayLines.join('\n')}\n\n` +
+      `Use /top ${days} for the most popular files and folders.`
+    );
+  }
+
+  async sendOwnerTop(botInfo, chatId, days) {
+    const bot = botInfo.instance;
+    if (!this.analytics) {
+      await bot.sendMessage(chatId, 'Statistics are not available.');
+      return;
+    }
+
+    const stats = this.analytics.getBotAnalytics(botInfo.botId, days);
+
+    const rank = (counts, type) => Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.OWNER_TOP_LIMIT)
+      .map(([nodeId, count], i) => {
+        const target = this.getNode(botInfo, nodeId, type);
+        const label = !target
+          ? '(removed)'
+          : type === 'file'
+            ? this.formatNodePath(target.node.fileName, target.path)
+            : this.formatNodePath(target.path[target.path.length - 1], target.path.slice(0, -1));
+        return `${i + 1}. ${label} — ${count}`;
+      });
+
+    const files = rank(stats.files, 'file');
+    const folders = rank(stats.folders, 'folder');
+
+    await bot.sendMessage(chatId,
+      `🏆 Most popular (last ${days} day${days === 1 ? '' : 's'})\n\n` +
+      `📥 Files:\n${files.length > 0 ? files.join('\n') : 'No downloads yet'}\n\n` +
+      `📂 Folders:\n${folders.length > 0 ? folders.join('\n') : 'No folder opens yet'}`
+    );
+  }
+
+  // Fill {fileName}, {folderPath} and {botUsername} in the bot's caption template
+  renderCaption(botInfo, file, folderPath = []) {
+    const template = botInfo.settings && botInfo.settings.captionTemplate;
+    if (!template) {
+      return null;
+    }
+
+    const values = {
+      fileName: this.search.decodeEntities(file.fileName || ''),
+      folderPath: folderPath.length > 0 
+        ? folderPath.map(name => this.search.decodeEntities(name)).join(' / ') 
+        : 'Main Menu',
+      botUsername: botInfo.username ? `@${botInfo.username}` : ''
+    };
+
+    const caption = template.replace(/\{(fileName|folderPath|botUsername)\}/g, (match, key) => values[key]);
+    return caption.substring(0, 1024); // Telegram caption limit
+  }
+
+  // Deliver a single file, telling the user when it cannot be sent
+  async deliverFile(botInfo, chatId, file, folder, folderPath) {
+    try {
+      await this.sendFile(botInfo, chatId, file, folder, folderPath);
+      return true;
+    } catch (error) {
+      this.logger.error(`Error forwarding file:`, error);
+      await botInfo.instance.sendMessage(chatId, '❌ This file is currently unavailable.');
+      return false;
+    }
+  }
+
+  // Forward every file in a folder one at a time; the send queue paces them and
+  // retries 429 answers
+  async sendAllFiles(botInfo, chatId, folder, folderPath) {
+    const bot = botInfo.instance;
+    const files = folder.files || [];
+
+    if (files.length === 0) {
+      await bot.sendMessage(chatId, '📭 This folder has no files.');
+      return;
+    }
+
+    if (botInfo.activeBatches.has(chatId)) {
+      await bot.sendMessage(chatId, '⏳ Files are already being sent. Please wait.');
+      return;
+    }
+
+    botInfo.activeBatches.add(chatId);
+    try {
+      let failed = 0;
+
+      await bot.sendMessage(chatId, `📁 Sending ${files.length} file(s)...`);
+
+      for (const file of files) {
+        try {
+          await this.sendFile(botInfo, chatId, file, folder, folderPath);
+        } catch (error) {
+          this.logger.error(`Error forwarding file:`, error);
+          failed++;
+        }
+      }
+
+      await bot.sendMessage(chatId, failed > 0
+        ? `⚠️ Sent ${files.length - failed} of ${files.length} file(s). Some files are unavailable.`
+        : `✅ All ${files.length} file(s) sent.`
+      );
+    } finally {
+      botInfo.activeBatches.delete(chatId);
+    }
+  }
+
+  // Seconds to wait from a Telegram 429 response, or null for other errors
+  getRetryAfter(error) {
+    const body = error && error.response && error.response.body;
+    if (error && error.response && error.response.statusCode === 429) {
+      return (body && body.parameters && body.parameters.retry_after) || 1;
+    }
+    return null;
+  }
+
+  getDeliveryMode(botInfo) {
+    return (botInfo.settings && botInfo.settings.deliveryMode) ||
+      this.config.getDefaultDeliveryMode();
+  }
+
+  getNode(botInfo, nodeId, type) {
+    if (!nodeId) return null;
+
+    if (!botInfo.nodeIndex) {
+      botInfo.nodeIndex = this.nodeIds.buildIndex(botInfo.metadata);
+    }
+
+    const entry = botInfo.nodeIndex.get(nodeId);
+    return entry && entry.type === type ? entry : null;
+  }
+
+  getFolderAtPath(metadata, currentPath) {
+    let currentFolder = metadata;
+    for (const folder of currentPath) {
+      if (!currentFolder || !currentFolder.subfolders || !currentFolder.subfolders[folder]) {
+        return null;
+      }
+      currentFolder = currentFolder.subfolders[folder];
+    }
+    return currentFolder || null;
+  }
+
+  formatFileLabel(file) {
+    const details = [];
+    const extension = (file.fileName || '').includes('.') 
+      ? file.fileName.split('.').pop().toUpperCase() 
+      : null;
+    if (extension && extension.length <= 5) {
+      details.push(extension);
+    }
+    if (typeof file.fileSize === 'number' && file.fileSize > 0) {
+      details.push(this.formatFileSize(file.fileSize));
+    }
+
+    const name = this.search.decodeEntities(file.fileName || 'File');
+    const label = `📄 ${name}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+    return label.length > 60 ? `${label.substring(0, 57)}...` : label;
+  }
+
+  formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  }
+
+  getSearchSession(botInfo, chatId) {
+    const session = botInfo.searchSessions.get(chatId);
+    if (!session) return null;
+
+    if (Date.now() - session.updated > this.SEARCH_SESSION_TTL) {
+      botInfo.searchSessions.delete(chatId);
+      return null;
+    }
+    return session;
+  }
+
+  setSearchSession(botInfo, chatId, session) {
+    // Drop the oldest session when the map is full
+    if (!botInfo.searchSessions.has(chatId) && botInfo.searchSessions.size >= this.MAX_SEARCH_SESSIONS) {
+      const oldest = botInfo.searchSessions.keys().next().value;
+      botInfo.searchSessions.delete(oldest);
+    }
+    botInfo.searchSessions.set(chatId, { ...session, updated: Date.now() });
+  }
+
+  async promptSearchQuery(botInfo, chatId) {
+    this.setSearchSession(botInfo, chatId, { query: null, results: [], awaitingQuery: true });
+    await botInfo.instance.sendMessage(chatId, 
+      '🔍 Send the name (or part of the name) of the file or folder you are looking for.'
+    );
+  }
+
+  async runSearch(botInfo, chatId, query) {
+    if (!this.search.isValidQuery(query)) {
+      await botInfo.instance.sendMessage(chatId, 
+        `🔍 Please enter between ${this.search.MIN_QUERY_LENGTH} and ${this.search.MAX_QUERY_LENGTH} characters.`
+      );
+      return;
+    }
+
+    if (!botInfo.searchIndex) {
+      botInfo.searchIndex = this.search.buildIndex(botInfo.metadata);
+    }
+
+    const results = this.search.search(botInfo.searchIndex, query);
+    this.setSearchSession(botInfo, chatId, { query, results, awaitingQuery: false });
+
+    await this.sendSearchResults(botInfo, chatId, 0);
+  }
+
+  async sendSearchResults(botInfo, chatId, page = 0) {
+    const bot = botInfo.instance;
+    const session = this.getSearchSession(botInfo, chatId);
+
+    if (!session || session.query === null) {
+      await bot.sendMessage(chatId, '🔍 Search expired. Please search again.');
+      return;
+    }
+
+    const { results, query } = session;
+    if (results.length === 0) {
+      await bot.sendMessage(chatId, `🔍 No files or folders found for "${query}".`, {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '🔍 New Search', callback_data: 'search|' },
+            { text: '🏠 Main', callback_data: 'main|' }
+          ]]
+        }
+      });
+      return;
+    }
+
+    const perPage = this.SEARCH_RESULTS_PER_PAGE;
+    const totalPages = Math.ceil(results.length / perPage);
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const startIdx = currentPage * perPage;
+
+    // Keep the session alive while the user pages through it
+    session.updated = Date.now();
+
+    const buttons = results.slice(startIdx, startIdx + perPage).map((entry, i) => {
+      const location = entry.type === 'file' && entry.path.length > 0 
+        ? ` (${this.search.decodeEntities(entry.path[entry.path.length - 1])})` 
+        : '';
+      const label = `${entry.type === 'file' ? '📄' : '📁'} ${this.search.decodeEntities(entry.name)}${location}`;
+      return [{
+        text: label.length > 60 ? `${label.substring(0, 57)}...` : label,
+        callback_data: `${entry.type === 'file' ? 'sfile' : 'sfolder'}|${startIdx + i}`
+      }];
+    });
+
+    const navButtons = [];
+    if (currentPage > 0) {
+      navButtons.push({ text: '⬅️ Back', callback_data: `spage|${currentPage - 1}` });
+    }
+    if (currentPage < totalPages - 1) {
+      navButtons.push({ text: '➡️ Next', callback_data: `spage|${currentPage + 1}` });
+    }
+    navButtons.push({ text: '🏠 Main', callback_data: 'main|' });
+    buttons.push(navButtons);
+
+    const pageInfo = totalPages > 1 ? ` (Page ${currentPage + 1}/${totalPages})` : '';
+    await bot.sendMessage(chatId, 
+      `🔍 ${results.length} result(s) for "${query}"${pageInfo}`, 
+      { reply_markup: { inline_keyboard: buttons } }
+    );
+  }
+
+  async deliverSearchResult(botInfo, chatId, entry) {
+    const folder = this.getFolderAtPath(botInfo.metadata, entry.path);
+    await this.deliverFile(botInfo, chatId, entry.file, folder, entry.path);
+  }
+
+  async sendFolderMenu(botInfo, chatId, currentPath, page = 0) {
+    const { instance: bot, metadata } = botInfo;
+    try {
+      // Navigate to current folder
+      const currentFolder = this.getFolderAtPath(metadata, currentPath);
+      if (!currentFolder) {
+        await bot.sendMessage(chatId, '❌ Folder not found.');
+        return;
+      }
+
+      if (currentPath.length > 0 && page === 0) {
+        this.track(botInfo, 'recordFolderOpen', currentFolder.nodeId);
+      }
+
+      // Get subfolders
+      const subfolders = Object.keys(currentFolder.subfolders || {}).sort((a, b) => 
+        a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' })
+      );
+
+      // Get files
+      const files = currentFolder.files || [];
+
+      // 'buttons' lists files for individual delivery, 'all' forwards the whole folder
+      const listFiles = this.getDeliveryMode(botInfo) === 'buttons';
+
+      // Forward files if present
+      if (!listFiles && files.length > 0 && page === 0) {
+        await bot.sendMessage(chatId, `📁 Sending ${files.length} file(s)...`);
+        
+        for (const file of files) {
+          try {
+            await this.sendFile(botInfo, chatId, file, currentFolder, currentPath);
+          } catch (error) {
+            this.logger.error(`Error forwarding file:`, error);
+          }
+        }
+      }
+
+      // Menu items: subfolders first, then files when listing them as buttons
+      const items = subfolders.map(name => ({ type: 'folder', name }));
+      if (listFiles) {
+        files.forEach(file => items.push({ type: 'file', file }));
+      }
+
+      // Prepare inline keyboard
+      if (items.length === 0) {
+        if (files.length === 0) {
+          await bot.sendMessage(chatId, '📭 This folder is empty.');
+        }
+        
+        const navButton = currentPath.length > 0
+          ? { text: '🏠 Main Menu', callback_data: 'main|' }
+          : { text: '🔍 Search', callback_data: 'search|' };
+        await bot.sendMessage(chatId, 'Navigation:', { 
+          reply_markup: { inline_keyboard: [[navButton]] } 
+        });
+        return;
+      }
+
+      // Pagination
+      const ITEMS_PER_PAGE = 30;
+      const BUTTONS_PER_ROW = 10;
+      
+      const totalPages = Math.ceil(items.length / ITEMS_PER_PAGE);
+      const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+      const startIdx = currentPage * ITEMS_PER_PAGE;
+      const endIdx = Math.min(startIdx + ITEMS_PER_PAGE, items.length);
+      const pageItems = items.slice(startIdx, endIdx);
+      const folderId = currentFolder.nodeId;
+
+      // Create button rows (folders share rows, files get one row each)
+      const buttons = [];
+      const pageSubfolders = pageItems.filter(item => item.type === 'folder');
+      for (let i = 0; i < pageSubfolders.length; i += BUTTONS_PER_ROW) {
+        const row = pageSubfolders.slice(i, i + BUTTONS_PER_ROW).map(({ name: folder }) => ({
+          text: `📁 ${this.search.decodeEntities(folder)}`,
+          callback_data: `f|${currentFolder.subfolders[folder].nodeId}`
+        }));
+        buttons.push(row);
+      }
+
+      for (const item of pageItems.filter(item => item.type === 'file')) {
+        buttons.push([{
+          text: this.formatFileLabel(item.file),
+          callback_data: `d|${item.file.nodeId}`
+        }]);
+      }
+
+      if (listFiles && files.length > 1) {
+        buttons.push([{ text: `📤 Send all (${files.length})`, callback_data: `a|${folderId}` }]);
+      }
+
+      // Add navigation buttons
+      const navButtons = [];
+      if (currentPage > 0) {
+        navButtons.push({ 
+          text: '⬅️ Back', 
+          callback_data: `f|${folderId}|p${currentPage - 1}` 
+        });
+      }
+      if (currentPage < totalPages - 1) {
+        navButtons.push({ 
+          text: '➡️ Next', 
+          callback_data: `f|${folderId}|p${currentPage + 1}` 
+        });
+      }
+      if (currentPath.length > 0) {
+        navButtons.push({ text: '🏠 Main', callback_data: 'main|' });
+      } else {
+        navButtons.push({ text: '🔍 Search', callback_data: 'search|' });
+      }
+
+      if (navButtons.length > 0) {
+        buttons.push(navButtons);
+      }
+
+      // Send menu
+      const pathDisplay = currentPath.length > 0 ? currentPath.join(' > ') : 'Main Menu';
+      const pageInfo = totalPages > 1 ? ` (Page ${currentPage + 1}/${totalPages})` : '';
+      
+      await bot.sendMessage(chatId, `📂 ${pathDisplay}${pageInfo}`, {
+        reply_markup: { inline_keyboard: buttons }
+      });
+
+    } catch (error) {
+      this.logger.error('Error sending folder menu:', error);
+      try {
+        await bot.sendMessage(chatId, '❌ Error loading folder menu.');
+      } catch (e) {
+        this.logger.error('Failed to send error message:', e);
+      }
+    }
+  }
+
+  async sendAdminMessage(botId, ownerId, message) {
+    try {
+      const botInfo = this.bots.get(botId);
+      if (!botInfo) {
+        throw new Error('Bot not found');
+      }
+
+      // CRITICAL FIX #1: Limit message length
+      const sanitizedMessage = this.security.sanitizeInput(message);
+      if (!sanitizedMessage || sanitizedMessage.length > 4096) {
+        throw new Error('Invalid or too long message');
+      }
+      
+      await botInfo.instance.sendMessage(ownerId, 
+        `📨 Message from Administrator:\n\n${sanitizedMessage}`
+      );
+
+      return true;
+    } catch (error) {
+      this.logger.error(`Error sending admin message:`, error);
+      throw error;
+    }
+  }
 
   startRecoveryMonitor() {
     this.recoveryInterval = setInterval(async () => {
+      this.floodControl.cleanup();
+
       for (const [botId, botInfo] of this.bots.entries()) {
         try {
           // Check if circuit breaker is open
@@ -617,7 +1938,8 @@ class BotManager {
                   bot.channelId,
                   bot.metadata,
                   bot.status,
-                  bot.ownerId
+                  bot.ownerId,
+                  bot.settings
                 );
                 
                 await this.adminBot.sendAlert('recovery', 
@@ -640,10 +1962,16 @@ class BotManager {
     const botInfo = this.bots.get(botId);
     if (botInfo) {
       try {
-        await botInfo.instance.stopPolling();
+        await this.stopUpdates(botInfo);
       } catch (error) {
         this.logger.error(`Error stopping bot ${botId}:`, error);
       }
+      if (botInfo.brokenNoticeTimer) {
+        clearTimeout(botInfo.brokenNoticeTimer);
+      }
+      if (botInfo.sendQueue) {
+        botInfo.sendQueue.stop();
+      }
       this.bots.delete(botId);
       this.botTokenMap.delete(botInfo.token);
       this.logger.info(`✓ Bot ${botId} stopped`);
@@ -662,10 +1990,16 @@ class BotManager {
     this.logger.info('Stopping all bots...');
     for (const [botId, botInfo] of this.bots.entries()) {
       try {
-        await botInfo.instance.stopPolling();
+        await this.stopUpdates(botInfo);
       } catch (error) {
         this.logger.error(`Error stopping bot ${botId}:`, error);
       }
+      if (botInfo.brokenNoticeTimer) {
+        clearTimeout(botInfo.brokenNoticeTimer);
+      }
+      if (botInfo.sendQueue) {
+        botInfo.sendQueue.stop();
+      }
     }
     this.bots.clear();
     this.botTokenMap.clear();
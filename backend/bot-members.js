@@ -0,0 +1,182 @@
+// bot-members.js - Bot Owners, Co-Owners, Maintainers and Ownership Transfers
+
+// The primary owner stays in bot.ownerId; everyone else is in bot.members.
+// What each role may do through the bot's owner commands:
+const ROLE_PERMISSIONS = {
+  owner: ['stats', 'broken', 'apikey', 'members', 'transfer', 'block'],
+  'co-owner': ['stats', 'broken', 'apikey', 'members', 'block'],
+  maintainer: ['stats', 'broken']
+};
+
+class BotMembers {
+  constructor(storage) {
+    this.storage = storage;
+
+    this.MEMBER_ROLES = ['co-owner', 'maintainer'];
+    this.MAX_MEMBERS = 20;
+    this.TRANSFER_TTL_MS = 24 * 60 * 60 * 1000; // Pending transfers expire after 24 hours
+  }
+
+  sameUser(a, b) {
+    return a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+  }
+
+  getMembers(bot) {
+    return (bot && bot.members) || [];
+  }
+
+  // 'owner', 'co-owner', 'maintainer' or null
+  getRole(bot, userId) {
+    if (!bot) return null;
+    if (this.sameUser(bot.ownerId, userId)) return 'owner';
+    const member = this.getMembers(bot).find(entry => this.sameUser(entry.userId, userId));
+    return member ? member.role : null;
+  }
+
+  can(bot, userId, permission) {
+    const role = this.getRole(bot, userId);
+    return !!role && ROLE_PERMISSIONS[role].includes(permission);
+  }
+
+  // Whether actorRole may add or remove someone with targetRole
+  canManage(actorRole, targetRole) {
+    if (actorRole === 'owner') return targetRole !== 'owner';
+    if (actorRole === 'co-owner') return targetRole === 'maintainer';
+    return false;
+  }
+
+  // Owner and members, owner first
+  listTeam(bot) {
+    const team = bot.ownerId ? [{ userId: bot.ownerId, role: 'owner', addedAt: bot.ownerRegisteredAt || null }] : [];
+    return team.concat(this.getMembers(bot));
+  }
+
+  // Adds a member or changes an existing member's role
+  async addMember(botId, userId, role, addedBy) {
+    const bot = this.storage.getBotById(botId, false);
+    if (!bot) {
+      throw new Error('Bot not found');
+    }
+    if (!this.MEMBER_ROLES.includes(role)) {
+      throw new Error('Role must be co-owner or maintainer');
+    }
+    if (!bot.ownerId) {
+      throw new Error('Bot has no registered owner yet');
+    }
+    if (this.sameUser(bot.ownerId, userId)) {
+      throw new Error('User is already the owner');
+    }
+    if (await this.storage.isBanned(String(userId))) {
+      throw new Error('User is banned');
+    }
+    if ((bot.blockedUsers || []).some(entry => this.sameUser(entry.userId, userId))) {
+      throw new Error('User is blocked from this bot');
+    }
+
+    const members = this.getMembers(bot).filter(entry => !this.sameUser(entry.userId, userId));
+    if (members.length >= this.MAX_MEMBERS) {
+      throw new Error(`A bot can have at most ${this.MAX_MEMBERS} members`);
+    }
+
+    const member = { userId: Number(userId), role, addedAt: new Date().toISOString(), addedBy: String(addedBy) };
+    members.push(member);
+    this.storage.setBotOwnership(botId, { members });
+    return member;
+  }
+
+  // Removed member or null if the user was not a member
+  removeMember(botId, userId) {
+    const bot = this.storage.getBotById(botId, false);
+    const member = this.getMembers(bot).find(entry => this.sameUser(entry.userId, userId));
+    if (!member) {
+      return null;
+    }
+
+    this.storage.setBotOwnership(botId, {
+      members: this.getMembers(bot).filter(entry => entry !== member)
+    });
+    return member;
+  }
+
+  // Owner-initiated transfer; takes effect when the new owner accepts inside the bot
+  async requestTransfer(botId, toUserId, requestedBy) {
+    const bot = this.storage.getBotById(botId, false);
+    if (!bot || !bot.ownerId) {
+      throw new Error('Bot has no registered owner');
+    }
+    if (this.sameUser(bot.ownerId, toUserId)) {
+      throw new Error('User is already the owner');
+    }
+    if (await this.storage.isBanned(String(toUserId))) {
+      throw new Error('User is banned');
+    }
+
+    const pendingTransfer = {
+      toUserId: Number(toUserId),
+      requestedBy: String(requestedBy),
+      requestedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + this.TRANSFER_TTL_MS).toISOString()
+    };
+    this.storage.setBotOwnership(botId, { pendingTransfer });
+    return pendingTransfer;
+  }
+
+  // Pending transfer that has not expired, or null
+  getPendingTransfer(bot) {
+    const transfer = bot && bot.pendingTransfer;
+    if (!transfer || transfer.expiresAt <= new Date().toISOString()) {
+      return null;
+    }
+    return transfer;
+  }
+
+  cancelTransfer(botId) {
+    const bot = this.storage.getBotById(botId, false);
+    if (!bot || !bot.pendingTransfer) {
+      return false;
+    }
+    this.storage.setBotOwnership(botId, { pendingTransfer: null });
+    return true;
+  }
+
+  // Makes userId the owner if a transfer to them is pending; returns the previous owner or null
+  async acceptTransfer(botId, userId) {
+    const bot = this.storage.getBotById(botId, false);
+    const transfer = this.getPendingTransfer(bot);
+    if (!transfer || !this.sameUser(transfer.toUserId, userId)) {
+      return null;
+    }
+    if (await this.storage.isBanned(String(userId))) {
+      return null;
+    }
+
+    const previousOwnerId = bot.ownerId;
+    this.setOwner(bot, transfer.toUserId);
+    return { previousOwnerId };
+  }
+
+  // New primary owner: leaves the member list; the previous owner loses access
+  setOwner(bot, ownerId) {
+    this.storage.setBotOwnership(bot.id, {
+      ownerId,
+      ownerRegisteredAt: new Date().toISOString(),
+      members: this.getMembers(bot).filter(entry => !this.sameUser(entry.userId, ownerId)),
+      pendingTransfer: null
+    });
+  }
+
+  // Earliest co-owner who is not banned, to take over from a banned owner
+  async findSuccessor(bot, bannedUserId) {
+    for (const member of this.getMembers(bot)) {
+      if (member.role === 'co-owner' && !this.sameUser(member.userId, bannedUserId) &&
+          !await this.storage.isBanned(String(member.userId))) {
+        return member;
+      }
+    }
+    return null;
+  }
+}
+
+BotMembers.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+module.exports = BotMembers;
@@ -0,0 +1,97 @@
+// claim-codes.js - One-Time Codes for Claiming Bot Ownership
+const crypto = require('crypto');
+
+// No 0/O or 1/I/L, so codes survive being read off a screen
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// A new bot gets a code (returned once by /api/upload); whoever sends
+// /register <code> to the bot first becomes its owner. Only the code's hash is
+// kept in the bot record, with an expiry and a failed-attempt counter.
+class ClaimCodes {
+  constructor(storage) {
+    this.storage = storage;
+
+    this.CODE_LENGTH = 10; // Shown as XXXXX-XXXXX
+    this.TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+    this.MAX_ATTEMPTS = 5; // Wrong codes before the claim is locked
+  }
+
+  generate() {
+    let code = '';
+    for (let i = 0; i < this.CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  }
+
+  hash(code) {
+    const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  // New code for the bot, replacing any previous one; null if the bot does not exist
+  issue(botId) {
+    const code = this.generate();
+    const expiresAt = new Date(Date.now() + this.TTL_MS).toISOString();
+    const claim = {
+      codeHash: this.hash(code),
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      attempts: 0
+    };
+
+    if (!this.storage.setBotClaim(botId, claim)) {
+      return null;
+    }
+    return { code, expiresAt };
+  }
+
+  // Admin view of a pending claim (never the hash)
+  describe(claim) {
+    if (!claim) return null;
+    return {
+      createdAt: claim.createdAt,
+      expiresAt: claim.expiresAt,
+      attemptsLeft: Math.max(0, this.MAX_ATTEMPTS - claim.attempts),
+      expired: claim.expiresAt <= new Date().toISOString()
+    };
+  }
+
+  // Registers userId as owner if the code matches. Returns { success: true } or
+  // { success: false, reason: 'registered' | 'no_code' | 'expired' | 'locked' | 'invalid', attemptsLeft }.
+  // Runs synchronously, so two redemptions cannot interleave.
+  redeem(botId, code, userId) {
+    const bot = this.storage.getBotById(botId, false);
+    if (!bot) {
+      return { success: false, reason: 'no_code' };
+    }
+    if (bot.ownerId) {
+      return { success: false, reason: 'registered' };
+    }
+
+    const claim = bot.claim;
+    if (!claim) {
+      return { success: false, reason: 'no_code' };
+    }
+    if (claim.expiresAt <= new Date().toISOString()) {
+      return { success: false, reason: 'expired' };
+    }
+    if (claim.attempts >= this.MAX_ATTEMPTS) {
+      return { success: false, reason: 'locked' };
+    }
+
+    // SECURITY FIX: Constant-time comparison
+    const matches = crypto.timingSafeEqual(Buffer.from(this.hash(code)), Buffer.from(claim.codeHash));
+    if (!matches) {
+      claim.attempts += 1;
+      this.storage.setBotClaim(botId, claim);
+      const attemptsLeft = this.MAX_ATTEMPTS - claim.attempts;
+      return { success: false, reason: attemptsLeft > 0 ? 'invalid' : 'locked', attemptsLeft };
+    }
+
+    this.storage.registerBotOwner(botId, userId);
+    return { success: true };
+  }
+}
+
+module.exports = ClaimCodes;
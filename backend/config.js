@@ -32,6 +32,7 @@ class Config {
           maxJsonSizeMB: 10,
           welcomeMessage: '👋 Welcome! Use the buttons below to navigate through folders and access files.',
           invalidInputMessage: '❌ Invalid input. Please use the buttons to navigate.',
+          defaultDeliveryMode: 'buttons',
           createdAt: new Date().toISOString()
         };
         await this.storage.saveConfig('system', this.config.system);
@@ -132,12 +133,170 @@ class Config {
     return true;
   }
 
+  // Default for bots without their own deliveryMode setting
+  getDefaultDeliveryMode() {
+    return this.config.system?.defaultDeliveryMode || 'buttons';
+  }
+
+  async setDefaultDeliveryMode(mode) {
+    if (!['buttons', 'all'].includes(mode)) {
+      throw new Error('Delivery mode must be "buttons" or "all"');
+    }
+
+    this.config.system.defaultDeliveryMode = mode;
+    this.config.system.updatedAt = new Date().toISOString();
+    
+    await this.storage.saveConfig('system', this.config.system);
+    return true;
+  }
+
+  // Whether every admin account must use two-factor authentication
+  getRequireTwoFactor() {
+    return this.config.system?.requireTwoFactor === true;
+  }
+
+  async setRequireTwoFactor(required) {
+    this.config.system.requireTwoFactor = !!required;
+    this.config.system.updatedAt = new Date().toISOString();
+    
+    await this.storage.saveConfig('system', this.config.system);
+    return true;
+  }
+
+  // Uploader calls authenticated by the bot token alone (no API key) for bots that
+  // already have a key; kept on while existing uploaders migrate
+  getAllowLegacyTokenAuth() {
+    return this.config.system?.allowLegacyTokenAuth !== false;
+  }
+
+  async setAllowLegacyTokenAuth(allowed) {
+    this.config.system.allowLegacyTokenAuth = !!allowed;
+    this.config.system.updatedAt = new Date().toISOString();
+    
+    await this.storage.saveConfig('system', this.config.system);
+    return true;
+  }
+
+  // Admin sessions can be tied to the IP and/or user agent they were created with
+  getSessionBinding() {
+    return {
+      ip: this.config.system?.sessionBinding?.ip === true,
+      userAgent: this.config.system?.sessionBinding?.userAgent === true
+    };
+  }
+
+  async setSessionBinding({ ip, userAgent }) {
+    const binding = this.getSessionBinding();
+    if (ip !== undefined) binding.ip = !!ip;
+    if (userAgent !== undefined) binding.userAgent = !!userAgent;
+
+    this.config.system.sessionBinding = binding;
+    this.config.system.updatedAt = new Date().toISOString();
+    
+    await this.storage.saveConfig('system', this.config.system);
+    return binding;
+  }
+
+  // Scheduled job overrides (name -> { schedule, enabled, options })
+  getScheduledJobs() {
+    return this.config.system?.scheduledJobs || {};
+  }
+
+  async setScheduledJob(name, settings) {
+    this.config.system.scheduledJobs = {
+      ...this.getScheduledJobs(),
+      [name]: { ...settings, updatedAt: new Date().toISOString() }
+    };
+    this.config.system.updatedAt = new Date().toISOString();
+    
+    await this.storage.saveConfig('system', this.config.system);
+    return true;
+  }
+
+  // Backup retention: newest backup per day for keepDaily days, per week for keepWeekly weeks
+  getBackupRetention() {
+    return {
+      keepDaily: 7,
+      keepWeekly: 4,
+      ...(this.config.system?.backupRetention || {})
+    };
+  }
+
+  async setBackupRetention(keepDaily, keepWeekly) {
+    if (!Number.isInteger(keepDaily) || keepDaily < 0 || keepDaily > 365) {
+      throw new Error('keepDaily must be between 0 and 365');
+    }
+    if (!Number.isInteger(keepWeekly) || keepWeekly < 0 || keepWeekly > 104) {
+      throw new Error('keepWeekly must be between 0 and 104');
+    }
+
+    this.config.system.backupRetention = { keepDaily, keepWeekly };
+    this.config.system.updatedAt = new Date().toISOString();
+    
+    await this.storage.saveConfig('system', this.config.system);
+    return true;
+  }
+
+  // Per-user limit on updates to a hosted bot (token bucket: burst, refill per minute)
+  getUserRateLimit() {
+    return {
+      burst: 10,
+      perMinute: 30,
+      ...(this.config.system?.userRateLimit || {})
+    };
+  }
+
+  async setUserRateLimit(burst, perMinute) {
+    if (!Number.isInteger(burst) || burst < 1 || burst > 100) {
+      throw new Error('Burst must be between 1 and 100');
+    }
+    if (!Number.isInteger(perMinute) || perMinute < 1 || perMinute > 600) {
+      throw new Error('Requests per minute must be between 1 and 600');
+    }
+
+    this.config.system.userRateLimit = { burst, perMinute };
+    this.config.system.updatedAt = new Date().toISOString();
+    
+    await this.storage.saveConfig('system', this.config.system);
+    return true;
+  }
+
+  // Deployment Configuration (environment)
+  getUpdateMode() {
+    const mode = (process.env.BOT_UPDATE_MODE || 'polling').toLowerCase();
+    if (mode === 'webhook' && !this.getWebhookBaseUrl()) {
+      return 'polling';
+    }
+    return mode === 'webhook' ? 'webhook' : 'polling';
+  }
+
+  getWebhookBaseUrl() {
+    const url = process.env.WEBHOOK_BASE_URL;
+    return url ? url.replace(/\/+$/, '') : null;
+  }
+
+  getWebhookSecret() {
+    return process.env.WEBHOOK_SECRET || null;
+  }
+
+  // Override for the Telegram Bot API host (local Bot API server or a fake API in tests)
+  getTelegramApiUrl() {
+    return process.env.TELEGRAM_API_URL || null;
+  }
+
   // Get all system settings
   getSystemSettings() {
     return {
       maxJsonSizeMB: this.config.system?.maxJsonSizeMB || 10,
       welcomeMessage: this.getWelcomeMessage(),
-      invalidInputMessage: this.getInvalidInputMessage()
+      invalidInputMessage: this.getInvalidInputMessage(),
+      defaultDeliveryMode: this.getDefaultDeliveryMode(),
+      requireTwoFactor: this.getRequireTwoFactor(),
+      bindSessionIp: this.getSessionBinding().ip,
+      bindSessionUserAgent: this.getSessionBinding().userAgent,
+      allowLegacyTokenAuth: this.getAllowLegacyTokenAuth(),
+      userRateBurst: this.getUserRateLimit().burst,
+      userRatePerMinute: this.getUserRateLimit().perMinute
     };
   }
 
@@ -12,4 +12,28 @@ NODE_ENV=production
 # DOMAIN=yourdomain.com
 
 # System Settings (Can also be configured via admin panel)
-# MAX_JSON_SIZE_MB=10
\ No newline at end of file
+# MAX_JSON_SIZE_MB=10
+
+# Bot Update Delivery
+# polling (default) or webhook. Webhook mode needs a public HTTPS base URL;
+# bots fall back to polling if it is missing or registration fails.
+# BOT_UPDATE_MODE=webhook
+# WEBHOOK_BASE_URL=https://yourdomain.com
+# WEBHOOK_SECRET=generate-a-long-random-string
+# Override the Telegram Bot API host (local Bot API server or a fake API for testing)
+# TELEGRAM_API_URL=http://127.0.0.1:8081
+
+# Backups
+# When set, backups are single encrypted archives (tar + gzip + AES-256-GCM)
+# that can be downloaded and restored from the admin panel. Keep a copy of this
+# secret off-box: archives cannot be restored without it.
+# BACKUP_ENCRYPTION_KEY=generate-a-long-random-string
+
+# Bot Token Encryption
+# Master key for encrypting bot tokens in data/bots (AES-256-GCM, one data key
+# per bot). Existing plaintext tokens are encrypted on the next start. To rotate:
+# move the old key to BOT_TOKEN_ENCRYPTION_KEY_PREVIOUS (comma-separated if
+# several), set a new BOT_TOKEN_ENCRYPTION_KEY and run `npm run rotate-token-key`
+# (or just restart). Tokens cannot be recovered without the key.
+# BOT_TOKEN_ENCRYPTION_KEY=generate-a-long-random-string
+# BOT_TOKEN_ENCRYPTION_KEY_PREVIOUS=
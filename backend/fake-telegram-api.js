@@ -0,0 +1,141 @@
+// fake-telegram-api.js - Local Stand-In for the Telegram Bot API (Testing Only)
+//
+// Run with TELEGRAM_API_URL pointing at it to test bots without Telegram:
+//   node fake-telegram-api.js            (listens on FAKE_TELEGRAM_PORT, default 8081)
+//
+// Bot API calls (/bot<token>/<method>) are answered with plausible results and
+// recorded. setWebHook remembers each bot's URL and secret, so updates can be
+// delivered the way Telegram would:
+//   POST /_fake/update  { "update": {...}, "token": "<bot token, optional>" }
+//   GET  /_fake/calls   recorded calls (?method=sendMessage&since=<index>)
+//   GET  /_fake/webhooks registered webhooks
+const http = require('http');
+
+const PORT = parseInt(process.env.FAKE_TELEGRAM_PORT) || 8081;
+
+const calls = []; // { index, token, method, params, at }
+const webhooks = new Map(); // token -> { url, secretToken }
+let nextMessageId = 1;
+let nextUpdateId = 1;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+// Query string plus a JSON or form-encoded body
+function parseParams(req, body) {
+  const params = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  if (!body) return params;
+
+  if ((req.headers['content-type'] || '').includes('application/json')) {
+    try {
+      return { ...params, ...JSON.parse(body) };
+    } catch (error) {
+      return params;
+    }
+  }
+  return { ...params, ...Object.fromEntries(new URLSearchParams(body)) };
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function botMethodResult(token, method, params) {
+  const botId = parseInt(token.split(':')[0]) || 1;
+
+  switch (method) {
+    case 'getMe':
+      return { id: botId, is_bot: true, first_name: 'Fake Bot', username: `fake_${botId}_bot` };
+    case 'setWebHook':
+      webhooks.set(token, { url: params.url, secretToken: params.secret_token || null });
+      return true;
+    case 'deleteWebHook':
+      webhooks.delete(token);
+      return true;
+    case 'getWebHookInfo': {
+      const webhook = webhooks.get(token);
+      return { url: webhook ? webhook.url : '', pending_update_count: 0 };
+    }
+    case 'getUpdates':
+      return [];
+    case 'sendMessage':
+    case 'sendDocument':
+    case 'forwardMessage':
+    case 'copyMessage':
+      return { message_id: nextMessageId++, date: Math.floor(Date.now() / 1000), chat: { id: Number(params.chat_id) } };
+    default:
+      return true;
+  }
+}
+
+// Delivers an update to a bot's webhook like Telegram does (secret in the header)
+async function deliverUpdate(token, update) {
+  const webhook = token ? webhooks.get(token) : [...webhooks.values()].pop();
+  if (!webhook) {
+    return { ok: false, error: 'No webhook registered' };
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (webhook.secretToken) {
+    headers['X-Telegram-Bot-Api-Secret-Token'] = webhook.secretToken;
+  }
+
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ update_id: nextUpdateId++, ...update })
+  });
+  return { ok: response.ok, status: response.status };
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const body = await readBody(req);
+    const url = new URL(req.url, 'http://localhost');
+
+    const botCall = url.pathname.match(/^\/bot([^/]+)\/(\w+)$/);
+    if (botCall) {
+      const [, token, method] = botCall;
+      const params = parseParams(req, body);
+      calls.push({ index: calls.length, token, method, params, at: new Date().toISOString() });
+      if (method !== 'getUpdates') {
+        console.log(`[FAKE TELEGRAM] ${method} ${JSON.stringify(params).substring(0, 200)}`);
+      }
+      return sendJson(res, 200, { ok: true, result: botMethodResult(token, method, params) });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/_fake/update') {
+      const { token, update } = JSON.parse(body || '{}');
+      if (!update || typeof update !== 'object') {
+        return sendJson(res, 400, { ok: false, error: 'update required' });
+      }
+      return sendJson(res, 200, await deliverUpdate(token, update));
+    }
+
+    if (req.method === 'GET' && url.pathname === '/_fake/calls') {
+      const method = url.searchParams.get('method');
+      const since = parseInt(url.searchParams.get('since')) || 0;
+      return sendJson(res, 200, calls.slice(since).filter(call => !method || call.method === method));
+    }
+
+    if (req.method === 'GET' && url.pathname === '/_fake/webhooks') {
+      return sendJson(res, 200, Object.fromEntries(webhooks));
+    }
+
+    sendJson(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+  } catch (error) {
+    console.error('[FAKE TELEGRAM] Error:', error);
+    sendJson(res, 500, { ok: false, error: error.message });
+  }
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`✓ Fake Telegram Bot API listening on http://127.0.0.1:${PORT}`);
+});
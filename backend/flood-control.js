@@ -0,0 +1,82 @@
+// flood-control.js - Per-User Rate Limits and Temporary Mutes in Hosted Bots
+
+// Every update a user sends to a bot takes a token from their bucket for that
+// bot (limits from config). Users who keep going while limited are muted, for
+// longer each time; a "slow down" reply is sent at most every few seconds.
+class FloodControl {
+  constructor(security, config) {
+    this.security = security;
+    this.limiter = security.createRateLimiter(() => config.getUserRateLimit());
+    this.offenders = new Map(); // botId:userId -> { strikes, firstStrikeAt, warnedAt, mutedUntil, muteLevel, lastMuteAt }
+
+    this.STRIKES_TO_MUTE = 5; // Limited updates within STRIKE_WINDOW_MS
+    this.STRIKE_WINDOW_MS = 60 * 1000;
+    this.MUTE_DURATIONS_MS = [1, 5, 15, 60].map(minutes => minutes * 60 * 1000);
+    this.MUTE_LEVEL_RESET_MS = 6 * 60 * 60 * 1000; // Mute history is forgotten after 6 quiet hours
+    this.WARN_INTERVAL_MS = 10 * 1000;
+  }
+
+  // { allowed: true } or { allowed: false, reply } where reply is the text to
+  // show the user, or null to ignore the update silently
+  check(botId, userId) {
+    const key = `${botId}:${userId}`;
+    const now = Date.now();
+    const offender = this.offenders.get(key);
+
+    if (offender && offender.mutedUntil > now) {
+      return { allowed: false, reply: null };
+    }
+    if (this.limiter(key)) {
+      return { allowed: true };
+    }
+
+    const record = offender || { strikes: 0, firstStrikeAt: now, warnedAt: 0, mutedUntil: 0, muteLevel: 0, lastMuteAt: 0 };
+    if (now - record.firstStrikeAt > this.STRIKE_WINDOW_MS) {
+      record.strikes = 0;
+      record.firstStrikeAt = now;
+    }
+    if (record.lastMuteAt && now - record.lastMuteAt > this.MUTE_LEVEL_RESET_MS) {
+      record.muteLevel = 0;
+    }
+    record.strikes++;
+    this.offenders.set(key, record);
+
+    if (record.strikes >= this.STRIKES_TO_MUTE) {
+      const duration = this.MUTE_DURATIONS_MS[Math.min(record.muteLevel, this.MUTE_DURATIONS_MS.length - 1)];
+      record.muteLevel++;
+      record.mutedUntil = now + duration;
+      record.lastMuteAt = now;
+      record.strikes = 0;
+
+      this.security.logSecurityEvent('user_muted', {
+        botId,
+        userId,
+        minutes: duration / 60000,
+        level: record.muteLevel
+      });
+      return {
+        allowed: false,
+        reply: `🔇 Too many requests. You are muted for ${duration / 60000} minute(s).`
+      };
+    }
+
+    if (now - record.warnedAt < this.WARN_INTERVAL_MS) {
+      return { allowed: false, reply: null };
+    }
+    record.warnedAt = now;
+    return { allowed: false, reply: '🐢 Slow down a little! Please wait a moment before trying again.' };
+  }
+
+  // Drops offenders whose mute history has expired
+  cleanup() {
+    const now = Date.now();
+    for (const [key, record] of this.offenders.entries()) {
+      const lastActivity = Math.max(record.firstStrikeAt, record.lastMuteAt, record.mutedUntil);
+      if (now - lastActivity > this.MUTE_LEVEL_RESET_MS) {
+        this.offenders.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = FloodControl;
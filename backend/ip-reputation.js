@@ -0,0 +1,331 @@
+// ip-reputation.js - IP Scoring from Security Events, Automatic Blocks and Allow/Deny Lists
+const net = require('net');
+
+class IpReputation {
+  constructor(storage, adminBot, security) {
+    this.storage = storage;
+    this.adminBot = adminBot;
+    this.security = security;
+
+    // Event points by severity, summed over a sliding window
+    this.SEVERITY_POINTS = { HIGH: 10, MEDIUM: 3, LOW: 1 };
+    this.SCORE_WINDOW_MS = 10 * 60 * 1000; // 10 minutes
+    this.BLOCK_THRESHOLD = 20;
+    this.AUTO_BLOCK_MS = 60 * 60 * 1000; // 1 hour
+    this.SUBNET_BLOCK_IPS = 3; // Auto-blocked IPs in one /24 (IPv4) or /64 (IPv6) before the subnet is blocked
+    this.IGNORED_EVENTS = ['ip_blocked', 'events_dropped'];
+    this.MAX_TRACKED_IPS = 10000;
+
+    this.scores = new Map(); // ip -> [{ time, points, type }], least recently scored first
+    this.hits = new Map(); // block target -> rejected requests since startup
+    this.lists = { blocks: [], allow: [] };
+    this.denyList = new net.BlockList();
+    this.allowList = new net.BlockList();
+  }
+
+  async initialize() {
+    const saved = await this.storage.loadConfig('ip_blocks');
+    if (saved) {
+      this.lists = { blocks: saved.blocks || [], allow: saved.allow || [] };
+    }
+    this.pruneExpired();
+    this.rebuildLists();
+  }
+
+  save() {
+    return this.storage.saveConfig('ip_blocks', this.lists)
+      .catch(error => console.error('Error saving IP blocks:', error));
+  }
+
+  // IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are treated as IPv4
+  normalizeIp(ip) {
+    if (typeof ip !== 'string') return null;
+    const address = ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7)) ? ip.substring(7) : ip;
+    return net.isIP(address) ? address : null;
+  }
+
+  // Accepts "1.2.3.4", "2001:db8::1" or CIDR "10.0.0.0/8"; returns the canonical target or null
+  parseTarget(target) {
+    if (typeof target !== 'string') return null;
+
+    const [address, prefix, extra] = target.trim().split('/');
+    const ip = this.normalizeIp(address);
+    if (!ip || extra !== undefined) return null;
+
+    if (prefix === undefined) {
+      return { target: ip, address: ip, type: net.isIPv4(ip) ? 'ipv4' : 'ipv6', prefix: null };
+    }
+
+    const type = net.isIPv4(ip) ? 'ipv4' : 'ipv6';
+    const bits = parseInt(prefix);
+    if (!/^\d{1,3}$/.test(prefix) || bits < 1 || bits > (type === 'ipv4' ? 32 : 128)) {
+      return null;
+    }
+    return { target: `${ip}/${bits}`, address: ip, type, prefix: bits };
+  }
+
+  addToList(list, parsed) {
+    if (parsed.prefix === null) {
+      list.addAddress(parsed.address, parsed.type);
+    } else {
+      list.addSubnet(parsed.address, parsed.prefix, parsed.type);
+    }
+  }
+
+  rebuildLists() {
+    this.denyList = new net.BlockList();
+    this.allowList = new net.BlockList();
+
+    for (const entry of this.lists.blocks) {
+      const parsed = this.parseTarget(entry.target);
+      if (parsed) this.addToList(this.denyList, parsed);
+    }
+    for (const entry of this.lists.allow) {
+      const parsed = this.parseTarget(entry.target);
+      if (parsed) this.addToList(this.allowList, parsed);
+    }
+  }
+
+  pruneExpired() {
+    const now = new Date().toISOString();
+    const before = this.lists.blocks.length;
+    this.lists.blocks = this.lists.blocks.filter(entry => !entry.expiresAt || entry.expiresAt > now);
+    return before - this.lists.blocks.length;
+  }
+
+  isAllowed(ip) {
+    const address = this.normalizeIp(ip);
+    return !!address && this.allowList.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+  }
+
+  // Block entry covering this IP, or null (allow list wins over blocks)
+  findBlock(ip) {
+    const address = this.normalizeIp(ip);
+    if (!address || this.isAllowed(address)) {
+      return null;
+    }
+
+    const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+    if (!this.denyList.check(address, type)) {
+      return null;
+    }
+
+    if (this.pruneExpired() > 0) {
+      this.rebuildLists();
+      this.save();
+      if (!this.denyList.check(address, type)) {
+        return null;
+      }
+    }
+
+    return this.lists.blocks.find(entry => this.covers(entry.target, address)) || null;
+  }
+
+  // Whether an IP/CIDR target includes the given address
+  covers(target, ip) {
+    const parsed = this.parseTarget(target);
+    const address = this.normalizeIp(ip);
+    if (!parsed || !address || net.isIPv4(address) !== (parsed.type === 'ipv4')) {
+      return false;
+    }
+
+    const list = new net.BlockList();
+    this.addToList(list, parsed);
+    return list.check(address, parsed.type);
+  }
+
+  // Express middleware: rejects requests from blocked IPs before any parsing
+  middleware() {
+    return (req, res, next) => {
+      const block = this.findBlock(req.ip);
+      if (!block) {
+        return next();
+      }
+
+      this.hits.set(block.target, (this.hits.get(block.target) || 0) + 1);
+      res.status(403).json({ success: false, error: 'Access denied' });
+    };
+  }
+
+  // Security event listener: score the source IP and block it past the threshold
+  recordEvent(event) {
+    const ip = this.normalizeIp(event.ip);
+    if (!ip || this.IGNORED_EVENTS.includes(event.type) || this.isAllowed(ip) || this.findBlock(ip)) {
+      return;
+    }
+
+    const now = Date.now();
+    const entries = (this.scores.get(ip) || []).filter(entry => now - entry.time < this.SCORE_WINDOW_MS);
+    entries.push({ time: now, points: this.SEVERITY_POINTS[event.severity] || 1, type: event.type });
+    this.scores.delete(ip);
+    this.scores.set(ip, entries);
+    this.pruneScores(now);
+
+    const score = entries.reduce((sum, entry) => sum + entry.points, 0);
+    if (score >= this.BLOCK_THRESHOLD) {
+      const types = [...new Set(entries.map(entry => entry.type))].join(', ');
+      this.scores.delete(ip);
+      this.autoBlock(ip, `Score ${score} in ${this.SCORE_WINDOW_MS / 60000} min (${types})`)
+        .catch(error => console.error('Error auto-blocking IP:', error));
+    }
+  }
+
+  // Drops IPs whose window has expired once too many are tracked, then the
+  // least recently scored ones
+  pruneScores(now) {
+    if (this.scores.size <= this.MAX_TRACKED_IPS) {
+      return;
+    }
+
+    for (const [ip, entries] of this.scores.entries()) {
+      if (now - entries[entries.length - 1].time >= this.SCORE_WINDOW_MS) {
+        this.scores.delete(ip);
+      }
+    }
+    for (const ip of this.scores.keys()) {
+      if (this.scores.size <= this.MAX_TRACKED_IPS) break;
+      this.scores.delete(ip);
+    }
+  }
+
+  getSubnet(ip) {
+    if (net.isIPv4(ip)) {
+      return `${ip.split('.').slice(0, 3).join('.')}.0/24`;
+    }
+
+    // First four hextets of the expanded address
+    const [head, tail = ''] = ip.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail ? tail.split(':') : [];
+    const parts = [...headParts, ...Array(8 - headParts.length - tailParts.length).fill('0'), ...tailParts];
+    return `${parts.slice(0, 4).join(':')}::/64`;
+  }
+
+  async autoBlock(ip, reason) {
+    const expiresAt = new Date(Date.now() + this.AUTO_BLOCK_MS).toISOString();
+    await this.addBlock(ip, { reason, source: 'auto', expiresAt, createdBy: 'system' });
+
+    // Escalate to the whole subnet when several of its addresses were blocked
+    const subnet = this.getSubnet(ip);
+    const siblings = this.lists.blocks.filter(entry =>
+      entry.source === 'auto' && !entry.target.includes('/') && this.covers(subnet, entry.target));
+
+    if (siblings.length >= this.SUBNET_BLOCK_IPS) {
+      this.lists.blocks = this.lists.blocks.filter(entry => !siblings.includes(entry));
+      await this.addBlock(subnet, {
+        reason: `${siblings.length} addresses auto-blocked in subnet`,
+        source: 'auto',
+        expiresAt,
+        createdBy: 'system'
+      });
+    }
+
+    this.security.logSecurityEvent('ip_blocked', { ip, reason, expiresAt });
+
+    try {
+      await this.adminBot.sendSecurityAlert('HIGH', 'IP Blocked', `${ip} blocked until ${expiresAt}: ${reason}`);
+    } catch (error) {
+      console.error('Failed to send IP block alert:', error);
+    }
+  }
+
+  // Adds or replaces the block for a target; expiresAt null = permanent
+  async addBlock(target, { reason = '', source = 'manual', expiresAt = null, createdBy = null } = {}) {
+    const parsed = this.parseTarget(target);
+    if (!parsed) {
+      throw new Error('Invalid IP address or CIDR range');
+    }
+
+    this.lists.blocks = this.lists.blocks.filter(entry => entry.target !== parsed.target);
+    const entry = {
+      target: parsed.target,
+      reason,
+      source,
+      createdAt: new Date().toISOString(),
+      createdBy,
+      expiresAt
+    };
+    this.lists.blocks.push(entry);
+
+    this.rebuildLists();
+    await this.save();
+    console.log(`✓ IP block added: ${parsed.target} (${source})`);
+    return entry;
+  }
+
+  async removeBlock(target) {
+    const parsed = this.parseTarget(target);
+    const before = this.lists.blocks.length;
+    this.lists.blocks = this.lists.blocks.filter(entry => !parsed || entry.target !== parsed.target);
+    if (this.lists.blocks.length === before) {
+      return false;
+    }
+
+    this.hits.delete(parsed.target);
+    this.rebuildLists();
+    await this.save();
+    return true;
+  }
+
+  async addAllow(target, { note = '', createdBy = null } = {}) {
+    const parsed = this.parseTarget(target);
+    if (!parsed) {
+      throw new Error('Invalid IP address or CIDR range');
+    }
+
+    this.lists.allow = this.lists.allow.filter(entry => entry.target !== parsed.target);
+    const entry = { target: parsed.target, note, createdAt: new Date().toISOString(), createdBy };
+    this.lists.allow.push(entry);
+
+    this.rebuildLists();
+    await this.save();
+    return entry;
+  }
+
+  async removeAllow(target) {
+    const parsed = this.parseTarget(target);
+    const before = this.lists.allow.length;
+    this.lists.allow = this.lists.allow.filter(entry => !parsed || entry.target !== parsed.target);
+    if (this.lists.allow.length === before) {
+      return false;
+    }
+
+    this.rebuildLists();
+    await this.save();
+    return true;
+  }
+
+  // Current state for the admin panel: blocks, allow list and IPs being scored
+  getStatus() {
+    if (this.pruneExpired() > 0) {
+      this.rebuildLists();
+      this.save();
+    }
+
+    const now = Date.now();
+    const scores = [];
+    for (const [ip, entries] of this.scores.entries()) {
+      const recent = entries.filter(entry => now - entry.time < this.SCORE_WINDOW_MS);
+      if (recent.length === 0) {
+        this.scores.delete(ip);
+        continue;
+      }
+      scores.push({
+        ip,
+        score: recent.reduce((sum, entry) => sum + entry.points, 0),
+        events: recent.length,
+        lastEvent: new Date(recent[recent.length - 1].time).toISOString()
+      });
+    }
+    scores.sort((a, b) => b.score - a.score);
+
+    return {
+      blocks: this.lists.blocks.map(entry => ({ ...entry, hits: this.hits.get(entry.target) || 0 })),
+      allow: this.lists.allow,
+      scores: scores.slice(0, 50),
+      threshold: this.BLOCK_THRESHOLD
+    };
+  }
+}
+
+module.exports = IpReputation;
@@ -0,0 +1,133 @@
+// node-ids.js - Stable Short IDs for Metadata Tree Nodes (compact callback data)
+const crypto = require('crypto');
+
+class NodeIds {
+  constructor() {
+    this.ROOT_ID = 'r';
+    this.MIN_ID_LENGTH = 4;
+    this.MAX_ID_LENGTH = 12;
+    this.idRegex = /^[a-z0-9]{1,16}$/;
+  }
+
+  // Derive an ID from the node's path so the same folder/file keeps its ID across uploads
+  hashKey(key) {
+    const digest = crypto.createHash('sha1').update(key).digest();
+    return BigInt('0x' + digest.subarray(0, 10).toString('hex')).toString(36).padStart(this.MAX_ID_LENGTH, '0');
+  }
+
+  allocate(key, used) {
+    const hash = this.hashKey(key);
+    for (let length = this.MIN_ID_LENGTH; length <= this.MAX_ID_LENGTH; length++) {
+      const id = hash.substring(0, length);
+      if (!used.has(id)) {
+        used.add(id);
+        return id;
+      }
+    }
+
+    // Extremely unlikely: fall back to a counter suffix
+    let counter = 1;
+    while (used.has(`${hash.substring(0, this.MIN_ID_LENGTH)}${counter}`)) {
+      counter++;
+    }
+    const id = `${hash.substring(0, this.MIN_ID_LENGTH)}${counter}`;
+    used.add(id);
+    return id;
+  }
+
+  // Assign a nodeId to every folder and file (mutates and returns metadata)
+  assign(metadata) {
+    if (!metadata || typeof metadata !== 'object') {
+      return metadata;
+    }
+
+    const used = new Set([this.ROOT_ID]);
+    metadata.nodeId = this.ROOT_ID;
+
+    const walk = (folder, folderPath) => {
+      (folder.files || []).forEach((file, index) => {
+        if (file && typeof file === 'object') {
+          file.nodeId = this.allocate(`file:${folderPath}/${file.fileName || ''}#${file.messageId || file.fileId || index}`, used);
+        }
+      });
+
+      // Sorted so collision resolution is deterministic
+      const names = Object.keys(folder.subfolders || {}).sort();
+      for (const name of names) {
+        const subfolder = folder.subfolders[name];
+        if (!subfolder || typeof subfolder !== 'object') continue;
+
+        const subfolderPath = `${folderPath}/${name}`;
+        subfolder.nodeId = this.allocate(`folder:${subfolderPath}`, used);
+        walk(subfolder, subfolderPath);
+      }
+    };
+
+    walk(metadata, '');
+    return metadata;
+  }
+
+  // Return the paths of nodes without a valid, unique ID
+  findInvalid(metadata) {
+    const invalid = [];
+    const seen = new Set();
+
+    const check = (node, label) => {
+      if (!node || typeof node.nodeId !== 'string' || !this.idRegex.test(node.nodeId) || seen.has(node.nodeId)) {
+        invalid.push(label || '/');
+        return;
+      }
+      seen.add(node.nodeId);
+    };
+
+    const walk = (folder, folderPath) => {
+      check(folder, folderPath);
+      for (const file of folder.files || []) {
+        check(file, `${folderPath}/${file && file.fileName}`);
+      }
+      for (const [name, subfolder] of Object.entries(folder.subfolders || {})) {
+        walk(subfolder || {}, `${folderPath}/${name}`);
+      }
+    };
+
+    if (metadata) {
+      walk(metadata, '');
+    }
+    return invalid;
+  }
+
+  // Assign IDs to metadata stored before node IDs existed
+  ensure(metadata) {
+    if (metadata && this.findInvalid(metadata).length > 0) {
+      this.assign(metadata);
+    }
+    return metadata;
+  }
+
+  // nodeId -> { type, node, folder, path } for callback lookups
+  buildIndex(metadata) {
+    const index = new Map();
+    if (!metadata) return index;
+
+    const walk = (folder, folderPath) => {
+      index.set(folder.nodeId, { type: 'folder', node: folder, folder, path: folderPath });
+
+      for (const file of folder.files || []) {
+        if (file && file.nodeId) {
+          index.set(file.nodeId, { type: 'file', node: file, folder, path: folderPath });
+        }
+      }
+
+      for (const [name, subfolder] of Object.entries(folder.subfolders || {})) {
+        if (subfolder && subfolder.nodeId) {
+          walk(subfolder, [...folderPath, name]);
+        }
+      }
+    };
+
+    walk(metadata, []);
+    return index;
+  }
+}
+
+module.exports = NodeIds;
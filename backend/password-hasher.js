@@ -0,0 +1,87 @@
+// password-hasher.js - scrypt Password Hashing with Per-Password Salts
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored format: scrypt$<N>$<r>$<p>$<salt base64>$<key base64>
+// Legacy format: 64 hex chars of sha256(password + PASSWORD_SALT), accepted until upgraded
+class PasswordHasher {
+  constructor() {
+    this.N = 32768;
+    this.r = 8;
+    this.p = 1;
+    this.KEY_LENGTH = 64;
+    this.SALT_LENGTH = 16;
+    this.MAX_N = 131072; // Upper bounds for parameters read from storage (256MB at r=16)
+  }
+
+  scryptOptions(N, r, p) {
+    // scrypt needs 128 * N * r bytes; leave headroom above Node's 32MB default
+    return { N, r, p, maxmem: 256 * N * r };
+  }
+
+  async hash(password) {
+    const salt = crypto.randomBytes(this.SALT_LENGTH);
+    const key = await scrypt(password, salt, this.KEY_LENGTH, this.scryptOptions(this.N, this.r, this.p));
+    return ['scrypt', this.N, this.r, this.p, salt.toString('base64'), key.toString('base64')].join('$');
+  }
+
+  isLegacy(stored) {
+    return typeof stored === 'string' && /^[0-9a-f]{64}$/.test(stored);
+  }
+
+  parse(stored) {
+    const parts = typeof stored === 'string' ? stored.split('$') : [];
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+      return null;
+    }
+
+    const [N, r, p] = parts.slice(1, 4).map(Number);
+    const validN = Number.isInteger(N) && N > 1 && N <= this.MAX_N && (N & (N - 1)) === 0;
+    if (!validN || !Number.isInteger(r) || r < 1 || r > 16 || !Number.isInteger(p) || p < 1 || p > 16) {
+      return null;
+    }
+
+    const salt = Buffer.from(parts[4], 'base64');
+    const key = Buffer.from(parts[5], 'base64');
+    if (salt.length === 0 || key.length === 0) {
+      return null;
+    }
+
+    return { N, r, p, salt, key };
+  }
+
+  // Legacy hashes and hashes with weaker parameters are replaced on the next login
+  needsRehash(stored) {
+    const parsed = this.parse(stored);
+    return !parsed || parsed.N !== this.N || parsed.r !== this.r || parsed.p !== this.p ||
+      parsed.key.length !== this.KEY_LENGTH;
+  }
+
+  async verify(password, stored) {
+    if (typeof password !== 'string') {
+      return false;
+    }
+
+    if (this.isLegacy(stored)) {
+      if (!process.env.PASSWORD_SALT) {
+        console.error('CRITICAL: PASSWORD_SALT not set; legacy password hashes cannot be verified');
+        return false;
+      }
+      const actual = crypto.createHash('sha256').update(password + process.env.PASSWORD_SALT).digest();
+      return crypto.timingSafeEqual(actual, Buffer.from(stored, 'hex'));
+    }
+
+    const parsed = this.parse(stored);
+    if (!parsed) {
+      return false;
+    }
+
+    const actual = await scrypt(password, parsed.salt, parsed.key.length, this.scryptOptions(parsed.N, parsed.r, parsed.p));
+    // SECURITY FIX: Constant-time comparison
+    return crypto.timingSafeEqual(actual, parsed.key);
+  }
+}
+
+module.exports = PasswordHasher;
@@ -2,6 +2,8 @@
 
 const API_BASE = window.location.origin;
 let sessionToken = null;
+let currentAccount = null; // { username, role, permissions }
+let loginChallenge = null; // Pending 2FA login step
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
@@ -15,6 +17,15 @@ function setupEventListeners() {
     
     // FIXED: Changed 'submit' to 'click' for logout button
     document.getElementById('logoutBtn')?.addEventListener('click', handleLogout);
+    document.getElementById('changePasswordBtn')?.addEventListener('click', () => {
+        document.getElementById('changePasswordForm').reset();
+        document.getElementById('changePasswordModal').classList.add('active');
+    });
+    document.getElementById('changePasswordForm')?.addEventListener('submit', handleChangePassword);
+    document.getElementById('twoFactorLoginForm')?.addEventListener('submit', handleTwoFactorLogin);
+    document.getElementById('twoFactorBtn')?.addEventListener('click', openTwoFactorModal);
+    document.getElementById('sessionScope')?.addEventListener('change', loadSessions);
+    document.getElementById('revokeOtherSessionsBtn')?.addEventListener('click', revokeOtherSessions);
     
     // Navigation
     document.querySelectorAll('.nav-link').forEach(link => {
@@ -27,6 +38,20 @@ function setupEventListeners() {
     
     // Bot status filter
     document.getElementById('botStatusFilter')?.addEventListener('change', loadBots);
+    document.getElementById('analyticsDays')?.addEventListener('change', loadAnalytics);
+    document.getElementById('retentionForm')?.addEventListener('submit', handleSaveRetention);
+    document.getElementById('uploadBackupForm')?.addEventListener('submit', handleUploadBackup);
+    document.getElementById('securityFilterForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadSecurityLog();
+    });
+    document.getElementById('createAccountForm')?.addEventListener('submit', handleCreateAccount);
+    document.getElementById('ipBlockForm')?.addEventListener('submit', handleBlockIp);
+    document.getElementById('ipAllowForm')?.addEventListener('submit', handleAllowIp);
+    document.getElementById('operationsFilterForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadOperations();
+    });
     
     // Forms
     document.getElementById('messageForm')?.addEventListener('submit', handleSendMessage);
@@ -43,9 +68,11 @@ function checkSession() {
         fetch(`${API_BASE}/api/admin/verify`, {
             headers: { 'Authorization': `Bearer ${sessionToken}` }
         })
-        .then(res => {
+        .then(async res => {
             if (res.ok) {
-                showDashboard();
+                const data = await res.json();
+                currentAccount = data.account;
+                showDashboard(data.twoFactorSetupRequired);
             } else {
                 localStorage.removeItem('adminToken');
                 showLogin();
@@ -61,16 +88,39 @@ function checkSession() {
 }
 
 function showLogin() {
+    loginChallenge = null;
+    document.getElementById('loginForm').classList.remove('hidden');
+    document.getElementById('twoFactorLoginForm').classList.add('hidden');
     document.getElementById('loginPage').classList.remove('hidden');
     document.getElementById('dashboardPage').classList.add('hidden');
 }
 
-function showDashboard() {
+function showDashboard(twoFactorSetupRequired = false) {
     document.getElementById('loginPage').classList.add('hidden');
     document.getElementById('dashboardPage').classList.remove('hidden');
+    applyAccountPermissions();
+    
+    // Everything else is locked until the account enrolls
+    if (twoFactorSetupRequired) {
+        showAlert('warning', 'Two-factor authentication is required. Set it up to continue.');
+        openTwoFactorModal();
+        return;
+    }
     loadDashboardData();
 }
 
+// Hide pages the signed-in role cannot use (the API enforces the same permissions)
+function applyAccountPermissions() {
+    if (!currentAccount) return;
+    
+    document.getElementById('adminUsername').textContent = `${currentAccount.username} (${currentAccount.role})`;
+    document.querySelectorAll('.nav-link[data-permission]').forEach(link => {
+        const allowed = currentAccount.permissions.includes(link.dataset.permission);
+        link.parentElement.classList.toggle('hidden', !allowed);
+    });
+    document.getElementById('sessionScopeGroup').classList.toggle('hidden', !currentAccount.permissions.includes('accounts'));
+}
+
 // Authentication
 async function handleLogin(e) {
     e.preventDefault();
@@ -88,11 +138,14 @@ async function handleLogin(e) {
         
         const data = await response.json();
         
-        if (data.success) {
-            sessionToken = data.token;
-            localStorage.setItem('adminToken', sessionToken);
+        if (data.success && data.twoFactorRequired) {
+            loginChallenge = data.challengeToken;
             errorDiv.classList.add('hidden');
-            showDashboard();
+            document.getElementById('loginForm').classList.add('hidden');
+            document.getElementById('twoFactorLoginForm').classList.remove('hidden');
+            document.getElementById('twoFactorCode').focus();
+        } else if (data.success) {
+            completeLogin(data);
         } else {
             errorDiv.textContent = data.error || 'Invalid credentials';
             errorDiv.classList.remove('hidden');
@@ -103,6 +156,232 @@ async function handleLogin(e) {
     }
 }
 
+function completeLogin(data) {
+    sessionToken = data.token;
+    currentAccount = data.account;
+    localStorage.setItem('adminToken', sessionToken);
+    document.getElementById('loginError').classList.add('hidden');
+    document.getElementById('loginForm').reset();
+    showDashboard(data.twoFactorSetupRequired);
+}
+
+async function handleTwoFactorLogin(e) {
+    e.preventDefault();
+    
+    const errorDiv = document.getElementById('loginError');
+    const codeInput = document.getElementById('twoFactorCode');
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/login/2fa`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ challengeToken: loginChallenge, code: codeInput.value.trim() })
+        });
+        
+        const data = await response.json();
+        codeInput.value = '';
+        
+        if (data.success) {
+            loginChallenge = null;
+            completeLogin(data);
+        } else {
+            errorDiv.textContent = data.error || 'Invalid code';
+            errorDiv.classList.remove('hidden');
+            if (response.status === 401 && data.error !== 'Invalid code') {
+                showLogin();
+            }
+        }
+    } catch (error) {
+        errorDiv.textContent = 'Login failed. Please try again.';
+        errorDiv.classList.remove('hidden');
+    }
+}
+
+// Two-factor authentication (own account)
+async function postTwoFactorAction(action, payload) {
+    const response = await fetch(`${API_BASE}/api/admin/2fa/${action}`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${sessionToken}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+    });
+    return response.json();
+}
+
+async function openTwoFactorModal() {
+    const content = document.getElementById('twoFactorContent');
+    content.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+    document.getElementById('twoFactorModal').classList.add('active');
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/2fa`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            content.innerHTML = `<p>${escapeHtml(data.error || 'Failed to load status')}</p>`;
+        } else if (data.enabled) {
+            content.innerHTML = `
+                <p><span class="badge badge-success">enabled</span> ${data.recoveryCodesRemaining} recovery code(s) left.</p>
+                <div class="form-group">
+                    <label for="twoFactorManageCode">Current authenticator code</label>
+                    <input type="text" id="twoFactorManageCode" maxlength="32" autocomplete="one-time-code">
+                </div>
+                <button class="btn btn-primary" onclick="regenerateRecoveryCodes()">New Recovery Codes</button>
+                ${data.required ? '<p>Two-factor authentication is required for all admin accounts.</p>' : `
+                    <div class="form-group">
+                        <label for="twoFactorDisablePassword">Password (to disable)</label>
+                        <input type="password" id="twoFactorDisablePassword" autocomplete="current-password">
+                    </div>
+                    <button class="btn btn-danger" onclick="disableTwoFactor()">Disable 2FA</button>
+                `}
+            `;
+        } else {
+            content.innerHTML = `
+                <p>Protect this account with an authenticator app (TOTP).</p>
+                <div class="form-group">
+                    <label for="twoFactorSetupPassword">Password</label>
+                    <input type="password" id="twoFactorSetupPassword" autocomplete="current-password">
+                </div>
+                <button class="btn btn-primary" onclick="startTwoFactorSetup()">Start Setup</button>
+            `;
+        }
+    } catch (error) {
+        content.innerHTML = '<p>Error loading two-factor status</p>';
+    }
+}
+
+async function startTwoFactorSetup() {
+    try {
+        const data = await postTwoFactorAction('setup', {
+            password: document.getElementById('twoFactorSetupPassword').value
+        });
+        
+        if (!data.success) {
+            showAlert('danger', data.error);
+            return;
+        }
+        
+        document.getElementById('twoFactorContent').innerHTML = `
+            <p>Add this account to your authenticator app, then enter the 6-digit code it shows.</p>
+            <div class="form-group">
+                <label>Secret key</label>
+                <input type="text" readonly value="${escapeHtml(data.secret)}">
+            </div>
+            <div class="form-group">
+                <label>Setup URI</label>
+                <input type="text" readonly value="${escapeHtml(data.otpauthUri)}">
+            </div>
+            <div class="form-group">
+                <label for="twoFactorEnableCode">Code</label>
+                <input type="text" id="twoFactorEnableCode" maxlength="6" autocomplete="one-time-code" inputmode="numeric">
+            </div>
+            <button class="btn btn-success" onclick="enableTwoFactor()">Enable 2FA</button>
+        `;
+    } catch (error) {
+        showAlert('danger', 'Error starting two-factor setup');
+    }
+}
+
+function showRecoveryCodes(codes) {
+    document.getElementById('twoFactorContent').innerHTML = `
+        <p>Store these recovery codes somewhere safe. Each works once and they are not shown again.</p>
+        <pre>${codes.map(escapeHtml).join('\n')}</pre>
+        <button class="btn btn-primary" onclick="closeModal('twoFactorModal')">Done</button>
+    `;
+}
+
+async function enableTwoFactor() {
+    try {
+        const data = await postTwoFactorAction('enable', {
+            code: document.getElementById('twoFactorEnableCode').value.trim()
+        });
+        
+        if (data.success) {
+            showAlert('success', 'Two-factor authentication enabled');
+            showRecoveryCodes(data.recoveryCodes);
+            loadDashboardData();
+        } else {
+            showAlert('danger', data.error);
+        }
+    } catch (error) {
+        showAlert('danger', 'Error enabling two-factor authentication');
+    }
+}
+
+async function regenerateRecoveryCodes() {
+    try {
+        const data = await postTwoFactorAction('recovery-codes', {
+            code: document.getElementById('twoFactorManageCode').value.trim()
+        });
+        
+        if (data.success) {
+            showRecoveryCodes(data.recoveryCodes);
+        } else {
+            showAlert('danger', data.error);
+        }
+    } catch (error) {
+        showAlert('danger', 'Error creating recovery codes');
+    }
+}
+
+async function disableTwoFactor() {
+    if (!confirm('Disable two-factor authentication for your account?')) return;
+    
+    try {
+        const data = await postTwoFactorAction('disable', {
+            password: document.getElementById('twoFactorDisablePassword').value,
+            code: document.getElementById('twoFactorManageCode').value.trim()
+        });
+        
+        if (data.success) {
+            showAlert('success', 'Two-factor authentication disabled');
+            closeModal('twoFactorModal');
+        } else {
+            showAlert('danger', data.error);
+        }
+    } catch (error) {
+        showAlert('danger', 'Error disabling two-factor authentication');
+    }
+}
+
+async function handleChangePassword(e) {
+    e.preventDefault();
+    
+    const newPassword = document.getElementById('newPassword').value;
+    if (newPassword !== document.getElementById('confirmNewPassword').value) {
+        showAlert('danger', 'New passwords do not match');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/change-password`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${sessionToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                currentPassword: document.getElementById('currentPassword').value,
+                newPassword
+            })
+        });
+        const data = await response.json();
+        
+        if (data.success) {
+            closeModal('changePasswordModal');
+            showAlert('success', `Password changed; ${data.sessionsRevoked} other session(s) signed out`);
+        } else {
+            showAlert('danger', data.error);
+        }
+    } catch (error) {
+        showAlert('danger', 'Error changing password');
+    }
+}
+
 function handleLogout() {
     localStorage.removeItem('adminToken');
     sessionToken = null;
@@ -128,11 +407,16 @@ function navigateToPage(page) {
     const pageMap = {
         'overview': 'overviewPage',
         'bots': 'botsPage',
+        'analytics': 'analyticsPage',
         'users': 'usersPage',
+        'operations': 'operationsPage',
         'messaging': 'messagingPage',
         'settings': 'settingsPage',
         'security': 'securityPage',
-        'backups': 'backupsPage'
+        'backups': 'backupsPage',
+        'jobs': 'jobsPage',
+        'accounts': 'accountsPage',
+        'sessions': 'sessionsPage'
     };
     
     const pageId = pageMap[page];
@@ -142,11 +426,16 @@ function navigateToPage(page) {
         switch(page) {
             case 'overview': loadOverview(); break;
             case 'bots': loadBots(); break;
+            case 'analytics': loadAnalytics(); break;
             case 'users': loadBannedUsers(); break;
+            case 'operations': loadOperations(); break;
             case 'messaging': loadBotsForMessaging(); break;
             case 'settings': loadSettings(); break;
-            case 'security': loadSecurityLog(); break;
-            case 'backups': loadBackupHistory(); break;
+            case 'security': loadSecurityLog(); loadIpBlocks(); break;
+            case 'backups': loadBackupHistory(); loadBackupRetention(); break;
+            case 'jobs': loadJobs(); break;
+            case 'accounts': loadAccounts(); break;
+            case 'sessions': loadSessions(); break;
         }
     }
 }
@@ -202,6 +491,67 @@ async function loadRecentActivity() {
     }
 }
 
+// Analytics
+async function loadAnalytics() {
+    const days = document.getElementById('analyticsDays').value;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/analytics?days=${days}`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            const analytics = data.analytics;
+            document.getElementById('analyticsStarts').textContent = analytics.totals.starts;
+            document.getElementById('analyticsUsers').textContent = analytics.totals.uniqueUsers;
+            document.getElementById('analyticsFolderOpens').textContent = analytics.totals.folderOpens;
+            document.getElementById('analyticsDownloads').textContent = analytics.totals.downloads;
+            
+            document.getElementById('analyticsDownloadsChart').innerHTML = renderBarChart(analytics.days, 'downloads');
+            document.getElementById('analyticsUsersChart').innerHTML = renderBarChart(analytics.days, 'users', 'success');
+            
+            const tbody = document.getElementById('analyticsBotsTableBody');
+            if (analytics.bots.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="5" class="text-center">No bots found</td></tr>';
+            } else {
+                tbody.innerHTML = analytics.bots.map(bot => `
+                    <tr>
+                        <td><a href="#" onclick="viewBotDetails('${bot.botId}'); return false;">${escapeHtml(bot.botUsername || bot.botId)}</a></td>
+                        <td>${bot.starts}</td>
+                        <td>${bot.uniqueUsers}</td>
+                        <td>${bot.folderOpens}</td>
+                        <td>${bot.downloads}</td>
+                    </tr>
+                `).join('');
+            }
+        }
+    } catch (error) {
+        console.error('Error loading analytics:', error);
+        showAlert('danger', 'Error loading analytics');
+    }
+}
+
+// Simple bar chart from daily buckets ({ date, [field] })
+function renderBarChart(days, field, variant = '') {
+    if (!days || days.length === 0) return '<p class="text-center">No data</p>';
+    
+    const max = Math.max(1, ...days.map(day => day[field]));
+    const bars = days.map(day => `
+        <div class="chart-bar ${variant}" style="height: ${Math.round(day[field] / max * 100)}%" title="${day.date}: ${day[field]}"></div>
+    `).join('');
+    
+    return `
+        <div class="chart">${bars}</div>
+        <div class="chart-labels">
+            <span>${days[0].date}</span>
+            <span>max ${max}</span>
+            <span>${days[days.length - 1].date}</span>
+        </div>
+    `;
+}
+
 // Bot Management
 async function loadBots() {
     const tbody = document.getElementById('botsTableBody');
@@ -346,6 +696,11 @@ async function viewBotDetails(botId) {
         
         if (data.success) {
             const bot = data.bot;
+            const brokenFiles = data.brokenFiles || [];
+            const apiKey = data.apiKey;
+            const members = (data.team || []).filter(member => member.role !== 'owner');
+            const pendingTransfer = data.pendingTransfer;
+            const blockedUsers = bot.blockedUsers || [];
             document.getElementById('botDetailsContent').innerHTML = `
                 <div class="form-group">
                     <strong>Bot Username:</strong> ${escapeHtml(bot.botUsername)}
@@ -355,6 +710,35 @@ async function viewBotDetails(botId) {
                 </div>
                 <div class="form-group">
                     <strong>Owner ID:</strong> ${bot.ownerId || 'Not registered'}
+                    ${!bot.ownerId && bot.claim
+                        ? `<br><small>Claim code ${bot.claim.expired ? 'expired' : `valid until ${new Date(bot.claim.expiresAt).toLocaleString()}`},
+                           ${bot.claim.attemptsLeft} attempt(s) left</small>`
+                        : ''}
+                    <br>
+                    <button class="btn btn-sm mt-1" onclick="transferBotOwner('${bot.id}')">Transfer</button>
+                    <button class="btn btn-danger btn-sm mt-1" onclick="resetBotOwner('${bot.id}')">Reset &amp; New Claim Code</button>
+                </div>
+                <div class="form-group">
+                    <strong>Team:</strong> ${members.length === 0 ? 'No co-owners or maintainers' : ''}
+                    ${members.map(member => `
+                        <br>${escapeHtml(String(member.userId))} · ${escapeHtml(member.role)}
+                        <button class="btn btn-danger btn-sm" onclick="removeBotMember('${bot.id}', '${escapeHtml(String(member.userId))}')">Remove</button>
+                    `).join('')}
+                    ${pendingTransfer
+                        ? `<br><small>Transfer to ${escapeHtml(String(pendingTransfer.toUserId))} pending until
+                           ${new Date(pendingTransfer.expiresAt).toLocaleString()}</small>
+                           <button class="btn btn-sm" onclick="cancelBotTransfer('${bot.id}')">Cancel Transfer</button>`
+                        : ''}
+                    <br>
+                    <button class="btn btn-sm mt-1" onclick="addBotMember('${bot.id}')">Add Member</button>
+                </div>
+                <div class="form-group">
+                    <strong>Blocked Users:</strong> ${blockedUsers.length === 0 ? 'None' : blockedUsers.length}
+                    ${blockedUsers.map(entry => `
+                        <br>${escapeHtml(String(entry.userId))}${entry.reason ? ` · ${escapeHtml(entry.reason)}` : ''}
+                        · by ${escapeHtml(entry.blockedBy)} on ${new Date(entry.blockedAt).toLocaleString()}
+                        <button class="btn btn-sm" onclick="unblockBotUser('${bot.id}', '${escapeHtml(String(entry.userId))}')">Unblock</button>
+                    `).join('')}
                 </div>
                 <div class="form-group">
                     <strong>Channel ID:</strong> ${escapeHtml(bot.channelId)}
@@ -368,112 +752,416 @@ async function viewBotDetails(botId) {
                 <div class="form-group">
                     <strong>Total Folders:</strong> ${countFolders(bot.metadata)}
                 </div>
+                <div class="form-group">
+                    <strong>Usage (last 30 days):</strong>
+                    <div id="botAnalytics"><p>Loading...</p></div>
+                </div>
+                <div class="form-group">
+                    <strong>Uploader API Key:</strong>
+                    ${apiKey
+                        ? `${escapeHtml(apiKey.prefix)}… · created ${new Date(apiKey.createdAt).toLocaleString()} ·
+                           last used ${apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : 'never'}
+                           <button class="btn btn-danger btn-sm" onclick="revokeApiKey('${bot.id}')">Revoke</button>`
+                        : 'None issued'}
+                </div>
+                <div class="form-group">
+                    <strong>Broken Files:</strong> ${brokenFiles.length}
+                    ${renderBrokenFiles(brokenFiles)}
+                    ${brokenFiles.length > 0 ? `<button class="btn btn-sm mt-1" onclick="clearBrokenFiles('${bot.id}')">Clear Report</button>` : ''}
+                </div>
+                <div class="form-group">
+                    <label>File Delivery</label>
+                    <select id="botDeliveryMode" style="width: 100%; padding: 0.75rem; border: 2px solid var(--light); border-radius: 0.5rem;">
+                        <option value="default">System default</option>
+                        <option value="buttons">File buttons (send selected file)</option>
+                        <option value="all">Send all files when a folder is opened</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Delivery Method</label>
+                    <select id="botDeliveryMethod" style="width: 100%; padding: 0.75rem; border: 2px solid var(--light); border-radius: 0.5rem;">
+                        <option value="forward">Forward (shows source channel)</option>
+                        <option value="copy">Copy (hides source channel)</option>
+                        <option value="document">Send by file ID (no channel access needed)</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Caption Template</label>
+                    <textarea id="botCaptionTemplate" placeholder="{fileName} from {folderPath} via {botUsername}"></textarea>
+                </div>
+                <div class="form-group">
+                    <label><input type="checkbox" id="botProtectContent"> Protect content (prevent forwarding and saving)</label>
+                </div>
+                <button class="btn btn-primary btn-sm mt-1" onclick="saveBotSettings('${bot.id}')">Save Settings</button>
             `;
+            document.getElementById('botDeliveryMode').value = bot.settings?.deliveryMode || 'default';
+            document.getElementById('botDeliveryMethod').value = bot.settings?.deliveryMethod || 'forward';
+            document.getElementById('botCaptionTemplate').value = bot.settings?.captionTemplate || '';
+            document.getElementById('botProtectContent').checked = !!bot.settings?.protectContent;
             
             document.getElementById('botDetailsModal').classList.add('active');
+            loadBotAnalytics(bot.id);
         }
     } catch (error) {
         showAlert('danger', 'Error loading bot details');
     }
 }
 
-function countFiles(metadata) {
-    if (!metadata) return 0;
-    let count = (metadata.files || []).length;
-    if (metadata.subfolders) {
-        for (const subfolder of Object.values(metadata.subfolders)) {
-            count += countFiles(subfolder);
+async function saveBotSettings(botId) {
+    const settings = {
+        botId,
+        deliveryMode: document.getElementById('botDeliveryMode').value,
+        deliveryMethod: document.getElementById('botDeliveryMethod').value,
+        captionTemplate: document.getElementById('botCaptionTemplate').value,
+        protectContent: document.getElementById('botProtectContent').checked
+    };
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/bot-settings`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${sessionToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(settings)
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showAlert('success', 'Bot settings saved');
+        } else {
+            showAlert('danger', data.error || 'Failed to save bot settings');
         }
+    } catch (error) {
+        showAlert('danger', 'Error saving bot settings');
     }
-    return count;
 }
 
-function countFolders(metadata) {
-    if (!metadata) return 0;
-    let count = Object.keys(metadata.subfolders || {}).length;
-    if (metadata.subfolders) {
-        for (const subfolder of Object.values(metadata.subfolders)) {
-            count += countFolders(subfolder);
+async function postBotOwnerAction(action, payload) {
+    const response = await fetch(`${API_BASE}/api/admin/${action}`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${sessionToken}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+    });
+    return response.json();
+}
+
+async function resetBotOwner(botId) {
+    if (!confirm('Remove the current owner and issue a new claim code? Their API key is revoked.')) return;
+    
+    try {
+        const data = await postBotOwnerAction('reset-bot-owner', { botId });
+        
+        if (data.success) {
+            viewBotDetails(botId);
+            prompt(`New claim code (valid until ${new Date(data.claimExpiresAt).toLocaleString()}). ` +
+                'Give it to the owner; they send /register <code> to the bot:', data.claimCode);
+        } else {
+            showAlert('danger', data.error || 'Failed to reset owner');
         }
+    } catch (error) {
+        showAlert('danger', 'Error resetting owner');
     }
-    return count;
 }
 
-// User Management
-async function loadBannedUsers() {
-    const container = document.getElementById('bannedUsersList');
-    container.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+async function transferBotOwner(botId) {
+    const ownerId = prompt('Telegram user ID of the new owner:');
+    if (!ownerId) return;
     
     try {
-        const response = await fetch(`${API_BASE}/api/admin/banned-users`, {
-            headers: { 'Authorization': `Bearer ${sessionToken}` }
-        });
+        const data = await postBotOwnerAction('transfer-bot-owner', { botId, ownerId: ownerId.trim() });
         
-        const data = await response.json();
-        
-        if (data.success && data.users.length > 0) {
-            container.innerHTML = data.users.map(user => `
-                <div class="log-entry danger">
-                    <strong>User ID:</strong> ${user.userId}<br>
-                    <strong>Reason:</strong> ${escapeHtml(user.reason)}<br>
-                    <strong>Banned:</strong> ${new Date(user.bannedAt).toLocaleString()}<br>
-                    <button class="btn btn-success btn-sm mt-1" onclick="unbanUser('${user.userId}')">Unban</button>
-                </div>
-            `).join('');
+        if (data.success) {
+            showAlert('success', data.notified
+                ? 'Owner changed; the new owner was notified'
+                : 'Owner changed; the new owner has not started the bot yet and was not notified');
+            viewBotDetails(botId);
         } else {
-            container.innerHTML = '<p class="text-center">No banned users</p>';
+            showAlert('danger', data.error || 'Failed to transfer owner');
         }
     } catch (error) {
-        container.innerHTML = '<p class="text-center">Error loading banned users</p>';
+        showAlert('danger', 'Error transferring owner');
     }
 }
 
-async function unbanUser(userId) {
-    if (!confirm('Unban this user? They will be able to create bots again.')) return;
+async function addBotMember(botId) {
+    const userId = prompt('Telegram user ID of the new team member:');
+    if (!userId) return;
+    const role = prompt('Role (co-owner or maintainer):', 'maintainer');
+    if (!role) return;
     
     try {
-        const response = await fetch(`${API_BASE}/api/admin/unban-user`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${sessionToken}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ userId })
-        });
-        
-        const data = await response.json();
+        const data = await postBotOwnerAction('bot-members/add', { botId, userId: userId.trim(), role: role.trim().toLowerCase() });
         
         if (data.success) {
-            showAlert('success', 'User unbanned successfully');
-            loadBannedUsers();
+            showAlert('success', 'Team member saved');
+            viewBotDetails(botId);
         } else {
-            showAlert('danger', data.error || 'Failed to unban user');
+            showAlert('danger', data.error || 'Failed to add member');
         }
     } catch (error) {
-        showAlert('danger', 'Error unbanning user');
+        showAlert('danger', 'Error adding member');
     }
 }
 
-// Messaging
-async function loadBotsForMessaging() {
-    const select = document.getElementById('messageBotSelect');
+async function removeBotMember(botId, userId) {
+    if (!confirm(`Remove user ${userId} from this bot's team?`)) return;
     
     try {
-        const response = await fetch(`${API_BASE}/api/admin/bots?status=all`, {
-            headers: { 'Authorization': `Bearer ${sessionToken}` }
-        });
+        const data = await postBotOwnerAction('bot-members/remove', { botId, userId });
         
-        const data = await response.json();
+        if (data.success) {
+            showAlert('success', 'Team member removed');
+            viewBotDetails(botId);
+        } else {
+            showAlert('danger', data.error || 'Failed to remove member');
+        }
+    } catch (error) {
+        showAlert('danger', 'Error removing member');
+    }
+}
+
+async function cancelBotTransfer(botId) {
+    try {
+        const data = await postBotOwnerAction('bot-members/cancel-transfer', { botId });
         
         if (data.success) {
-            select.innerHTML = '<option value="">Select a bot...</option>' +
-                data.bots
-                    .filter(bot => bot.ownerId)
-                    .map(bot => `<option value="${bot.id}">${escapeHtml(bot.botUsername)} (Owner: ${bot.ownerId})</option>`)
-                    .join('');
+            showAlert('success', 'Transfer cancelled');
+            viewBotDetails(botId);
+        } else {
+            showAlert('danger', data.error || 'Failed to cancel transfer');
         }
     } catch (error) {
-        console.error('Error loading bots:', error);
+        showAlert('danger', 'Error cancelling transfer');
+    }
+}
+
+async function unblockBotUser(botId, userId) {
+    if (!confirm(`Lift the block of user ${userId} in this bot?`)) return;
+    
+    try {
+        const data = await postBotOwnerAction('bot-blocks/unblock', { botId, userId });
+        
+        if (data.success) {
+            showAlert('success', 'User unblocked');
+            viewBotDetails(botId);
+        } else {
+            showAlert('danger', data.error || 'Failed to unblock user');
+        }
+    } catch (error) {
+        showAlert('danger', 'Error unblocking user');
+    }
+}
+
+async function revokeApiKey(botId) {
+    if (!confirm('Revoke this bot\'s uploader API key? The owner can issue a new one with /apikey.')) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/revoke-api-key`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${sessionToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ botId })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showAlert('success', 'API key revoked');
+            viewBotDetails(botId);
+        } else {
+            showAlert('danger', data.error || 'Failed to revoke API key');
+        }
+    } catch (error) {
+        showAlert('danger', 'Error revoking API key');
+    }
+}
+
+async function loadBotAnalytics(botId) {
+    const container = document.getElementById('botAnalytics');
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/bot/${botId}/analytics?days=30`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            const totals = data.analytics.totals;
+            container.innerHTML = `
+                <p>Starts: ${totals.starts} · Unique users: ${totals.uniqueUsers} · 
+                   Folder opens: ${totals.folderOpens} · Downloads: ${totals.downloads}</p>
+                ${renderBarChart(data.analytics.days, 'downloads')}
+            `;
+        } else {
+            container.innerHTML = '<p>Analytics unavailable</p>';
+        }
+    } catch (error) {
+        container.innerHTML = '<p>Error loading analytics</p>';
+    }
+}
+
+function renderBrokenFiles(brokenFiles) {
+    if (brokenFiles.length === 0) return '';
+    
+    return `
+        <table>
+            <thead>
+                <tr>
+                    <th>File</th>
+                    <th>Status</th>
+                    <th>Failures</th>
+                    <th>Last Seen</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${brokenFiles.map(entry => `
+                    <tr>
+                        <td>${escapeHtml((entry.folderPath ? entry.folderPath + '/' : '') + entry.fileName)}</td>
+                        <td title="${escapeHtml(entry.error)}">
+                            <span class="badge badge-${entry.recovered ? 'warning' : 'danger'}">
+                                ${entry.recovered ? 'Sent by file ID' : 'Unavailable'}
+                            </span>
+                        </td>
+                        <td>${entry.count}</td>
+                        <td>${new Date(entry.lastSeen).toLocaleString()}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function clearBrokenFiles(botId) {
+    if (!confirm('Clear the broken files report for this bot?')) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/clear-broken-files`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${sessionToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ botId })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showAlert('success', 'Broken files report cleared');
+            viewBotDetails(botId);
+        } else {
+            showAlert('danger', data.error || 'Failed to clear report');
+        }
+    } catch (error) {
+        showAlert('danger', 'Error clearing report');
+    }
+}
+
+function countFiles(metadata) {
+    if (!metadata) return 0;
+    let count = (metadata.files || []).length;
+    if (metadata.subfolders) {
+        for (const subfolder of Object.values(metadata.subfolders)) {
+            count += countFiles(subfolder);
+        }
+    }
+    return count;
+}
+
+function countFolders(metadata) {
+    if (!metadata) return 0;
+    let count = Object.keys(metadata.subfolders || {}).length;
+    if (metadata.subfolders) {
+        for (const subfolder of Object.values(metadata.subfolders)) {
+            count += countFolders(subfolder);
+        }
+    }
+    return count;
+}
+
+// User Management
+async function loadBannedUsers() {
+    const container = document.getElementById('bannedUsersList');
+    container.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/banned-users`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success && data.users.length > 0) {
+            container.innerHTML = data.users.map(user => `
+                <div class="log-entry danger">
+                    <strong>User ID:</strong> ${user.userId}<br>
+                    <strong>Reason:</strong> ${escapeHtml(user.reason)}<br>
+                    <strong>Banned:</strong> ${new Date(user.bannedAt).toLocaleString()}<br>
+                    <button class="btn btn-success btn-sm mt-1" onclick="unbanUser('${user.userId}')">Unban</button>
+                </div>
+            `).join('');
+        } else {
+            container.innerHTML = '<p class="text-center">No banned users</p>';
+        }
+    } catch (error) {
+        container.innerHTML = '<p class="text-center">Error loading banned users</p>';
+    }
+}
+
+async function unbanUser(userId) {
+    if (!confirm('Unban this user? They will be able to create bots again.')) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/unban-user`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${sessionToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ userId })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showAlert('success', 'User unbanned successfully');
+            loadBannedUsers();
+        } else {
+            showAlert('danger', data.error || 'Failed to unban user');
+        }
+    } catch (error) {
+        showAlert('danger', 'Error unbanning user');
+    }
+}
+
+// Messaging
+async function loadBotsForMessaging() {
+    const select = document.getElementById('messageBotSelect');
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/bots?status=all`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            select.innerHTML = '<option value="">Select a bot...</option>' +
+                data.bots
+                    .filter(bot => bot.ownerId)
+                    .map(bot => `<option value="${bot.id}">${escapeHtml(bot.botUsername)} (Owner: ${bot.ownerId})</option>`)
+                    .join('');
+        }
+    } catch (error) {
+        console.error('Error loading bots:', error);
     }
 }
 
@@ -534,6 +1222,13 @@ async function loadSettings() {
             document.getElementById('maxJsonSize').value = systemData.config.maxJsonSizeMB || 10;
             document.getElementById('welcomeMessage').value = systemData.config.welcomeMessage || '';
             document.getElementById('invalidInputMessage').value = systemData.config.invalidInputMessage || '';
+            document.getElementById('defaultDeliveryMode').value = systemData.config.defaultDeliveryMode || 'buttons';
+            document.getElementById('requireTwoFactor').checked = !!systemData.config.requireTwoFactor;
+            document.getElementById('bindSessionIp').checked = !!systemData.config.bindSessionIp;
+            document.getElementById('bindSessionUserAgent').checked = !!systemData.config.bindSessionUserAgent;
+            document.getElementById('allowLegacyTokenAuth').checked = !!systemData.config.allowLegacyTokenAuth;
+            document.getElementById('userRateBurst').value = systemData.config.userRateBurst || 10;
+            document.getElementById('userRatePerMinute').value = systemData.config.userRatePerMinute || 30;
         }
     } catch (error) {
         console.error('Error loading settings:', error);
@@ -577,7 +1272,14 @@ async function handleSaveSystemConfig(e) {
     const config = {
         maxJsonSizeMB: parseInt(document.getElementById('maxJsonSize').value),
         welcomeMessage: document.getElementById('welcomeMessage').value,
-        invalidInputMessage: document.getElementById('invalidInputMessage').value
+        invalidInputMessage: document.getElementById('invalidInputMessage').value,
+        defaultDeliveryMode: document.getElementById('defaultDeliveryMode').value,
+        requireTwoFactor: document.getElementById('requireTwoFactor').checked,
+        bindSessionIp: document.getElementById('bindSessionIp').checked,
+        bindSessionUserAgent: document.getElementById('bindSessionUserAgent').checked,
+        allowLegacyTokenAuth: document.getElementById('allowLegacyTokenAuth').checked,
+        userRateBurst: parseInt(document.getElementById('userRateBurst').value),
+        userRatePerMinute: parseInt(document.getElementById('userRatePerMinute').value)
     };
     
     try {
@@ -607,20 +1309,46 @@ async function loadSecurityLog() {
     const logDiv = document.getElementById('securityLog');
     logDiv.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
     
+    const params = new URLSearchParams();
+    const filters = {
+        severity: document.getElementById('securitySeverity').value,
+        type: document.getElementById('securityType').value.trim(),
+        ip: document.getElementById('securityIp').value.trim(),
+        botId: document.getElementById('securityBot').value.trim()
+    };
+    for (const [key, value] of Object.entries(filters)) {
+        if (value) params.set(key, value);
+    }
+    for (const key of ['from', 'to']) {
+        const value = document.getElementById(`security${key === 'from' ? 'From' : 'To'}`).value;
+        if (value) params.set(key, new Date(value).toISOString());
+    }
+    
     try {
-        const response = await fetch(`${API_BASE}/api/admin/security-log`, {
+        const response = await fetch(`${API_BASE}/api/admin/security-log?${params}`, {
             headers: { 'Authorization': `Bearer ${sessionToken}` }
         });
         
         const data = await response.json();
         
         if (data.success && data.events.length > 0) {
-            logDiv.innerHTML = data.events.map(event => `
-                <div class="log-entry ${event.severity}">
-                    <div class="log-time">${new Date(event.timestamp).toLocaleString()}</div>
-                    <div class="log-message"><strong>${escapeHtml(event.type)}:</strong> ${escapeHtml(event.message)}</div>
-                </div>
-            `).join('');
+            logDiv.innerHTML = data.events.map(event => {
+                const source = [
+                    event.ip ? `IP ${event.ip}` : '',
+                    event.botId ? `bot ${event.botId}` : '',
+                    event.userId ? `user ${event.userId}` : ''
+                ].filter(Boolean).join(', ');
+                const details = Object.entries(event.details || {})
+                    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+                    .join(' ');
+                
+                return `
+                    <div class="log-entry ${String(event.severity).toLowerCase()}">
+                        <div class="log-time">${new Date(event.timestamp).toLocaleString()}${source ? ` · ${escapeHtml(source)}` : ''}</div>
+                        <div class="log-message"><strong>${escapeHtml(event.type)}:</strong> ${escapeHtml(details)}</div>
+                    </div>
+                `;
+            }).join('');
         } else {
             logDiv.innerHTML = '<p class="text-center">No security events</p>';
         }
@@ -629,6 +1357,100 @@ async function loadSecurityLog() {
     }
 }
 
+// IP Blocklist
+async function loadIpBlocks() {
+    const tbody = document.getElementById('ipBlocksTableBody');
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/ip-blocks`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        const data = await response.json();
+        if (!data.success) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center">Error loading IP blocks</td></tr>';
+            return;
+        }
+        
+        document.getElementById('ipBlockThreshold').textContent = data.threshold;
+        document.getElementById('ownIp').textContent = data.yourIp;
+        
+        tbody.innerHTML = data.blocks.length > 0 ? data.blocks.map(block => `
+            <tr>
+                <td><code>${escapeHtml(block.target)}</code></td>
+                <td><span class="badge badge-${block.source === 'auto' ? 'warning' : 'danger'}">${block.source}</span></td>
+                <td>${escapeHtml(block.reason || '-')}</td>
+                <td>${block.expiresAt ? new Date(block.expiresAt).toLocaleString() : 'Never'}</td>
+                <td>${block.hits}</td>
+                <td><button class="btn btn-sm" onclick="postIpAction('unblock', '${escapeHtml(block.target)}')">Unblock</button></td>
+            </tr>
+        `).join('') : '<tr><td colspan="6" class="text-center">No blocked IPs</td></tr>';
+        
+        document.getElementById('ipAllowList').innerHTML = data.allow.length > 0 ? data.allow.map(entry => `
+            <div class="log-entry low">
+                <code>${escapeHtml(entry.target)}</code> ${escapeHtml(entry.note || '')}
+                <button class="btn btn-sm" onclick="postIpAction('unallow', '${escapeHtml(entry.target)}')">Remove</button>
+            </div>
+        `).join('') : '<p>No allowed IPs</p>';
+        
+        document.getElementById('ipScores').innerHTML = data.scores.length > 0 ? data.scores.map(entry => `
+            <div class="log-entry medium">
+                <code>${escapeHtml(entry.ip)}</code> score ${entry.score}/${data.threshold} (${entry.events} events, last ${new Date(entry.lastEvent).toLocaleString()})
+            </div>
+        `).join('') : '<p>No suspicious activity in the last 10 minutes</p>';
+    } catch (error) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">Error loading IP blocks</td></tr>';
+    }
+}
+
+async function postIpAction(action, target, extra = {}) {
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/ip-blocks/${action}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${sessionToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ target, ...extra })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showAlert('success', 'IP list updated');
+            loadIpBlocks();
+        } else {
+            showAlert('danger', data.details ? data.details.join(', ') : data.error);
+        }
+        return data.success;
+    } catch (error) {
+        showAlert('danger', 'Error updating IP list');
+        return false;
+    }
+}
+
+async function handleBlockIp(e) {
+    e.preventDefault();
+    
+    const duration = document.getElementById('ipBlockDuration').value;
+    const ok = await postIpAction('block', document.getElementById('ipBlockTarget').value.trim(), {
+        reason: document.getElementById('ipBlockReason').value.trim() || undefined,
+        durationMinutes: duration ? parseInt(duration) : null
+    });
+    
+    if (ok) e.target.reset();
+}
+
+async function handleAllowIp(e) {
+    e.preventDefault();
+    
+    const ok = await postIpAction('allow', document.getElementById('ipAllowTarget').value.trim(), {
+        note: document.getElementById('ipAllowNote').value.trim() || undefined
+    });
+    
+    if (ok) e.target.reset();
+}
+
 // Backups
 async function handleCreateBackup() {
     const resultDiv = document.getElementById('backupResult');
@@ -646,7 +1468,7 @@ async function handleCreateBackup() {
             resultDiv.innerHTML = `
                 <div class="alert alert-success">
                     Backup created successfully!<br>
-                    Location: ${escapeHtml(data.backupDir)}<br>
+                    Location: ${escapeHtml(data.backupPath)}<br>
                     Bots backed up: ${data.manifest.botCount}
                 </div>
             `;
@@ -673,9 +1495,18 @@ async function loadBackupHistory() {
         if (data.success && data.backups.length > 0) {
             container.innerHTML = data.backups.map(backup => `
                 <div class="log-entry">
-                    <strong>Date:</strong> ${new Date(backup.timestamp).toLocaleString()}<br>
+                    <strong>Date:</strong> ${new Date(backup.createdAt).toLocaleString()}
+                    <span class="badge badge-${backup.format === 'archive' ? 'success' : 'warning'}">${backup.format === 'archive' ? 'encrypted' : 'unencrypted'}</span>
+                    ${backup.reason ? `<span class="badge badge-${backup.reason === 'pre-restore' ? 'warning' : 'success'}">${escapeHtml(backup.reason)}</span>` : ''}<br>
                     <strong>Bots:</strong> ${backup.botCount}<br>
                     <strong>Checksum:</strong> <code>${backup.checksum ? backup.checksum.substring(0, 16) + '...' : 'N/A'}</code>
+                    <div id="backupStatus_${backup.id}"></div>
+                    <div class="mt-1">
+                        <button class="btn btn-sm" onclick="verifyBackup('${backup.id}')">Verify</button>
+                        <button class="btn btn-sm btn-primary" onclick="restoreBackup('${backup.id}')">Restore</button>
+                        <button class="btn btn-sm" onclick="downloadBackup('${backup.id}')">Download</button>
+                        <button class="btn btn-sm btn-danger" onclick="deleteBackup('${backup.id}')">Delete</button>
+                    </div>
                 </div>
             `).join('');
         } else {
@@ -686,6 +1517,586 @@ async function loadBackupHistory() {
     }
 }
 
+async function postBackupAction(path, payload = {}) {
+    const response = await fetch(`${API_BASE}/api/admin/backups/${path}`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${sessionToken}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+    });
+    return response.json();
+}
+
+async function verifyBackup(backupId) {
+    const status = document.getElementById(`backupStatus_${backupId}`);
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/backups/${backupId}/verify`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            status.innerHTML = data.valid
+                ? '<div class="alert alert-success mt-1">✓ Checksum matches</div>'
+                : '<div class="alert alert-danger mt-1">✗ Checksum mismatch - backup is corrupted</div>';
+        } else {
+            showAlert('danger', data.error || 'Verification failed');
+        }
+    } catch (error) {
+        showAlert('danger', 'Error verifying backup');
+    }
+}
+
+function describeRestoreDiff(diff) {
+    return ['bots', 'config'].map(name => {
+        const d = diff[name];
+        const lines = [
+            ...d.added.map(file => `  + ${file}`),
+            ...d.changed.map(file => `  ~ ${file}`),
+            ...d.removed.map(file => `  - ${file}`)
+        ];
+        return `${name}: ${d.added.length} added, ${d.changed.length} changed, ${d.removed.length} removed\n` +
+            lines.slice(0, 15).join('\n') + (lines.length > 15 ? `\n  ...and ${lines.length - 15} more` : '');
+    }).join('\n\n');
+}
+
+async function restoreBackup(backupId) {
+    try {
+        const preview = await postBackupAction(`${backupId}/restore`, { dryRun: true });
+        if (!preview.success) {
+            showAlert('danger', preview.error || 'Restore preview failed');
+            return;
+        }
+        
+        if (!confirm(`Restore this backup? A safety backup is taken first.\n\n${describeRestoreDiff(preview.diff)}`)) {
+            return;
+        }
+        
+        const data = await postBackupAction(`${backupId}/restore`, { dryRun: false });
+        
+        if (data.success) {
+            showAlert('success', `Backup restored (safety backup: ${data.safetyBackup})`);
+            loadBackupHistory();
+        } else {
+            showAlert('danger', data.error || 'Restore failed');
+        }
+    } catch (error) {
+        showAlert('danger', 'Error restoring backup');
+    }
+}
+
+async function downloadBackup(backupId) {
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/backups/${backupId}/download`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            showAlert('danger', data.error || 'Download failed');
+            return;
+        }
+        
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${backupId}.tar.gz.enc`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showAlert('danger', 'Error downloading backup');
+    }
+}
+
+async function handleUploadBackup(e) {
+    e.preventDefault();
+    
+    const file = document.getElementById('backupFile').files[0];
+    if (!file) return;
+    
+    const upload = (dryRun) => fetch(`${API_BASE}/api/admin/backups/upload?dryRun=${dryRun}`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${sessionToken}`,
+            'Content-Type': 'application/octet-stream'
+        },
+        body: file
+    }).then(response => response.json());
+    
+    try {
+        const preview = await upload(true);
+        if (!preview.success) {
+            showAlert('danger', preview.error || 'Upload failed');
+            return;
+        }
+        
+        loadBackupHistory();
+        
+        if (!confirm(`Archive imported as ${preview.backupId}. Restore it now? A safety backup is taken first.\n\n${describeRestoreDiff(preview.diff)}`)) {
+            return;
+        }
+        
+        const data = await postBackupAction(`${preview.backupId}/restore`, { dryRun: false });
+        
+        if (data.success) {
+            showAlert('success', `Backup restored (safety backup: ${data.safetyBackup})`);
+            loadBackupHistory();
+        } else {
+            showAlert('danger', data.error || 'Restore failed');
+        }
+    } catch (error) {
+        showAlert('danger', 'Error uploading backup');
+    }
+}
+
+async function deleteBackup(backupId) {
+    if (!confirm('Delete this backup permanently?')) return;
+    
+    try {
+        const data = await postBackupAction(`${backupId}/delete`);
+        
+        if (data.success) {
+            showAlert('success', 'Backup deleted');
+            loadBackupHistory();
+        } else {
+            showAlert('danger', data.error || 'Failed to delete backup');
+        }
+    } catch (error) {
+        showAlert('danger', 'Error deleting backup');
+    }
+}
+
+async function loadBackupRetention() {
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/backups/retention`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            document.getElementById('keepDaily').value = data.retention.keepDaily;
+            document.getElementById('keepWeekly').value = data.retention.keepWeekly;
+        }
+    } catch (error) {
+        console.error('Error loading retention policy:', error);
+    }
+}
+
+async function handleSaveRetention(e) {
+    e.preventDefault();
+    
+    const apply = document.getElementById('applyRetention').checked;
+    if (apply && !confirm('Delete backups outside the retention policy now?')) return;
+    
+    try {
+        const data = await postBackupAction('retention', {
+            keepDaily: parseInt(document.getElementById('keepDaily').value),
+            keepWeekly: parseInt(document.getElementById('keepWeekly').value),
+            apply
+        });
+        
+        if (data.success) {
+            showAlert('success', apply ? `Retention saved, ${data.removed.length} backup(s) removed` : 'Retention saved');
+            loadBackupHistory();
+        } else {
+            showAlert('danger', data.error || 'Failed to save retention policy');
+        }
+    } catch (error) {
+        showAlert('danger', 'Error saving retention policy');
+    }
+}
+
+// Moderation Log
+const UNDOABLE_OPERATIONS = ['approve_bot', 'disconnect_bot', 'ban_user', 'unban_user'];
+
+async function loadOperations() {
+    const tbody = document.getElementById('operationsTableBody');
+    const params = new URLSearchParams();
+    const filters = {
+        type: document.getElementById('operationsType').value,
+        actor: document.getElementById('operationsActor').value.trim(),
+        botId: document.getElementById('operationsBot').value.trim()
+    };
+    for (const [key, value] of Object.entries(filters)) {
+        if (value) params.set(key, value);
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/operations?${params}`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success && data.operations.length > 0) {
+            tbody.innerHTML = data.operations.map(op => {
+                const target = op.data.botUsername || op.data.botId || (op.userId ? `User ${op.userId}` : '-');
+                const details = [
+                    op.data.previousStatus ? `was ${op.data.previousStatus}` : '',
+                    op.data.newOwnerId ? `owner ${op.data.previousOwnerId || 'none'} → ${op.data.newOwnerId}` : '',
+                    op.data.role ? `user ${op.data.userId} as ${op.data.role}` : '',
+                    op.data.reason || '',
+                    op.data.botsAffected && op.data.botsAffected.length ? `${op.data.botsAffected.length} bot(s)` : ''
+                ].filter(Boolean).join(' · ');
+                
+                let action = '';
+                if (op.undo) {
+                    action = `<small>Undone by ${escapeHtml(op.undo.undoneBy)}</small>`;
+                } else if (UNDOABLE_OPERATIONS.includes(op.operation)) {
+                    action = `<button class="btn btn-sm btn-danger" onclick="undoOperation('${op.id}', '${op.operation}')">Undo</button>`;
+                }
+                
+                return `
+                    <tr>
+                        <td>${new Date(op.createdAt || op.timestamp).toLocaleString()}</td>
+                        <td><span class="badge badge-${op.operation.startsWith('undo_') ? 'warning' : 'success'}">${escapeHtml(op.operation)}</span></td>
+                        <td>${escapeHtml(op.actor || '-')}</td>
+                        <td>${escapeHtml(String(target))}</td>
+                        <td>${escapeHtml(details)}</td>
+                        <td>${action}</td>
+                    </tr>
+                `;
+            }).join('');
+        } else {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center">No operations recorded</td></tr>';
+        }
+    } catch (error) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">Error loading operations</td></tr>';
+    }
+}
+
+async function undoOperation(operationId, type) {
+    if (!confirm(`Undo ${type.replace('_', ' ')}? Bots will be started or stopped to match.`)) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/operations/undo`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${sessionToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ operationId })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showAlert('success', `Operation undone (${data.changes.length} bot(s) changed)`);
+        } else {
+            showAlert('danger', data.error || 'Undo failed');
+        }
+        loadOperations();
+    } catch (error) {
+        showAlert('danger', 'Error undoing operation');
+    }
+}
+
+// Admin Accounts
+async function loadAccounts() {
+    const tbody = document.getElementById('accountsTableBody');
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/accounts`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success && data.accounts.length > 0) {
+            tbody.innerHTML = data.accounts.map(account => {
+                const isSelf = currentAccount && account.username === currentAccount.username;
+                const roleOptions = Object.keys(data.roles).map(role =>
+                    `<option value="${role}" ${role === account.role ? 'selected' : ''}>${role}</option>`
+                ).join('');
+                
+                return `
+                    <tr>
+                        <td><strong>${escapeHtml(account.username)}</strong>${isSelf ? ' (you)' : ''}</td>
+                        <td>
+                            <select onchange="updateAccount('${account.username}', { role: this.value })">${roleOptions}</select>
+                        </td>
+                        <td>
+                            <span class="badge badge-${account.disabled ? 'danger' : 'success'}">${account.disabled ? 'disabled' : 'active'}</span>
+                        </td>
+                        <td>
+                            <span class="badge badge-${account.twoFactorEnabled ? 'success' : 'warning'}">${account.twoFactorEnabled ? 'on' : 'off'}</span>
+                        </td>
+                        <td>${new Date(account.createdAt).toLocaleString()}<br><small>by ${escapeHtml(account.createdBy || '-')}</small></td>
+                        <td>
+                            <button class="btn btn-sm" onclick="resetAccountPassword('${account.username}')">Reset Password</button>
+                            ${!isSelf && account.twoFactorEnabled ? `<button class="btn btn-sm btn-warning" onclick="resetAccountTwoFactor('${account.username}')">Reset 2FA</button>` : ''}
+                            ${isSelf ? '' : `
+                                <button class="btn btn-sm ${account.disabled ? 'btn-success' : 'btn-danger'}" onclick="updateAccount('${account.username}', { disabled: ${!account.disabled} })">
+                                    ${account.disabled ? 'Enable' : 'Disable'}
+                                </button>
+                                <button class="btn btn-sm btn-danger" onclick="deleteAccount('${account.username}')">Delete</button>
+                            `}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        } else {
+            tbody.innerHTML = `<tr><td colspan="6" class="text-center">${escapeHtml(data.error || 'No accounts')}</td></tr>`;
+        }
+    } catch (error) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">Error loading accounts</td></tr>';
+    }
+}
+
+async function postAccountAction(action, payload) {
+    const response = await fetch(`${API_BASE}/api/admin/accounts/${action}`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${sessionToken}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+    });
+    return response.json();
+}
+
+async function handleCreateAccount(e) {
+    e.preventDefault();
+    
+    try {
+        const data = await postAccountAction('create', {
+            username: document.getElementById('newAccountUsername').value.trim(),
+            password: document.getElementById('newAccountPassword').value,
+            role: document.getElementById('newAccountRole').value
+        });
+        
+        if (data.success) {
+            showAlert('success', `Account ${data.account.username} created`);
+            e.target.reset();
+            loadAccounts();
+        } else {
+            showAlert('danger', data.details ? data.details.join(', ') : data.error);
+        }
+    } catch (error) {
+        showAlert('danger', 'Error creating account');
+    }
+}
+
+async function updateAccount(username, changes) {
+    try {
+        const data = await postAccountAction('update', { username, ...changes });
+        showAlert(data.success ? 'success' : 'danger', data.success ? 'Account updated' : data.error);
+        loadAccounts();
+    } catch (error) {
+        showAlert('danger', 'Error updating account');
+    }
+}
+
+// Sessions
+async function loadSessions() {
+    const tbody = document.getElementById('sessionsTableBody');
+    const scope = document.getElementById('sessionScope').value;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/sessions${scope === 'all' ? '?scope=all' : ''}`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            tbody.innerHTML = `<tr><td colspan="6" class="text-center">${escapeHtml(data.error)}</td></tr>`;
+            return;
+        }
+        
+        const bound = [data.binding.ip && 'IP', data.binding.userAgent && 'user agent'].filter(Boolean);
+        document.getElementById('sessionBindingInfo').textContent = bound.length > 0
+            ? `Sessions are bound to their ${bound.join(' and ')}.`
+            : 'Sessions are not bound to IP or user agent; use from a new IP raises a security alert.';
+        
+        tbody.innerHTML = data.sessions.map(session => `
+            <tr>
+                <td><strong>${escapeHtml(session.username)}</strong>${session.current ? ' <span class="badge badge-success">this session</span>' : ''}</td>
+                <td>${escapeHtml(session.ip)}${session.lastIp !== session.ip ? `<br><small>now ${escapeHtml(session.lastIp)}</small>` : ''}</td>
+                <td><small>${escapeHtml(session.userAgent || '-')}</small></td>
+                <td>${new Date(session.created).toLocaleString()}</td>
+                <td>${new Date(session.lastActivity).toLocaleString()}</td>
+                <td>
+                    ${session.current ? '' : `<button class="btn btn-sm btn-danger" onclick="revokeSession('${session.id}')">Revoke</button>`}
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">Error loading sessions</td></tr>';
+    }
+}
+
+async function postSessionAction(action, payload = {}) {
+    const response = await fetch(`${API_BASE}/api/admin/sessions/${action}`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${sessionToken}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+    });
+    return response.json();
+}
+
+async function revokeSession(sessionId) {
+    try {
+        const data = await postSessionAction('revoke', { sessionId });
+        showAlert(data.success ? 'success' : 'danger', data.success ? 'Session revoked' : data.error);
+        loadSessions();
+    } catch (error) {
+        showAlert('danger', 'Error revoking session');
+    }
+}
+
+async function revokeOtherSessions() {
+    if (!confirm('Sign out all your other sessions?')) return;
+    
+    try {
+        const data = await postSessionAction('revoke-others');
+        showAlert(data.success ? 'success' : 'danger',
+            data.success ? `${data.sessionsRevoked} session(s) signed out` : data.error);
+        loadSessions();
+    } catch (error) {
+        showAlert('danger', 'Error revoking sessions');
+    }
+}
+
+async function resetAccountTwoFactor(username) {
+    if (!confirm(`Remove two-factor authentication from ${username}? Their sessions will be signed out.`)) return;
+    
+    try {
+        const data = await postAccountAction('reset-2fa', { username });
+        showAlert(data.success ? 'success' : 'danger', data.success ? 'Two-factor authentication reset' : data.error);
+        loadAccounts();
+    } catch (error) {
+        showAlert('danger', 'Error resetting two-factor authentication');
+    }
+}
+
+async function resetAccountPassword(username) {
+    const password = prompt(`New password for ${username} (12+ characters, upper/lowercase, number, special character):`);
+    if (!password) return;
+    
+    try {
+        const data = await postAccountAction('reset-password', { username, password });
+        showAlert(data.success ? 'success' : 'danger', data.success ? 'Password reset; other sessions signed out' : data.error);
+    } catch (error) {
+        showAlert('danger', 'Error resetting password');
+    }
+}
+
+async function deleteAccount(username) {
+    if (!confirm(`Delete admin account "${username}"?`)) return;
+    
+    try {
+        const data = await postAccountAction('delete', { username });
+        showAlert(data.success ? 'success' : 'danger', data.success ? 'Account deleted' : data.error);
+        loadAccounts();
+    } catch (error) {
+        showAlert('danger', 'Error deleting account');
+    }
+}
+
+// Scheduled Jobs
+async function loadJobs() {
+    const tbody = document.getElementById('jobsTableBody');
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/jobs`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (data.success && data.jobs.length > 0) {
+            tbody.innerHTML = data.jobs.map(job => `
+                <tr>
+                    <td>
+                        <strong>${escapeHtml(job.name)}</strong><br>
+                        <small>${escapeHtml(job.description)}</small>
+                    </td>
+                    <td><code>${escapeHtml(job.schedule)}</code></td>
+                    <td>
+                        <span class="badge badge-${job.running ? 'warning' : job.enabled ? 'success' : 'danger'}">
+                            ${job.running ? 'running' : job.enabled ? 'active' : 'paused'}
+                        </span>
+                    </td>
+                    <td>
+                        ${job.lastRun ? new Date(job.lastRun).toLocaleString() : 'Never'}
+                        ${job.lastStatus === 'failed' ? `<br><small title="${escapeHtml(job.lastError)}">❌ failed</small>` : ''}
+                    </td>
+                    <td>${job.nextRun ? new Date(job.nextRun).toLocaleString() : '-'}</td>
+                    <td>
+                        <button class="btn btn-sm btn-primary" onclick="runJob('${job.name}')">Run Now</button>
+                        <button class="btn btn-sm" onclick="editJob('${job.name}', '${escapeHtml(job.schedule)}')">Edit</button>
+                        <button class="btn btn-sm ${job.enabled ? 'btn-danger' : 'btn-success'}" onclick="setJobEnabled('${job.name}', ${!job.enabled})">
+                            ${job.enabled ? 'Pause' : 'Resume'}
+                        </button>
+                    </td>
+                </tr>
+            `).join('');
+        } else {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center">No scheduled jobs</td></tr>';
+        }
+    } catch (error) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">Error loading jobs</td></tr>';
+    }
+}
+
+async function postJobAction(action, payload) {
+    const response = await fetch(`${API_BASE}/api/admin/jobs/${action}`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${sessionToken}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+    });
+    return response.json();
+}
+
+async function runJob(name) {
+    if (!confirm(`Run job "${name}" now?`)) return;
+    
+    try {
+        const data = await postJobAction('run', { name });
+        showAlert(data.success ? 'success' : 'danger', data.success ? `Job ${name} completed` : data.error);
+        loadJobs();
+    } catch (error) {
+        showAlert('danger', 'Error running job');
+    }
+}
+
+async function editJob(name, schedule) {
+    const newSchedule = prompt(`Cron schedule for "${name}" (minute hour day month weekday):`, schedule);
+    if (newSchedule === null) return;
+    
+    const payload = { name, schedule: newSchedule.trim() };
+    
+    try {
+        const data = await postJobAction('update', payload);
+        showAlert(data.success ? 'success' : 'danger', data.success ? 'Job updated' : data.error);
+        loadJobs();
+    } catch (error) {
+        showAlert('danger', 'Error updating job');
+    }
+}
+
+async function setJobEnabled(name, enabled) {
+    try {
+        const data = await postJobAction(enabled ? 'resume' : 'pause', { name });
+        showAlert(data.success ? 'success' : 'danger', data.success ? `Job ${enabled ? 'resumed' : 'paused'}` : data.error);
+        loadJobs();
+    } catch (error) {
+        showAlert('danger', 'Error updating job');
+    }
+}
+
 // Utility Functions
 function escapeHtml(text) {
     if (!text) return '';
@@ -0,0 +1,29 @@
+// rotate-token-key.js - Re-encrypt every bot token with the current master key
+//
+// Usage (with the service stopped, same environment as the server):
+//   BOT_TOKEN_ENCRYPTION_KEY=<new> BOT_TOKEN_ENCRYPTION_KEY_PREVIOUS=<old> npm run rotate-token-key
+const Storage = require('./storage');
+
+async function main() {
+  if (!process.env.BOT_TOKEN_ENCRYPTION_KEY || process.env.BOT_TOKEN_ENCRYPTION_KEY.length < 32) {
+    console.error('❌ BOT_TOKEN_ENCRYPTION_KEY must be set (at least 32 characters)');
+    process.exit(1);
+  }
+
+  const storage = new Storage();
+
+  const result = await storage.migrateBotTokens({ force: true });
+  console.log(`✓ ${result.encrypted} plaintext token(s) encrypted, ${result.reencrypted} re-encrypted`);
+
+  if (result.unreadable > 0) {
+    console.error(`❌ ${result.unreadable} token(s) could not be decrypted; add the key they were encrypted with to BOT_TOKEN_ENCRYPTION_KEY_PREVIOUS`);
+    process.exit(1);
+  }
+
+  console.log('Remove BOT_TOKEN_ENCRYPTION_KEY_PREVIOUS once the server runs with the new key.');
+}
+
+main().catch(error => {
+  console.error('Key rotation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,281 @@
+// scheduler.js - In-Process Job Scheduler (cron expressions persisted in system config)
+
+// Minimal 5-field cron: minute hour day-of-month month day-of-week
+// Supports *, numbers, lists (1,15), ranges (1-5) and steps (*/15, 0-30/10)
+class CronExpression {
+  constructor(expression) {
+    if (typeof expression !== 'string') {
+      throw new Error('Cron expression must be a string');
+    }
+
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== 5) {
+      throw new Error('Cron expression must have 5 fields: minute hour day month weekday');
+    }
+
+    this.expression = fields.join(' ');
+    this.minutes = this.parseField(fields[0], 0, 59, 'minute');
+    this.hours = this.parseField(fields[1], 0, 23, 'hour');
+    this.days = this.parseField(fields[2], 1, 31, 'day of month');
+    this.months = this.parseField(fields[3], 1, 12, 'month');
+    this.weekdays = this.parseField(fields[4], 0, 7, 'day of week');
+
+    // 7 is also Sunday
+    if (this.weekdays.has(7)) {
+      this.weekdays.add(0);
+    }
+
+    this.anyDay = fields[2] === '*';
+    this.anyWeekday = fields[4] === '*';
+  }
+
+  parseField(field, min, max, label) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+      const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+      if (!match) {
+        throw new Error(`Invalid ${label} field: ${field}`);
+      }
+
+      let start = min;
+      let end = max;
+      if (match[1] !== '*') {
+        const [from, to] = match[1].split('-').map(Number);
+        start = from;
+        end = to !== undefined ? to : (match[2] ? max : from);
+      }
+      const step = match[2] ? parseInt(match[2]) : 1;
+
+      if (start < min || end > max || start > end || step < 1) {
+        throw new Error(`Invalid ${label} field: ${field}`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  // Standard cron rule: when both day fields are restricted, either may match
+  matchesDay(date) {
+    const dayMatch = this.days.has(date.getDate());
+    const weekdayMatch = this.weekdays.has(date.getDay());
+
+    if (this.anyDay && this.anyWeekday) return true;
+    if (this.anyDay) return weekdayMatch;
+    if (this.anyWeekday) return dayMatch;
+    return dayMatch || weekdayMatch;
+  }
+
+  matches(date) {
+    return this.minutes.has(date.getMinutes()) &&
+      this.hours.has(date.getHours()) &&
+      this.months.has(date.getMonth() + 1) &&
+      this.matchesDay(date);
+  }
+
+  // Next matching minute after `from` (server local time); null if none within 5 years
+  next(from = new Date()) {
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000; // Covers Feb 29
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+    return null;
+  }
+}
+
+class Scheduler {
+  constructor(config) {
+    this.config = config;
+    this.jobs = new Map(); // name -> { definition, state }
+    this.tickInterval = null;
+    this.TICK_MS = 15000;
+    this.MAX_RUN_HISTORY = 10;
+    this.lastTickMinute = null;
+
+    this.logger = {
+      error: (msg, ...args) => console.error(`[Scheduler] ${msg}`, ...args),
+      info: (msg, ...args) => console.log(`[Scheduler] ${msg}`, ...args)
+    };
+  }
+
+  // definition: { description, schedule, options, validateOptions, handler(options) }
+  register(name, definition) {
+    new CronExpression(definition.schedule); // Fail fast on bad defaults
+    this.jobs.set(name, {
+      definition,
+      state: {
+        running: false,
+        lastRun: null,
+        lastStatus: null,
+        lastError: null,
+        lastResult: null,
+        lastDurationMs: null,
+        history: []
+      }
+    });
+  }
+
+  // Effective settings: persisted overrides on top of the registered defaults
+  getJobSettings(name) {
+    const job = this.jobs.get(name);
+    const saved = this.config.getScheduledJobs()[name] || {};
+
+    return {
+      schedule: saved.schedule || job.definition.schedule,
+      enabled: saved.enabled !== undefined ? saved.enabled : true,
+      options: { ...(job.definition.options || {}), ...(saved.options || {}) }
+    };
+  }
+
+  start() {
+    if (this.tickInterval) return;
+
+    this.tickInterval = setInterval(() => this.tick(), this.TICK_MS);
+    this.tickInterval.unref();
+    this.logger.info(`Started with ${this.jobs.size} jobs`);
+  }
+
+  stop() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+  }
+
+  tick(now = new Date()) {
+    const minuteKey = Math.floor(now.getTime() / 60000);
+    if (minuteKey === this.lastTickMinute) {
+      return;
+    }
+    this.lastTickMinute = minuteKey;
+
+    for (const name of this.jobs.keys()) {
+      try {
+        const settings = this.getJobSettings(name);
+        if (settings.enabled && new CronExpression(settings.schedule).matches(now)) {
+          this.runJob(name, 'schedule').catch(() => {});
+        }
+      } catch (error) {
+        this.logger.error(`Invalid schedule for job ${name}:`, error.message);
+      }
+    }
+  }
+
+  async runJob(name, trigger = 'manual') {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    const { state } = job;
+    if (state.running) {
+      throw new Error(`Job ${name} is already running`);
+    }
+
+    state.running = true;
+    const startedAt = Date.now();
+
+    try {
+      const result = await job.definition.handler(this.getJobSettings(name).options);
+      this.recordRun(state, trigger, startedAt, 'success', null, result);
+      return result;
+    } catch (error) {
+      this.logger.error(`Job ${name} failed:`, error);
+      this.recordRun(state, trigger, startedAt, 'failed', error.message, null);
+      throw error;
+    } finally {
+      state.running = false;
+    }
+  }
+
+  recordRun(state, trigger, startedAt, status, error, result) {
+    state.lastRun = new Date(startedAt).toISOString();
+    state.lastStatus = status;
+    state.lastError = error;
+    state.lastResult = result === undefined ? null : result;
+    state.lastDurationMs = Date.now() - startedAt;
+
+    state.history.unshift({ startedAt: state.lastRun, trigger, status, error, durationMs: state.lastDurationMs });
+    if (state.history.length > this.MAX_RUN_HISTORY) {
+      state.history.length = this.MAX_RUN_HISTORY;
+    }
+  }
+
+  listJobs() {
+    return [...this.jobs.entries()].map(([name, job]) => {
+      const settings = this.getJobSettings(name);
+      let nextRun = null;
+      try {
+        const next = settings.enabled ? new CronExpression(settings.schedule).next() : null;
+        nextRun = next ? next.toISOString() : null;
+      } catch (error) {
+        // Invalid persisted schedule: shown without a next run
+      }
+
+      return {
+        name,
+        description: job.definition.description,
+        defaultSchedule: job.definition.schedule,
+        ...settings,
+        nextRun,
+        running: job.state.running,
+        lastRun: job.state.lastRun,
+        lastStatus: job.state.lastStatus,
+        lastError: job.state.lastError,
+        lastDurationMs: job.state.lastDurationMs,
+        history: job.state.history
+      };
+    });
+  }
+
+  // Persist schedule/enabled/options changes for a job
+  async updateJob(name, { schedule, enabled, options } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    const saved = { ...(this.config.getScheduledJobs()[name] || {}) };
+
+    if (schedule !== undefined) {
+      saved.schedule = new CronExpression(schedule).expression;
+    }
+    if (enabled !== undefined) {
+      saved.enabled = enabled === true || enabled === 'true';
+    }
+    if (options !== undefined) {
+      const merged = { ...(saved.options || {}), ...options };
+      if (job.definition.validateOptions) {
+        job.definition.validateOptions(merged);
+      }
+      saved.options = merged;
+    }
+
+    await this.config.setScheduledJob(name, saved);
+    return this.listJobs().find(entry => entry.name === name);
+  }
+}
+
+Scheduler.CronExpression = CronExpression;
+
+module.exports = Scheduler;
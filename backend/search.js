@@ -0,0 +1,115 @@
+// search.js - Full-Text Search Across Bot Metadata (file and folder names)
+
+class MetadataSearch {
+  constructor() {
+    this.MAX_RESULTS = 200;
+    this.MIN_QUERY_LENGTH = 2; // Latin queries only; one CJK character can be a whole name
+    this.MAX_QUERY_LENGTH = 100;
+  }
+
+  // Case-folded, diacritic-free form used for matching (é -> e, أ -> ا, Ａ -> a)
+  normalize(text) {
+    if (typeof text !== 'string') {
+      return '';
+    }
+
+    return this.decodeEntities(text)
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/[\s_\-.]+/g, ' ')
+      .trim();
+  }
+
+  // Metadata strings are HTML-escaped by Security.sanitizeJSON
+  decodeEntities(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#x27;/g, "'")
+      .replace(/&#x2F;/g, '/')
+      .replace(/&#x5C;/g, '\\')
+      .replace(/&#96;/g, '`')
+      .replace(/&amp;/g, '&');
+  }
+
+  // Flatten the folder tree into searchable entries
+  buildIndex(metadata) {
+    const entries = [];
+
+    const walk = (folder, currentPath) => {
+      if (!folder) return;
+
+      for (const file of folder.files || []) {
+        if (!file.fileName) continue;
+        entries.push({
+          type: 'file',
+          name: file.fileName,
+          normalized: this.normalize(file.fileName),
+          path: currentPath,
+          file
+        });
+      }
+
+      for (const [name, subfolder] of Object.entries(folder.subfolders || {})) {
+        const folderPath = [...currentPath, name];
+        entries.push({
+          type: 'folder',
+          name,
+          normalized: this.normalize(name),
+          path: folderPath
+        });
+        walk(subfolder, folderPath);
+      }
+    };
+
+    walk(metadata, []);
+    return entries;
+  }
+
+  search(index, query) {
+    const normalizedQuery = this.normalize(query);
+    if (!this.isLongEnough(normalizedQuery)) {
+      return [];
+    }
+
+    const terms = normalizedQuery.split(' ');
+    const results = [];
+
+    for (const entry of index) {
+      // Every term must appear somewhere in the name
+      if (!terms.every(term => entry.normalized.includes(term))) {
+        continue;
+      }
+      results.push({ entry, score: this.score(entry.normalized, normalizedQuery) });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score ||
+        a.entry.name.localeCompare(b.entry.name, undefined, { numeric: true, sensitivity: 'base' }))
+      .slice(0, this.MAX_RESULTS)
+      .map(result => result.entry);
+  }
+
+  score(name, query) {
+    if (name === query) return 3;
+    if (name.startsWith(query)) return 2;
+    if (name.includes(query)) return 1;
+    return 0;
+  }
+
+  isValidQuery(query) {
+    if (!query || typeof query !== 'string') {
+      return false;
+    }
+    return this.isLongEnough(this.normalize(query)) && query.length <= this.MAX_QUERY_LENGTH;
+  }
+
+  isLongEnough(normalizedQuery) {
+    const minLength = /^[\x00-\x7F]*$/.test(normalizedQuery) ? this.MIN_QUERY_LENGTH : 1;
+    return normalizedQuery.length >= minLength;
+  }
+}
+
+module.exports = MetadataSearch;
@@ -0,0 +1,153 @@
+// security-log.js - Persistent Security Event Store (append-only JSONL, size-based rotation)
+const fs = require('fs').promises;
+const path = require('path');
+
+class SecurityLog {
+  constructor(dataDir = path.join(__dirname, '..', 'data', 'security')) {
+    this.dataDir = dataDir;
+    this.filePath = path.join(dataDir, 'events.jsonl');
+
+    this.MAX_FILE_BYTES = 5 * 1024 * 1024; // Rotate at 5MB
+    this.MAX_ROTATED_FILES = 5; // events.1.jsonl ... events.5.jsonl
+    this.MAX_EVENTS_PER_MINUTE = 300; // Flood guard; excess is counted, not written
+    this.MAX_QUERY_LIMIT = 1000;
+
+    this.currentSize = 0;
+    this.writing = Promise.resolve();
+    this.window = { start: Date.now(), count: 0, dropped: 0 };
+  }
+
+  async initialize() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.chmod(this.dataDir, 0o750);
+
+    try {
+      const stats = await fs.stat(this.filePath);
+      this.currentSize = stats.size;
+    } catch (error) {
+      this.currentSize = 0;
+    }
+  }
+
+  async shutdown() {
+    await this.writing;
+  }
+
+  append(event) {
+    if (!this.acceptEvent()) {
+      return this.writing;
+    }
+
+    const entries = [];
+    if (this.window.dropped > 0 && this.window.count === 1) {
+      // First event of a new window reports what the previous one dropped
+      entries.push({
+        timestamp: new Date().toISOString(),
+        type: 'events_dropped',
+        severity: 'MEDIUM',
+        details: { count: this.window.dropped }
+      });
+      this.window.dropped = 0;
+    }
+    entries.push(event);
+
+    this.writing = this.writing
+      .then(() => this.writeLines(entries.map(entry => JSON.stringify(entry) + '\n').join('')))
+      .catch(error => console.error('Error writing security log:', error));
+    return this.writing;
+  }
+
+  acceptEvent() {
+    const now = Date.now();
+    if (now - this.window.start >= 60000) {
+      this.window.start = now;
+      this.window.count = 0;
+    }
+
+    if (this.window.count >= this.MAX_EVENTS_PER_MINUTE) {
+      this.window.dropped++;
+      return false;
+    }
+
+    this.window.count++;
+    return true;
+  }
+
+  async writeLines(lines) {
+    const bytes = Buffer.byteLength(lines);
+    if (this.currentSize > 0 && this.currentSize + bytes > this.MAX_FILE_BYTES) {
+      await this.rotate();
+    }
+
+    await fs.appendFile(this.filePath, lines, { encoding: 'utf8', mode: 0o640 });
+    this.currentSize += bytes;
+  }
+
+  getRotatedPath(index) {
+    return index === 0 ? this.filePath : path.join(this.dataDir, `events.${index}.jsonl`);
+  }
+
+  async rotate() {
+    await fs.rm(this.getRotatedPath(this.MAX_ROTATED_FILES), { force: true });
+
+    for (let i = this.MAX_ROTATED_FILES - 1; i >= 0; i--) {
+      try {
+        await fs.rename(this.getRotatedPath(i), this.getRotatedPath(i + 1));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    this.currentSize = 0;
+  }
+
+  // Newest first; filters: severity, type, ip, botId, from, to (ISO dates), limit
+  async query(filters = {}) {
+    await this.writing;
+
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 200, 1), this.MAX_QUERY_LIMIT);
+    const severity = filters.severity ? String(filters.severity).toUpperCase() : null;
+    const from = filters.from ? new Date(filters.from).toISOString() : null;
+    const to = filters.to ? new Date(filters.to).toISOString() : null;
+
+    const events = [];
+
+    for (let i = 0; i <= this.MAX_ROTATED_FILES && events.length < limit; i++) {
+      let content;
+      try {
+        content = await fs.readFile(this.getRotatedPath(i), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      const lines = content.split('\n');
+      for (let j = lines.length - 1; j >= 0 && events.length < limit; j--) {
+        if (!lines[j]) continue;
+
+        let event;
+        try {
+          event = JSON.parse(lines[j]);
+        } catch (error) {
+          continue; // Partial line from a crash mid-write
+        }
+
+        // Files are chronological, so everything further back is older still
+        if (from && event.timestamp < from) {
+          return events;
+        }
+        if (to && event.timestamp > to) continue;
+        if (severity && event.severity !== severity) continue;
+        if (filters.type && event.type !== filters.type) continue;
+        if (filters.ip && event.ip !== filters.ip) continue;
+        if (filters.botId && event.botId !== filters.botId) continue;
+
+        events.push(event);
+      }
+    }
+
+    return events;
+  }
+}
+
+module.exports = SecurityLog;
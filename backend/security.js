@@ -2,7 +2,10 @@
 const validator = require('validator');
 
 class Security {
-  constructor() {
+  constructor(eventLog = null) {
+    this.eventLog = eventLog; // SecurityLog; events are only printed without it
+    this.eventListeners = []; // e.g. IP reputation scoring
+
     // Dangerous patterns to detect
     this.dangerousPatterns = [
       /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
@@ -260,38 +263,37 @@ class Security {
     return this.folderNameRegex.test(name);
   }
 
-  // Rate limiting helper
-  createRateLimiter() {
-    const requests = new Map();
-    const WINDOW_MS = 60000; // 1 minute
-    const MAX_REQUESTS = 60;
+  // Token-bucket rate limiting helper: an identifier may make `burst` requests at
+  // once and regains `perMinute` per minute. Limits may be given as a function so
+  // configuration changes apply to existing buckets.
+  createRateLimiter(limits = { burst: 60, perMinute: 60 }) {
+    const buckets = new Map(); // identifier -> { tokens, updatedAt }
+    const getLimits = typeof limits === 'function' ? limits : () => limits;
 
     return (identifier) => {
       const now = Date.now();
-      const userRequests = requests.get(identifier) || [];
-
-      // Remove old requests outside window
-      const recentRequests = userRequests.filter(time => now - time < WINDOW_MS);
+      const { burst, perMinute } = getLimits();
+      const refill = (since) => (now - since) * perMinute / 60000;
 
-      if (recentRequests.length >= MAX_REQUESTS) {
-        return false; // Rate limit exceeded
-      }
+      const bucket = buckets.get(identifier) || { tokens: burst, updatedAt: now };
+      bucket.tokens = Math.min(burst, bucket.tokens + refill(bucket.updatedAt));
+      bucket.updatedAt = now;
+      buckets.set(identifier, bucket);
 
-      recentRequests.push(now);
-      requests.set(identifier, recentRequests);
-
-      // Cleanup old entries periodically
+      // Cleanup full buckets periodically
       if (Math.random() < 0.01) { // 1% chance
-        for (const [key, times] of requests.entries()) {
-          const valid = times.filter(time => now - time < WINDOW_MS);
-          if (valid.length === 0) {
-            requests.delete(key);
-          } else {
-            requests.set(key, valid);
+        for (const [key, entry] of buckets.entries()) {
+          if (entry.tokens + refill(entry.updatedAt) >= burst) {
+            buckets.delete(key);
           }
         }
       }
 
+      if (bucket.tokens < 1) {
+        return false; // Rate limit exceeded
+      }
+
+      bucket.tokens -= 1;
       return true; // Request allowed
     };
   }
@@ -317,19 +319,36 @@ class Security {
     return /^(@[a-zA-Z0-9_]{5,32}|-100\d{10,})$/.test(channelId);
   }
 
-  // Log security events
-  logSecurityEvent(eventType, details) {
+  // Log security events (ip, botId and userId are lifted out of details for filtering)
+  logSecurityEvent(eventType, details = {}) {
+    const { ip, botId, userId, ...rest } = details;
     const logEntry = {
       timestamp: new Date().toISOString(),
       type: eventType,
-      details,
-      severity: this.getEventSeverity(eventType)
+      severity: this.getEventSeverity(eventType),
+      ip: ip || null,
+      botId: botId || null,
+      userId: userId || null,
+      details: rest
     };
 
     console.log('[SECURITY]', JSON.stringify(logEntry));
     
-    // In production, this would write to a secure log file
-    // or send to a monitoring service
+    if (this.eventLog) {
+      this.eventLog.append(logEntry);
+    }
+
+    for (const listener of this.eventListeners) {
+      try {
+        listener(logEntry);
+      } catch (error) {
+        console.error('Security event listener error:', error);
+      }
+    }
+  }
+
+  onSecurityEvent(listener) {
+    this.eventListeners.push(listener);
   }
 
   getEventSeverity(eventType) {
@@ -337,7 +356,23 @@ class Security {
       'injection_attempt': 'HIGH',
       'malicious_json': 'HIGH',
       'path_traversal': 'HIGH',
+      'malicious_callback': 'HIGH',
+      'login_lockout': 'HIGH',
+      'ip_blocked': 'HIGH',
+      'login_blocked': 'HIGH',
+      'session_binding_violation': 'HIGH',
+      'login_failed': 'MEDIUM',
+      'password_change_failed': 'MEDIUM',
+      'two_factor_failed': 'MEDIUM',
+      'recovery_code_used': 'MEDIUM',
+      'session_new_ip': 'MEDIUM',
+      'invalid_api_key': 'MEDIUM',
+      'invalid_webhook_secret': 'MEDIUM',
+      'api_key_missing': 'MEDIUM',
+      'claim_code_failed': 'MEDIUM',
+      'invalid_upload': 'MEDIUM',
       'rate_limit': 'MEDIUM',
+      'user_muted': 'LOW',
       'invalid_input': 'LOW',
       'sanitization': 'LOW'
     };
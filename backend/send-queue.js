@@ -0,0 +1,126 @@
+// send-queue.js - Outbound Message Queue per Bot (Telegram Flood Limits)
+
+// Telegram allows a bot about 30 messages per second overall and about one per
+// second in the same chat. Sends are queued and released within those limits,
+// in order per chat. A 429 answer pauses the queue for its retry_after and the
+// send is retried.
+class SendQueue {
+  constructor({ globalPerSecond = 30, chatIntervalMs = 1000, maxRetries = 3, maxPending = 1000, getRetryAfter }) {
+    this.globalPerSecond = globalPerSecond;
+    this.chatIntervalMs = chatIntervalMs;
+    this.maxRetries = maxRetries;
+    this.maxPending = maxPending;
+    this.getRetryAfter = getRetryAfter; // error -> seconds for 429 answers, otherwise null
+
+    this.jobs = []; // { chatId, task, resolve, reject, attempts }
+    this.chatReadyAt = new Map(); // chatId -> earliest time of the next send
+    this.busyChats = new Set(); // chatIds with a send in flight
+    this.sentAt = []; // Send times within the last second
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.timerDue = 0;
+    this.stopped = false;
+  }
+
+  // Resolves with the result of task() once it has been sent
+  push(chatId, task) {
+    if (this.stopped) {
+      return Promise.reject(new Error('Send queue stopped'));
+    }
+    if (this.jobs.length >= this.maxPending) {
+      return Promise.reject(new Error('Send queue full'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.jobs.push({ chatId: String(chatId), task, resolve, reject, attempts: 0 });
+      this.schedule(0);
+    });
+  }
+
+  schedule(ms) {
+    const due = Date.now() + ms;
+    if (this.timer && this.timerDue <= due) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timerDue = due;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, ms);
+  }
+
+  drain() {
+    const now = Date.now();
+    if (now < this.pausedUntil) {
+      this.schedule(this.pausedUntil - now);
+      return;
+    }
+
+    this.sentAt = this.sentAt.filter(time => now - time < 1000);
+    let wait = Infinity;
+
+    for (let i = 0; i < this.jobs.length && this.sentAt.length < this.globalPerSecond;) {
+      const job = this.jobs[i];
+      const readyAt = this.chatReadyAt.get(job.chatId) || 0;
+      if (this.busyChats.has(job.chatId) || readyAt > now) {
+        if (readyAt > now) wait = Math.min(wait, readyAt - now);
+        i++;
+        continue;
+      }
+
+      this.jobs.splice(i, 1);
+      this.sentAt.push(now);
+      this.chatReadyAt.set(job.chatId, now + this.chatIntervalMs);
+      this.run(job);
+    }
+
+    if (this.sentAt.length >= this.globalPerSecond) {
+      wait = Math.min(wait, 1000 - (now - this.sentAt[0]));
+    }
+    // Chats that are only busy are picked up again when their send finishes
+    if (this.jobs.length > 0 && wait !== Infinity) {
+      this.schedule(Math.max(wait, 1));
+    }
+
+    // Forget chats that have been quiet for a while
+    if (this.chatReadyAt.size > this.maxPending) {
+      for (const [chatId, readyAt] of this.chatReadyAt.entries()) {
+        if (readyAt <= now) this.chatReadyAt.delete(chatId);
+      }
+    }
+  }
+
+  async run(job) {
+    this.busyChats.add(job.chatId);
+    try {
+      job.resolve(await job.task());
+    } catch (error) {
+      const retryAfter = this.getRetryAfter(error);
+      if (retryAfter !== null && job.attempts < this.maxRetries && !this.stopped) {
+        job.attempts++;
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter * 1000);
+        this.jobs.unshift(job);
+      } else {
+        job.reject(error);
+      }
+    } finally {
+      this.busyChats.delete(job.chatId);
+      if (this.jobs.length > 0 && !this.stopped) {
+        this.schedule(0);
+      }
+    }
+  }
+
+  // Rejects everything still waiting (the bot is being stopped)
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const job of this.jobs.splice(0)) {
+      job.reject(new Error('Send queue stopped'));
+    }
+  }
+}
+
+module.exports = SendQueue;
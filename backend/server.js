@@ -12,19 +12,36 @@ const Security = require('./security');
 const Config = require('./config');
 const AdminBot = require('./admin-bot');
 const AdminRoutes = require('./admin-routes');
+const NodeIds = require('./node-ids');
+const Analytics = require('./analytics');
+const Scheduler = require('./scheduler');
+const SecurityLog = require('./security-log');
+const IpReputation = require('./ip-reputation');
+const AdminAccounts = require('./admin-accounts');
+const ApiKeys = require('./api-keys');
+const ClaimCodes = require('./claim-codes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Initialize core components
 const storage = new Storage();
-const security = new Security();
+const securityLog = new SecurityLog();
+const security = new Security(securityLog);
+const nodeIds = new NodeIds();
 const config = new Config(storage);
 const adminBot = new AdminBot(config, storage);
-const botManager = new BotManager(storage, config, adminBot);
+const ipReputation = new IpReputation(storage, adminBot, security);
+const adminAccounts = new AdminAccounts(storage);
+const apiKeys = new ApiKeys(storage);
+const claimCodes = new ClaimCodes(storage);
+security.onSecurityEvent(event => ipReputation.recordEvent(event));
+const analytics = new Analytics();
+const botManager = new BotManager(storage, config, adminBot, analytics, security, apiKeys, claimCodes);
+const scheduler = new Scheduler(config);
 
 // Initialize admin routes
-const adminRoutes = new AdminRoutes(storage, config, botManager, adminBot, security);
+const adminRoutes = new AdminRoutes(storage, config, botManager, adminBot, security, analytics, scheduler, securityLog, ipReputation, adminAccounts, apiKeys, claimCodes);
 
 // Security middleware
 app.use(helmet({
@@ -51,6 +68,9 @@ app.use(helmet({
 // Trust proxy
 app.set('trust proxy', 1);
 
+// Blocked IPs/CIDRs (automatic and manual) are rejected before any parsing
+app.use(ipReputation.middleware());
+
 // Request size limits with DoS protection
 app.use(express.json({ 
   limit: '15mb',
@@ -115,6 +135,28 @@ const metadataLimiter = rateLimit({
   standardHeaders: true
 });
 
+// TELEGRAM WEBHOOKS (registered before the global limiter: Telegram delivers every update from a few IPs)
+app.post('/telegram/webhook/:botId/:secret', (req, res) => {
+  const update = req.body;
+  if (!update || typeof update !== 'object' || typeof update.update_id !== 'number') {
+    return res.status(400).json({ success: false, error: 'Invalid update' });
+  }
+
+  const accepted = botManager.handleWebhookUpdate(
+    req.params.botId,
+    req.params.secret,
+    req.get('X-Telegram-Bot-Api-Secret-Token'),
+    update,
+    req.ip
+  );
+
+  if (!accepted) {
+    return res.status(404).json({ success: false, error: 'Not found' });
+  }
+
+  res.sendStatus(200);
+});
+
 app.use(globalLimiter);
 
 // PUBLIC ROUTES
@@ -202,6 +244,61 @@ app.get('/api/csrf-token', (req, res) => {
   res.json({ csrfToken: token });
 });
 
+// OWNER API AUTHENTICATION
+// Uploader calls authenticate with the bot's API key ("Authorization: Bearer <key>",
+// sent to the owner after registration). The bot token alone is still accepted for
+// new bots whose owner has not registered yet and, while legacy token auth is
+// allowed, as a deprecated fallback for older uploaders.
+
+function markDeprecated(res, message, successor = null) {
+  res.set('Deprecation', 'true');
+  res.append('Warning', `299 - "${message}"`);
+  if (successor) {
+    res.set('Link', `<${successor}>; rel="successor-version"`);
+  }
+}
+
+// Route pattern for logs: the deprecated routes carry the bot token in req.path
+function routeOf(req) {
+  return req.route ? req.route.path : req.path;
+}
+
+// { bot } the request may act on (null: no bot with this token yet), or { status, error }
+function resolveOwnerBot(req, res, botToken) {
+  const presented = apiKeys.parseAuthorization(req.get('Authorization'));
+  const tokenBot = botToken ? storage.getBotByToken(botToken) : null;
+
+  if (presented) {
+    const key = apiKeys.verify(presented, req.ip);
+    const bot = key ? storage.getBotById(key.botId) : null;
+    if (!bot || (botToken && (!tokenBot || tokenBot.id !== bot.id))) {
+      security.logSecurityEvent('invalid_api_key', {
+        ip: req.ip,
+        botId: bot ? bot.id : null,
+        reason: bot ? 'token_mismatch' : 'unknown_key',
+        path: routeOf(req)
+      });
+      return { status: 401, error: 'Invalid API key' };
+    }
+    return { bot };
+  }
+
+  if (!botToken) {
+    return { status: 401, error: 'API key required (Authorization: Bearer <key>)' };
+  }
+
+  if (tokenBot && tokenBot.ownerId) {
+    if (!config.getAllowLegacyTokenAuth()) {
+      security.logSecurityEvent('api_key_missing', { ip: req.ip, botId: tokenBot.id, path: routeOf(req) });
+      return { status: 401, error: 'API key required (Authorization: Bearer <key>)' };
+    }
+    markDeprecated(res, 'Bot token authentication is deprecated; send the API key from /apikey');
+    console.warn(`[DEPRECATED] Bot ${tokenBot.id} authenticated by token only (${req.method} ${routeOf(req)} from ${req.ip})`);
+  }
+
+  return { bot: tokenBot };
+}
+
 // Bot metadata upload endpoint
 app.post('/api/upload',
   uploadLimiter,
@@ -233,6 +330,11 @@ app.post('/api/upload',
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
+        security.logSecurityEvent('invalid_upload', {
+          ip: req.ip,
+          reason: 'validation',
+          errors: errors.array().map(e => e.msg)
+        });
         await adminBot.sendAlert('security', `Invalid upload attempt from IP: ${req.ip}`);
         return res.status(400).json({ 
           success: false, 
@@ -248,12 +350,19 @@ app.post('/api/upload',
       const sanitizedUsername = security.sanitizeInput(botUsername);
 
       if (!sanitizedToken || !sanitizedChannelId || !sanitizedUsername) {
+        security.logSecurityEvent('invalid_upload', { ip: req.ip, reason: 'sanitization' });
         return res.status(400).json({
           success: false,
           error: 'Input sanitization failed'
         });
       }
 
+      // Existing bots are only updated by their owner's API key
+      const owner = resolveOwnerBot(req, res, sanitizedToken);
+      if (owner.error) {
+        return res.status(owner.status).json({ success: false, error: owner.error });
+      }
+
       const metadataSize = JSON.stringify(metadata).length;
       const maxSize = config.getMaxJsonSize();
       
@@ -266,6 +375,7 @@ app.post('/api/upload',
 
       const sanitizedMetadata = security.sanitizeJSON(metadata);
       if (!sanitizedMetadata) {
+        security.logSecurityEvent('malicious_json', { ip: req.ip, botUsername: sanitizedUsername });
         await adminBot.sendAlert('security', `Malicious JSON detected from IP: ${req.ip}`);
         return res.status(400).json({
           success: false,
@@ -275,6 +385,13 @@ app.post('/api/upload',
 
       const folderValidation = security.validateFolderStructure(sanitizedMetadata);
       if (!folderValidation.valid) {
+        const traversal = folderValidation.errors.some(e => e.error === 'Path traversal attempt detected');
+        security.logSecurityEvent(traversal ? 'path_traversal' : 'invalid_upload', {
+          ip: req.ip,
+          reason: 'folder_structure',
+          botUsername: sanitizedUsername,
+          paths: folderValidation.errors.slice(0, 10).map(e => e.path)
+        });
         return res.status(400).json({
           success: false,
           error: 'Invalid folder structure',
@@ -282,7 +399,18 @@ app.post('/api/upload',
         });
       }
 
-      const existingBot = storage.getBotByToken(sanitizedToken);
+      // Short node IDs keep callback data under Telegram's 64-byte limit
+      nodeIds.assign(sanitizedMetadata);
+      const invalidNodes = nodeIds.findInvalid(sanitizedMetadata);
+      if (invalidNodes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Could not assign IDs to all folders and files',
+          details: invalidNodes.slice(0, 20)
+        });
+      }
+
+      const existingBot = owner.bot;
       const isUpdate = !!existingBot;
 
       if (isUpdate) {
@@ -297,17 +425,27 @@ app.post('/api/upload',
           );
         }
 
-        storage.updateBot(sanitizedToken, {
+        await storage.updateBot(sanitizedToken, {
           metadata: sanitizedMetadata,
           lastUpdate: new Date().toISOString(),
           changePercentage
         });
 
+        // Serve the new folder tree from the running bot immediately
+        await botManager.refreshBot(existingBot.id);
+
+        // Re-uploaded or removed files no longer belong in the broken files report
+        await storage.pruneBrokenFiles(existingBot.id, sanitizedMetadata);
+
+        // Still unclaimed: hand out a fresh claim code (the previous one may be lost or expired)
+        const claim = existingBot.ownerId ? null : claimCodes.issue(existingBot.id);
+
         return res.json({
           success: true,
           message: 'Bot metadata updated successfully',
           isUpdate: true,
-          changePercentage
+          changePercentage,
+          ...(claim && { claimCode: claim.code, claimExpiresAt: claim.expiresAt })
         });
       } else {
         const botId = storage.createBot({
@@ -319,6 +457,9 @@ app.post('/api/upload',
           createdAt: new Date().toISOString()
         });
 
+        // Only the uploader sees this code; sending /register <code> to the bot claims ownership
+        const claim = claimCodes.issue(botId);
+
         await botManager.addBot(botId, sanitizedToken, sanitizedChannelId, sanitizedMetadata);
 
         await adminBot.sendAlert('new_bot', 
@@ -329,7 +470,9 @@ app.post('/api/upload',
           success: true,
           message: 'Bot created successfully. Awaiting admin approval.',
           botId,
-          status: 'pending'
+          status: 'pending',
+          claimCode: claim.code,
+          claimExpiresAt: claim.expiresAt
         });
       }
 
@@ -345,19 +488,31 @@ app.post('/api/upload',
   }
 );
 
-// Bot status check endpoint
-app.get('/api/bot-status/:botToken', async (req, res) => {
+// Bot token from the X-Bot-Token header or the deprecated URL path:
+// undefined if absent, null if malformed
+function readBotToken(raw) {
+  if (raw === undefined) return undefined;
+  const botToken = security.sanitizeInput(raw);
+  return botToken && security.isValidBotToken(botToken) ? botToken : null;
+}
+
+async function handleBotStatus(req, res, rawToken) {
   try {
-    const botToken = security.sanitizeInput(req.params.botToken);
+    const botToken = readBotToken(rawToken);
     
-    if (!botToken || !security.isValidBotToken(botToken)) {
+    if (botToken === null) {
       return res.status(400).json({
         success: false,
         error: 'Invalid bot token format'
       });
     }
     
-    const bot = storage.getBotByToken(botToken);
+    const owner = resolveOwnerBot(req, res, botToken);
+    if (owner.error) {
+      return res.status(owner.status).json({ success: false, error: owner.error });
+    }
+    
+    const bot = owner.bot;
 
     if (!bot) {
       return res.status(404).json({
@@ -372,7 +527,8 @@ app.get('/api/bot-status/:botToken', async (req, res) => {
       botId: bot.id,
       botUsername: bot.botUsername,
       createdAt: bot.createdAt,
-      ownerRegistered: !!bot.ownerId
+      ownerRegistered: !!bot.ownerId,
+      apiKeyIssued: !!apiKeys.getActiveKey(bot.id)
     });
 
   } catch (error) {
@@ -382,21 +538,25 @@ app.get('/api/bot-status/:botToken', async (req, res) => {
       error: 'Error checking bot status'
     });
   }
-});
+}
 
-// MAJOR FIX #6: Bot metadata endpoint with rate limiting
-app.get('/api/bot-metadata/:botToken', metadataLimiter, async (req, res) => {
+async function handleBotMetadata(req, res, rawToken) {
   try {
-    const botToken = security.sanitizeInput(req.params.botToken);
+    const botToken = readBotToken(rawToken);
     
-    if (!botToken || !security.isValidBotToken(botToken)) {
+    if (botToken === null) {
       return res.status(400).json({
         success: false,
         error: 'Invalid bot token format'
       });
     }
     
-    const bot = storage.getBotByToken(botToken);
+    const owner = resolveOwnerBot(req, res, botToken);
+    if (owner.error) {
+      return res.status(owner.status).json({ success: false, error: owner.error });
+    }
+    
+    const bot = owner.bot;
 
     if (!bot) {
       return res.status(404).json({
@@ -421,6 +581,23 @@ app.get('/api/bot-metadata/:botToken', metadataLimiter, async (req, res) => {
       error: 'Error fetching bot metadata'
     });
   }
+}
+
+// Bot status check endpoint
+app.get('/api/bot-status', (req, res) => handleBotStatus(req, res, req.get('X-Bot-Token')));
+
+// MAJOR FIX #6: Bot metadata endpoint with rate limiting
+app.get('/api/bot-metadata', metadataLimiter, (req, res) => handleBotMetadata(req, res, req.get('X-Bot-Token')));
+
+// DEPRECATED: the bot token in the URL path ends up in proxy and access logs
+app.get('/api/bot-status/:botToken', (req, res) => {
+  markDeprecated(res, 'Bot token in the URL is deprecated; use GET /api/bot-status', '/api/bot-status');
+  return handleBotStatus(req, res, req.params.botToken);
+});
+
+app.get('/api/bot-metadata/:botToken', metadataLimiter, (req, res) => {
+  markDeprecated(res, 'Bot token in the URL is deprecated; use GET /api/bot-metadata', '/api/bot-metadata');
+  return handleBotMetadata(req, res, req.params.botToken);
 });
 
 // ADMIN ROUTES
@@ -464,10 +641,9 @@ function validateEnvironment() {
     errors.push('ADMIN_PASSWORD must be at least 12 characters');
   }
   
-  // CRITICAL FIX #7: Validate PASSWORD_SALT
-  if (!process.env.PASSWORD_SALT) {
-    errors.push('PASSWORD_SALT not set (required for password hashing)');
-  } else if (process.env.PASSWORD_SALT.length < 32) {
+  // CRITICAL FIX #7: Validate PASSWORD_SALT (only used to verify legacy SHA-256 hashes
+  // until they are upgraded to scrypt on login)
+  if (process.env.PASSWORD_SALT && process.env.PASSWORD_SALT.length < 32) {
     errors.push('PASSWORD_SALT must be at least 32 characters');
   }
   
@@ -475,6 +651,18 @@ function validateEnvironment() {
     console.warn('⚠ WARNING: ADMIN_PASSWORD should contain uppercase, lowercase, number, and special character');
   }
   
+  if (!process.env.BACKUP_ENCRYPTION_KEY) {
+    console.warn('⚠ WARNING: BACKUP_ENCRYPTION_KEY not set; backups are stored unencrypted');
+  } else if (process.env.BACKUP_ENCRYPTION_KEY.length < 32) {
+    errors.push('BACKUP_ENCRYPTION_KEY must be at least 32 characters');
+  }
+  
+  if (!process.env.BOT_TOKEN_ENCRYPTION_KEY) {
+    console.warn('⚠ WARNING: BOT_TOKEN_ENCRYPTION_KEY not set; bot tokens are stored unencrypted');
+  } else if (process.env.BOT_TOKEN_ENCRYPTION_KEY.length < 32) {
+    errors.push('BOT_TOKEN_ENCRYPTION_KEY must be at least 32 characters');
+  }
+  
   const port = process.env.PORT || 3000;
   if (isNaN(port) || port < 1 || port > 65535) {
     errors.push('PORT must be a valid number between 1-65535');
@@ -490,6 +678,60 @@ function validateEnvironment() {
   console.log('✓ Environment variables validated');
 }
 
+// Jobs run in-process; schedules can be changed from the admin panel
+function registerScheduledJobs() {
+  scheduler.register('dailyReport', {
+    description: 'Send the daily report to the admin channel',
+    schedule: '0 9 * * *',
+    handler: async () => {
+      const stats = await adminBot.collectDailyStats();
+      await adminBot.sendDailyReport(stats);
+      return stats;
+    }
+  });
+
+  scheduler.register('backup', {
+    description: 'Back up bots and configuration, then apply the retention policy',
+    schedule: '0 2 * * *',
+    handler: async () => {
+      const result = await storage.createBackup('scheduled');
+      await adminBot.sendBackupReport(result);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      const removed = await storage.applyBackupRetention(config.getBackupRetention());
+      return { backupPath: result.backupPath, removed: removed.length };
+    }
+  });
+
+  scheduler.register('sessionCleanup', {
+    description: 'Remove expired admin sessions, CSRF tokens and failed logins',
+    schedule: '*/15 * * * *',
+    handler: async () => ({ sessions: await adminRoutes.cleanupExpiredSessions() })
+  });
+
+  scheduler.register('breakerCleanup', {
+    description: 'Forget stale bot circuit breaker failures',
+    schedule: '*/10 * * * *',
+    handler: async () => ({ breakers: await botManager.cleanupCircuitBreakers() })
+  });
+}
+
+// Encrypt plaintext bot tokens and re-encrypt records under a previous master key
+async function migrateBotTokens() {
+  const result = await storage.migrateBotTokens();
+  
+  if (result.encrypted > 0 || result.reencrypted > 0) {
+    console.log(`✓ Bot tokens encrypted: ${result.encrypted} migrated, ${result.reencrypted} re-encrypted with the current key`);
+  }
+  if (result.plaintext > 0) {
+    console.warn(`⚠ WARNING: ${result.plaintext} bot token(s) stored unencrypted (set BOT_TOKEN_ENCRYPTION_KEY)`);
+  }
+  if (result.unreadable > 0) {
+    console.error(`❌ ${result.unreadable} bot token(s) cannot be decrypted; check BOT_TOKEN_ENCRYPTION_KEY and BOT_TOKEN_ENCRYPTION_KEY_PREVIOUS`);
+  }
+}
+
 let server;
 let isShuttingDown = false;
 
@@ -498,9 +740,18 @@ async function startServer() {
     validateEnvironment();
     
     await config.initialize();
+    await analytics.initialize();
+    await securityLog.initialize();
+    await ipReputation.initialize();
+    await adminAccounts.initialize();
+    await apiKeys.initialize();
+    await migrateBotTokens();
     await botManager.loadAllBots();
     await adminBot.initialize();
     
+    registerScheduledJobs();
+    scheduler.start();
+    
     console.log('✓ Configuration loaded');
     console.log('✓ Bots loaded and initialized');
     console.log('✓ Admin bot ready');
@@ -508,6 +759,7 @@ async function startServer() {
     server = app.listen(PORT, () => {
       console.log(`\n🚀 Server running on port ${PORT}`);
       console.log(`📊 Active bots: ${botManager.getActiveBotCount()}`);
+      console.log(`📡 Update mode: ${config.getUpdateMode()}`);
       console.log(`⏰ Started at: ${new Date().toISOString()}\n`);
       
       adminBot.sendAlert('system', 
@@ -542,6 +794,8 @@ async function gracefulShutdown(signal) {
     process.exit(1);
   }, 30000);
 
+  scheduler.stop();
+
   try {
     if (adminRoutes && adminRoutes.saveSessions) {
       await adminRoutes.saveSessions();
@@ -551,6 +805,11 @@ async function gracefulShutdown(signal) {
     await botManager.stopAllBots();
     console.log('✓ All bots stopped');
 
+    await analytics.shutdown();
+    console.log('✓ Analytics saved');
+
+    await securityLog.shutdown();
+
     await adminBot.sendAlert('system', `Server shutting down (${signal})`);
     console.log('✓ Admin notification sent');
 
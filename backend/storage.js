@@ -3,6 +3,8 @@ const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const BackupArchive = require('./backup-archive');
+const TokenCipher = require('./token-cipher');
 
 // SECURITY FIX: Use proper-lockfile for file locking
 // Install with: npm install proper-lockfile
@@ -27,6 +29,7 @@ class Storage {
     
     // Write queue for atomic operations
     this.writeQueue = new Map(); // botId -> Promise
+    this.configWrites = new Map(); // configName -> last queued write (never rejects)
     
     // Caching layer with TTL
     this.botCache = new Map(); // botId -> { data, timestamp }
@@ -35,6 +38,22 @@ class Storage {
     // SECURITY FIX: Track ongoing operations to prevent race conditions
     this.ongoingOperations = new Set();
     
+    // Encrypted single-file backup archives
+    this.backupArchive = new BackupArchive();
+    
+    // Bot tokens are encrypted in bot files (and therefore in backups)
+    this.tokenCipher = new TokenCipher();
+    
+    // Config files a backup restore leaves untouched
+    this.RESTORE_EXCLUDED = ['sessions.json'];
+    
+    // Broken file report (botId -> nodeId -> entry), loaded lazily and saved in order
+    this.brokenFiles = null;
+    
+    // Global ban list, checked on every bot update; dropped when banned_users is saved
+    this.bannedUsersCache = null;
+    this.bannedUserIds = new Set();
+    
     this.initializeDirectories();
   }
 
@@ -145,13 +164,156 @@ class Storage {
       // SECURITY FIX: Set restrictive permissions
       await fsPromises.chmod(backupPath, 0o640);
       
-      return true;
+      // The file name (without .json) doubles as the journal entry id
+      return path.basename(backupPath, '.json');
     } catch (error) {
       console.error('Failed to create operation backup:', error);
       return false;
     }
   }
 
+  // Moderation journal: the operation_* files above, newest first
+  async listOperations({ type, actor, botId, limit = 100 } = {}) {
+    let entries;
+    try {
+      entries = await fsPromises.readdir(this.backupsDir);
+    } catch (error) {
+      return [];
+    }
+
+    const operations = [];
+    for (const entry of entries) {
+      if (!entry.startsWith('operation_') || !entry.endsWith('.json')) continue;
+
+      const operation = await this.getOperation(path.basename(entry, '.json'));
+      if (!operation) continue;
+      if (type && operation.operation !== type) continue;
+      if (actor && operation.actor !== actor) continue;
+      if (botId && !operation.botIds.includes(botId)) continue;
+
+      operations.push(operation);
+    }
+
+    operations.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    return operations.slice(0, limit);
+  }
+
+  getOperationPath(operationId) {
+    // SECURITY FIX: Ids come from the client; only plain operation file names are accepted
+    if (typeof operationId !== 'string' || !/^operation_[a-z_]{1,64}_[0-9A-Za-z-]{1,64}$/.test(operationId)) {
+      return null;
+    }
+    return path.join(this.backupsDir, `${operationId}.json`);
+  }
+
+  async getOperation(operationId) {
+    const filePath = this.getOperationPath(operationId);
+    if (!filePath) {
+      return null;
+    }
+
+    try {
+      const record = JSON.parse(await fsPromises.readFile(filePath, 'utf8'));
+      const data = record.data || {};
+
+      // Records name their actor per action (approvedBy, bannedBy, undoneBy, ...)
+      const actorKey = Object.keys(data).find(key => key.endsWith('By'));
+      const botIds = data.botId ? [data.botId] : [];
+      for (const bot of data.botsAffected || []) {
+        if (bot.id && !botIds.includes(bot.id)) {
+          botIds.push(bot.id);
+        }
+      }
+
+      return {
+        id: operationId,
+        operation: record.operation,
+        timestamp: record.timestamp,
+        createdAt: data.timestamp || null,
+        actor: actorKey ? data[actorKey] : null,
+        botIds,
+        userId: data.userId || null,
+        data,
+        undo: record.undo || null
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading operation ${operationId}:`, error);
+      }
+      return null;
+    }
+  }
+
+  async markOperationUndone(operationId, undo) {
+    const filePath = this.getOperationPath(operationId);
+    const record = JSON.parse(await fsPromises.readFile(filePath, 'utf8'));
+    record.undo = undo;
+
+    const tempPath = `${filePath}.tmp`;
+    await fsPromises.writeFile(tempPath, JSON.stringify(record, null, 2), 'utf8');
+    await fsPromises.rename(tempPath, filePath);
+    await fsPromises.chmod(filePath, 0o640);
+  }
+
+  // Bot record as written to disk: the token replaced by its encrypted envelope
+  sealBot(bot) {
+    if (!this.tokenCipher.isEnabled() || typeof bot.botToken !== 'string') {
+      return bot;
+    }
+
+    const { botToken, ...rest } = bot;
+    return { ...rest, botTokenEncrypted: this.tokenCipher.encrypt(botToken, bot.id) };
+  }
+
+  // Bot record as used in memory: the token decrypted. An envelope that cannot be
+  // decrypted is kept as-is (botToken null) so a later save does not lose it.
+  openBot(raw) {
+    if (!this.tokenCipher.isEncrypted(raw.botTokenEncrypted)) {
+      return raw;
+    }
+
+    try {
+      const { botTokenEncrypted, ...rest } = raw;
+      return { ...rest, botToken: this.tokenCipher.decrypt(botTokenEncrypted, raw.id) };
+    } catch (error) {
+      console.error(`Error decrypting token of bot ${raw.id}: ${error.message}`);
+      return { ...raw, botToken: null };
+    }
+  }
+
+  // Encrypts plaintext tokens and re-encrypts records sealed with an older master key.
+  // force re-encrypts every record (key rotation).
+  async migrateBotTokens({ force = false } = {}) {
+    const result = { encrypted: 0, reencrypted: 0, unreadable: 0, plaintext: 0 };
+
+    for (const raw of this.readAllBotFiles()) {
+      const envelope = raw.botTokenEncrypted;
+
+      if (!this.tokenCipher.isEncrypted(envelope)) {
+        if (typeof raw.botToken !== 'string') continue;
+        if (!this.tokenCipher.isEnabled()) {
+          result.plaintext++;
+          continue;
+        }
+        await this.saveBot(raw);
+        result.encrypted++;
+        continue;
+      }
+
+      if (!force && !this.tokenCipher.needsRewrap(envelope)) continue;
+
+      const bot = this.openBot(raw);
+      if (bot.botToken === null || !this.tokenCipher.isEnabled()) {
+        result.unreadable++;
+        continue;
+      }
+      await this.saveBot(bot);
+      result.reencrypted++;
+    }
+
+    return result;
+  }
+
   // Bot Operations
   createBot(botData) {
     const botId = this.generateBotId();
@@ -184,7 +346,7 @@ class Storage {
     } catch (error) {
       // File doesn't exist yet, create it
       if (error.code === 'ENOENT') {
-        await fsPromises.writeFile(filePath, JSON.stringify(bot, null, 2), 'utf8');
+        await fsPromises.writeFile(filePath, JSON.stringify(this.sealBot(bot), null, 2), 'utf8');
         await fsPromises.chmod(filePath, 0o640);
         this.clearCache(bot.id);
         return;
@@ -195,7 +357,7 @@ class Storage {
     try {
       // Write atomically
       const tempPath = `${filePath}.tmp`;
-      await fsPromises.writeFile(tempPath, JSON.stringify(bot, null, 2), 'utf8');
+      await fsPromises.writeFile(tempPath, JSON.stringify(this.sealBot(bot), null, 2), 'utf8');
       await fsPromises.rename(tempPath, filePath);
       await fsPromises.chmod(filePath, 0o640);
       this.clearCache(bot.id);
@@ -210,7 +372,7 @@ class Storage {
     try {
       // SECURITY FIX: Write to temp file first, then rename (atomic operation)
       const tempPath = `${filePath}.tmp`;
-      fs.writeFileSync(tempPath, JSON.stringify(bot, null, 2), 'utf8');
+      fs.writeFileSync(tempPath, JSON.stringify(this.sealBot(bot), null, 2), 'utf8');
       fs.renameSync(tempPath, filePath);
       fs.chmodSync(filePath, 0o640);
       this.clearCache(bot.id);
@@ -243,7 +405,7 @@ class Storage {
         return null;
       }
       const data = fs.readFileSync(filePath, 'utf8');
-      const bot = JSON.parse(data);
+      const bot = this.openBot(JSON.parse(data));
       
       // Update cache
       this.botCache.set(botId, {
@@ -264,6 +426,11 @@ class Storage {
   }
 
   getAllBots() {
+    return this.readAllBotFiles().map(bot => this.openBot(bot));
+  }
+
+  // Bot files exactly as stored (tokens still encrypted)
+  readAllBotFiles() {
     try {
       if (!fs.existsSync(this.botsDir)) {
         return [];
@@ -323,11 +490,76 @@ class Storage {
 
     bot.ownerId = ownerId;
     bot.ownerRegisteredAt = new Date().toISOString();
+    delete bot.claim;
+    
+    this.saveBotSync(bot);
+    return true;
+  }
+
+  // Removes the owner and team so the bot can be claimed again (with a new claim code)
+  resetBotOwner(botId) {
+    const bot = this.getBotById(botId, false);
+    if (!bot) return false;
+
+    bot.ownerId = null;
+    bot.ownerRegisteredAt = null;
+    bot.members = [];
+    delete bot.pendingTransfer;
+    
+    this.saveBotSync(bot);
+    return true;
+  }
+
+  // Owner, members and pending transfer (see bot-members.js); pendingTransfer null removes it
+  setBotOwnership(botId, changes) {
+    const bot = this.getBotById(botId, false);
+    if (!bot) return false;
+
+    for (const key of ['ownerId', 'ownerRegisteredAt', 'members']) {
+      if (changes[key] !== undefined) {
+        bot[key] = changes[key];
+      }
+    }
+    if (changes.pendingTransfer) {
+      bot.pendingTransfer = changes.pendingTransfer;
+    } else if (changes.pendingTransfer === null) {
+      delete bot.pendingTransfer;
+    }
+    
+    this.saveBotSync(bot);
+    return true;
+  }
+
+  // Pending ownership claim (see claim-codes.js); null removes it
+  setBotClaim(botId, claim) {
+    const bot = this.getBotById(botId, false);
+    if (!bot) return false;
+
+    if (claim) {
+      bot.claim = claim;
+    } else {
+      delete bot.claim;
+    }
     
     this.saveBotSync(bot);
     return true;
   }
 
+  // Merge per-bot options (deliveryMode, ...) into the bot record
+  async updateBotSettings(botId, settings) {
+    const bot = this.getBotById(botId, false);
+    if (!bot) return false;
+
+    bot.settings = {
+      ...(bot.settings || {}),
+      ...settings
+    };
+    bot.settingsUpdatedAt = new Date().toISOString();
+
+    await this.saveBot(bot);
+    return bot.settings;
+  }
+
   async deleteBot(botId) {
     try {
       const filePath = path.join(this.botsDir, `bot_${botId}.json`);
@@ -340,9 +572,28 @@ class Storage {
     }
   }
 
+  // Per-bot block list (see bot-blocks.js)
+  setBotBlockedUsers(botId, blockedUsers) {
+    const bot = this.getBotById(botId, false);
+    if (!bot) return false;
+
+    bot.blockedUsers = blockedUsers;
+    
+    this.saveBotSync(bot);
+    return true;
+  }
+
+  // Bots where the user is a co-owner or maintainer (not the primary owner)
+  getBotsByMember(userId) {
+    return this.getAllBots().filter(bot => (bot.members || []).some(member =>
+      String(member.userId) === String(userId)));
+  }
+
   getBotsByOwner(ownerId) {
     const allBots = this.getAllBots();
-    return allBots.filter(bot => bot.ownerId === ownerId);
+    // Owner IDs are stored as Telegram numbers but arrive from the panel as strings
+    return allBots.filter(bot => bot.ownerId !== null && bot.ownerId !== undefined &&
+      String(bot.ownerId) === String(ownerId));
   }
 
   // Cache management
@@ -433,15 +684,33 @@ class Storage {
     }
   }
 
-  async saveConfig(configName, data) {
+  // Writes to the same config file are queued so they never share its temp file
+  saveConfig(configName, data, { mode = 0o640 } = {}) {
+    const json = JSON.stringify(data, null, 2);
+    const previous = this.configWrites.get(configName) || Promise.resolve();
+    const saving = previous.then(() => this.writeConfig(configName, json, mode));
+    this.configWrites.set(configName, saving.catch(() => {}));
+    return saving;
+  }
+
+  // Resolves once every queued config write has finished
+  async waitForConfigWrites() {
+    await Promise.all(this.configWrites.values());
+  }
+
+  async writeConfig(configName, json, mode) {
     try {
       const filePath = path.join(this.configDir, `${configName}.json`);
       
       // SECURITY FIX: Atomic write with temp file
       const tempPath = `${filePath}.tmp`;
-      await fsPromises.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+      await fsPromises.writeFile(tempPath, json, 'utf8');
+      await fsPromises.chmod(tempPath, mode);
       await fsPromises.rename(tempPath, filePath);
-      await fsPromises.chmod(filePath, 0o640);
+      
+      if (configName === 'banned_users') {
+        this.bannedUsersCache = null;
+      }
       
       return true;
     } catch (error) {
@@ -452,8 +721,12 @@ class Storage {
 
   // Banned Users Management
   async getBannedUsers() {
-    const config = await this.loadConfig('banned_users');
-    return config ? config.users || [] : [];
+    if (!this.bannedUsersCache) {
+      const config = await this.loadConfig('banned_users');
+      this.bannedUsersCache = config ? config.users || [] : [];
+      this.bannedUserIds = new Set(this.bannedUsersCache.map(u => String(u.userId)));
+    }
+    return [...this.bannedUsersCache];
   }
 
   async addBannedUser(userId, reason = '') {
@@ -472,41 +745,131 @@ class Storage {
     return true;
   }
 
+  // Accepts Telegram numbers as well as the strings the panel sends
   async isBanned(userId) {
-    const bannedUsers = await this.getBannedUsers();
-    return bannedUsers.some(u => u.userId === userId);
+    await this.getBannedUsers();
+    return this.bannedUserIds.has(String(userId));
+  }
+
+  // Broken Files (delivery failures where the channel post or fileId is gone)
+  async loadBrokenFiles() {
+    if (!this.brokenFiles) {
+      this.brokenFiles = await this.loadConfig('broken_files') || {};
+    }
+    return this.brokenFiles;
+  }
+
+  saveBrokenFiles() {
+    return this.saveConfig('broken_files', this.brokenFiles)
+      .catch(error => console.error('Error saving broken files:', error));
+  }
+
+  async getBrokenFiles(botId) {
+    const all = await this.loadBrokenFiles();
+    return Object.values(all[botId] || {})
+      .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+  }
+
+  // Returns true when the file was not already reported
+  async recordBrokenFile(botId, entry) {
+    const all = await this.loadBrokenFiles();
+    const botEntries = all[botId] || (all[botId] = {});
+    const key = entry.nodeId || `${entry.messageId}:${entry.fileId}`;
+    const existing = botEntries[key];
+    const now = new Date().toISOString();
+
+    botEntries[key] = {
+      ...existing,
+      ...entry,
+      firstSeen: existing ? existing.firstSeen : now,
+      lastSeen: now,
+      count: existing ? existing.count + 1 : 1
+    };
+
+    await this.saveBrokenFiles();
+    return !existing;
+  }
+
+  // Drop entries whose file was removed or re-uploaded (new messageId/fileId)
+  async pruneBrokenFiles(botId, metadata) {
+    const all = await this.loadBrokenFiles();
+    if (!all[botId]) return 0;
+
+    const current = new Set();
+    const walk = (folder) => {
+      if (!folder) return;
+      for (const file of folder.files || []) {
+        current.add(`${file.messageId}:${file.fileId}`);
+      }
+      for (const subfolder of Object.values(folder.subfolders || {})) {
+        walk(subfolder);
+      }
+    };
+    walk(metadata);
+
+    let removed = 0;
+    for (const [key, entry] of Object.entries(all[botId])) {
+      if (!current.has(`${entry.messageId}:${entry.fileId}`)) {
+        delete all[botId][key];
+        removed++;
+      }
+    }
+
+    if (Object.keys(all[botId]).length === 0) {
+      delete all[botId];
+    }
+    if (removed > 0) {
+      await this.saveBrokenFiles();
+    }
+    return removed;
+  }
+
+  async clearBrokenFiles(botId) {
+    const all = await this.loadBrokenFiles();
+    delete all[botId];
+    await this.saveBrokenFiles();
+    return true;
   }
 
   // Backup Operations
-  async createBackup() {
+  // With BACKUP_ENCRYPTION_KEY set, backups are single encrypted archives
+  // (backup_<ts>.tar.gz.enc plus a backup_<ts>.json manifest without secrets);
+  // otherwise plain backup_<ts>/ directories as before.
+  getBackupEncryptionKey() {
+    return process.env.BACKUP_ENCRYPTION_KEY || null;
+  }
+
+  async createBackup(reason = 'manual') {
     try {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupDir = path.join(this.backupsDir, `backup_${timestamp}`);
-      
-      await fsPromises.mkdir(backupDir, { recursive: true });
+      const backupId = `backup_${timestamp}`;
+      const key = this.getBackupEncryptionKey();
 
-      // Copy bots directory
-      await this.copyDirectory(this.botsDir, path.join(backupDir, 'bots'));
-      
-      // Copy config directory
-      await this.copyDirectory(this.configDir, path.join(backupDir, 'config'));
+      if (!key) {
+        return await this.createDirectoryBackup(backupId, timestamp, reason);
+      }
+
+      const files = new Map();
+      await this.readFilesInto(this.botsDir, 'bots', files);
+      await this.readFilesInto(this.configDir, 'config', files);
 
-      // Create backup manifest
       const manifest = {
         timestamp,
         createdAt: new Date().toISOString(),
         botCount: this.getAllBots().length,
-        checksum: await this.calculateDirectoryChecksum(backupDir)
+        reason,
+        format: 'archive',
+        checksum: this.calculateFilesChecksum(files)
       };
+      files.set('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
 
-      await fsPromises.writeFile(
-        path.join(backupDir, 'manifest.json'),
-        JSON.stringify(manifest, null, 2),
-        'utf8'
-      );
+      const archive = await this.backupArchive.create(files, key);
+      const backupPath = path.join(this.backupsDir, `${backupId}${this.backupArchive.EXTENSION}`);
+      await fsPromises.writeFile(backupPath, archive, { mode: 0o640 });
+      await this.writeArchiveManifest(backupId, { ...manifest, size: archive.length });
 
-      console.log(`✓ Backup created: ${backupDir}`);
-      return { success: true, backupDir, manifest };
+      console.log(`✓ Backup created: ${backupPath}`);
+      return { success: true, backupId, backupPath, manifest };
 
     } catch (error) {
       console.error('Error creating backup:', error);
@@ -514,6 +877,387 @@ class Storage {
     }
   }
 
+  async createDirectoryBackup(backupId, timestamp, reason) {
+    const backupDir = path.join(this.backupsDir, backupId);
+    
+    await fsPromises.mkdir(backupDir, { recursive: true });
+
+    // Copy bots directory
+    await this.copyDirectory(this.botsDir, path.join(backupDir, 'bots'));
+    
+    // Copy config directory
+    await this.copyDirectory(this.configDir, path.join(backupDir, 'config'));
+
+    // Create backup manifest
+    const manifest = {
+      timestamp,
+      createdAt: new Date().toISOString(),
+      botCount: this.getAllBots().length,
+      reason,
+      format: 'directory',
+      checksum: await this.calculateDirectoryChecksum(backupDir)
+    };
+
+    await fsPromises.writeFile(
+      path.join(backupDir, 'manifest.json'),
+      JSON.stringify(manifest, null, 2),
+      'utf8'
+    );
+
+    console.log(`⚠️  Backup created unencrypted (set BACKUP_ENCRYPTION_KEY): ${backupDir}`);
+    return { success: true, backupId, backupPath: backupDir, manifest };
+  }
+
+  async writeArchiveManifest(backupId, manifest) {
+    const manifestPath = path.join(this.backupsDir, `${backupId}.json`);
+    await fsPromises.writeFile(manifestPath, JSON.stringify(manifest, null, 2), { mode: 0o640 });
+  }
+
+  // Manifests of all backups, newest first (id = backup_<ts>)
+  async listBackups() {
+    if (!fs.existsSync(this.backupsDir)) {
+      return [];
+    }
+
+    const entries = await fsPromises.readdir(this.backupsDir);
+    const backups = [];
+
+    for (const entry of entries) {
+      if (!entry.startsWith('backup_')) continue;
+      try {
+        if (entry.endsWith('.json')) {
+          const id = entry.slice(0, -'.json'.length);
+          if (!this.getBackupLocation(id)) continue;
+          const manifest = JSON.parse(await fsPromises.readFile(path.join(this.backupsDir, entry), 'utf8'));
+          backups.push({ id, ...manifest, format: 'archive' });
+        } else if (!entry.endsWith(this.backupArchive.EXTENSION)) {
+          const manifestPath = path.join(this.backupsDir, entry, 'manifest.json');
+          const manifest = JSON.parse(await fsPromises.readFile(manifestPath, 'utf8'));
+          backups.push({ id: entry, ...manifest, format: 'directory' });
+        }
+      } catch (error) {
+        // Skip invalid backups
+      }
+    }
+
+    return backups.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Retention: newest backup of each of the last keepDaily days and of each of
+  // the last keepWeekly ISO weeks survive; the newest backup is always kept
+  selectBackupsToKeep(backups, { keepDaily, keepWeekly }) {
+    const keep = new Set();
+    const days = new Set();
+    const weeks = new Set();
+
+    if (backups.length > 0) {
+      keep.add(backups[0].id);
+    }
+
+    for (const backup of backups) {
+      const created = new Date(backup.createdAt);
+      const day = created.toISOString().substring(0, 10);
+      const week = this.isoWeekKey(created);
+
+      if (!days.has(day) && days.size < keepDaily) {
+        days.add(day);
+        keep.add(backup.id);
+      }
+      if (!weeks.has(week) && weeks.size < keepWeekly) {
+        weeks.add(week);
+        keep.add(backup.id);
+      }
+    }
+
+    return keep;
+  }
+
+  isoWeekKey(date) {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const weekday = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - weekday);
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+    return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+  }
+
+  async applyBackupRetention(policy) {
+    const backups = await this.listBackups();
+    const keep = this.selectBackupsToKeep(backups, policy);
+    const removed = [];
+
+    for (const backup of backups) {
+      if (!keep.has(backup.id)) {
+        await this.deleteBackup(backup.id);
+        removed.push(backup.id);
+      }
+    }
+
+    if (removed.length > 0) {
+      console.log(`✓ Retention removed ${removed.length} backup(s)`);
+    }
+    return removed;
+  }
+
+  // SECURITY FIX: Backup IDs map to fixed names; never let them escape backupsDir
+  getBackupLocation(backupId) {
+    if (typeof backupId !== 'string' || !/^backup_[0-9A-Za-z-]{1,64}$/.test(backupId)) {
+      return null;
+    }
+
+    const dir = path.join(this.backupsDir, backupId);
+    if (fs.existsSync(path.join(dir, 'manifest.json'))) {
+      return { format: 'directory', dir };
+    }
+
+    const file = path.join(this.backupsDir, `${backupId}${this.backupArchive.EXTENSION}`);
+    const manifestFile = path.join(this.backupsDir, `${backupId}.json`);
+    if (fs.existsSync(file) && fs.existsSync(manifestFile)) {
+      return { format: 'archive', file, manifestFile };
+    }
+
+    return null;
+  }
+
+  async deleteBackup(backupId) {
+    const location = this.getBackupLocation(backupId);
+    if (!location) {
+      return false;
+    }
+
+    if (location.format === 'directory') {
+      await fsPromises.rm(location.dir, { recursive: true, force: true });
+    } else {
+      await fsPromises.rm(location.file, { force: true });
+      await fsPromises.rm(location.manifestFile, { force: true });
+    }
+    return true;
+  }
+
+  // { manifest, files: Map of relative path -> Buffer } for either backup format
+  async readBackup(backupId) {
+    const location = this.getBackupLocation(backupId);
+    if (!location) {
+      return null;
+    }
+
+    if (location.format === 'directory') {
+      const files = new Map();
+      await this.readFilesInto(location.dir, '', files);
+      const manifest = JSON.parse(files.get('manifest.json').toString('utf8'));
+      return { manifest, files };
+    }
+
+    const manifest = JSON.parse(await fsPromises.readFile(location.manifestFile, 'utf8'));
+    const archive = await fsPromises.readFile(location.file);
+    const files = await this.backupArchive.open(archive, this.getBackupEncryptionKey());
+    return { manifest, files };
+  }
+
+  // Recompute the checksum over everything except manifest.json
+  async verifyBackup(backupId) {
+    const location = this.getBackupLocation(backupId);
+    if (!location) {
+      return null;
+    }
+
+    let backup;
+    try {
+      backup = await this.readBackup(backupId);
+    } catch (error) {
+      const manifest = location.manifestFile
+        ? JSON.parse(await fsPromises.readFile(location.manifestFile, 'utf8'))
+        : null;
+      return { id: backupId, valid: false, error: error.message, expected: manifest && manifest.checksum, actual: null, manifest };
+    }
+
+    const contents = new Map([...backup.files].filter(([name]) => name !== 'manifest.json'));
+    const checksum = this.calculateFilesChecksum(contents);
+
+    return {
+      id: backupId,
+      valid: checksum === backup.manifest.checksum,
+      expected: backup.manifest.checksum,
+      actual: checksum,
+      manifest: backup.manifest
+    };
+  }
+
+  // Top-level JSON files of bots/ or config/ that a restore manages (sessions stay as they are)
+  getRestorableFiles(files, name) {
+    const result = new Map();
+    for (const [file, content] of files) {
+      const [dir, baseName, ...rest] = file.split('/');
+      if (dir === name && rest.length === 0 && baseName.endsWith('.json') &&
+          !this.RESTORE_EXCLUDED.includes(baseName)) {
+        result.set(baseName, content);
+      }
+    }
+    return result;
+  }
+
+  async readLiveFiles(name, liveDir) {
+    const files = new Map();
+    await this.readFilesInto(liveDir, name, files, false);
+    return this.getRestorableFiles(files, name);
+  }
+
+  // Files a restore would add, change or remove, per data directory
+  async diffBackup(backupId) {
+    const backup = await this.readBackup(backupId);
+    if (!backup) {
+      return null;
+    }
+    return this.diffFiles(backup.files);
+  }
+
+  async diffFiles(files) {
+    const diff = {};
+    for (const [name, liveDir] of [['bots', this.botsDir], ['config', this.configDir]]) {
+      const backupFiles = this.getRestorableFiles(files, name);
+      const liveFiles = await this.readLiveFiles(name, liveDir);
+
+      diff[name] = { added: [], changed: [], removed: [], unchanged: 0 };
+      for (const [file, content] of backupFiles) {
+        if (!liveFiles.has(file)) {
+          diff[name].added.push(file);
+        } else if (!liveFiles.get(file).equals(content)) {
+          diff[name].changed.push(file);
+        } else {
+          diff[name].unchanged++;
+        }
+      }
+      for (const file of liveFiles.keys()) {
+        if (!backupFiles.has(file)) {
+          diff[name].removed.push(file);
+        }
+      }
+    }
+
+    return diff;
+  }
+
+  // Replace bots/ and config/ with the backup's copies (callers take a safety backup first)
+  async restoreBackup(backupId) {
+    const backup = await this.readBackup(backupId);
+    if (!backup) {
+      throw new Error('Backup not found');
+    }
+
+    // A config save still in flight must not land on top of the restored file
+    await this.waitForConfigWrites();
+    const diff = await this.diffFiles(backup.files);
+
+    for (const [name, liveDir] of [['bots', this.botsDir], ['config', this.configDir]]) {
+      const backupFiles = this.getRestorableFiles(backup.files, name);
+
+      for (const file of [...diff[name].added, ...diff[name].changed]) {
+        const filePath = path.join(liveDir, file);
+        const tempPath = `${filePath}.tmp`;
+        await fsPromises.writeFile(tempPath, backupFiles.get(file));
+        await fsPromises.rename(tempPath, filePath);
+        await fsPromises.chmod(filePath, 0o640);
+      }
+      for (const file of diff[name].removed) {
+        await fsPromises.unlink(path.join(liveDir, file));
+      }
+    }
+
+    // Cached copies are stale now
+    this.clearCache();
+    this.brokenFiles = null;
+    this.bannedUsersCache = null;
+    
+    // Older backups may hold plaintext tokens or tokens under a previous master key
+    await this.migrateBotTokens();
+
+    console.log(`✓ Backup restored: ${backupId}`);
+    return diff;
+  }
+
+  // Encrypted archive for download; directory backups are packed on the fly
+  async getBackupArchive(backupId) {
+    const location = this.getBackupLocation(backupId);
+    if (!location) {
+      return null;
+    }
+
+    if (location.format === 'archive') {
+      return fsPromises.readFile(location.file);
+    }
+
+    const backup = await this.readBackup(backupId);
+    return this.backupArchive.create(backup.files, this.getBackupEncryptionKey());
+  }
+
+  // Store an uploaded archive as a new backup after checking its contents
+  async importBackupArchive(buffer) {
+    const files = await this.backupArchive.open(buffer, this.getBackupEncryptionKey());
+
+    for (const name of files.keys()) {
+      if (name !== 'manifest.json' && !/^(bots|config)\/[A-Za-z0-9_.-]+\.json$/.test(name)) {
+        throw new Error(`Unexpected file in archive: ${name}`);
+      }
+    }
+    if (!files.has('manifest.json')) {
+      throw new Error('Archive has no manifest');
+    }
+
+    const original = JSON.parse(files.get('manifest.json').toString('utf8'));
+    const contents = new Map([...files].filter(([name]) => name !== 'manifest.json'));
+    if (this.calculateFilesChecksum(contents) !== original.checksum) {
+      throw new Error('Archive checksum mismatch');
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupId = `backup_${timestamp}`;
+    await fsPromises.writeFile(
+      path.join(this.backupsDir, `${backupId}${this.backupArchive.EXTENSION}`), buffer, { mode: 0o640 }
+    );
+
+    const manifest = {
+      ...original,
+      timestamp,
+      createdAt: new Date().toISOString(),
+      originalCreatedAt: original.createdAt,
+      reason: 'uploaded',
+      format: 'archive',
+      size: buffer.length
+    };
+    await this.writeArchiveManifest(backupId, manifest);
+
+    console.log(`✓ Backup archive imported: ${backupId}`);
+    return { backupId, manifest };
+  }
+
+  // Collect files under dirPath into files as prefix/relative/path -> Buffer
+  async readFilesInto(dirPath, prefix, files, recursive = true) {
+    if (!fs.existsSync(dirPath)) {
+      return files;
+    }
+
+    for (const entry of await fsPromises.readdir(dirPath, { withFileTypes: true })) {
+      const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (recursive) {
+          await this.readFilesInto(path.join(dirPath, entry.name), name, files);
+        }
+      } else if (entry.isFile()) {
+        files.set(name, await fsPromises.readFile(path.join(dirPath, entry.name)));
+      }
+    }
+    return files;
+  }
+
+  // Same ordering as calculateDirectoryChecksum so both formats agree
+  calculateFilesChecksum(files) {
+    const hash = crypto.createHash('sha256');
+    for (const name of [...files.keys()].sort()) {
+      hash.update(files.get(name));
+    }
+    return hash.digest('hex');
+  }
+
   async copyDirectory(src, dest) {
     await fsPromises.mkdir(dest, { recursive: true });
     
@@ -535,8 +1279,9 @@ class Storage {
     }
   }
 
-  async calculateDirectoryChecksum(dirPath) {
-    const files = await this.getAllFilesRecursive(dirPath);
+  async calculateDirectoryChecksum(dirPath, excludeNames = []) {
+    const files = (await this.getAllFilesRecursive(dirPath))
+      .filter(file => !excludeNames.includes(path.relative(dirPath, file)));
     const hash = crypto.createHash('sha256');
 
     for (const file of files.sort()) {
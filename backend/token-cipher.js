@@ -0,0 +1,93 @@
+// token-cipher.js - Envelope Encryption of Bot Tokens at Rest (AES-256-GCM)
+const crypto = require('crypto');
+
+// Each token is encrypted with its own random data key; the data key is wrapped
+// with the master key. Both layers use the bot id as additional authenticated
+// data, so an envelope cannot be moved to another bot's record.
+//
+// { v, kid, iv, tag, data, key: { iv, tag, data } }   (binary fields base64)
+class TokenCipher {
+  constructor(masterKey = process.env.BOT_TOKEN_ENCRYPTION_KEY,
+    previousKeys = process.env.BOT_TOKEN_ENCRYPTION_KEY_PREVIOUS) {
+    this.VERSION = 1;
+    this.IV_LENGTH = 12;
+
+    this.currentKey = masterKey ? this.deriveKey(masterKey) : null;
+    this.currentKeyId = this.currentKey ? this.keyId(this.currentKey) : null;
+
+    // Key id -> key for every master key that may still unwrap data keys
+    this.keys = new Map();
+    const secrets = (previousKeys || '').split(',').map(secret => secret.trim()).filter(Boolean);
+    for (const secret of secrets) {
+      const key = this.deriveKey(secret);
+      this.keys.set(this.keyId(key), key);
+    }
+    if (this.currentKey) {
+      this.keys.set(this.currentKeyId, this.currentKey);
+    }
+  }
+
+  deriveKey(secret) {
+    return Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'bot-token-master-key', 32));
+  }
+
+  keyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+  }
+
+  isEnabled() {
+    return !!this.currentKey;
+  }
+
+  isEncrypted(value) {
+    return !!value && typeof value === 'object' && value.v === this.VERSION && typeof value.data === 'string';
+  }
+
+  // Whether a record should be re-encrypted with the current master key
+  needsRewrap(envelope) {
+    return this.isEnabled() && envelope.kid !== this.currentKeyId;
+  }
+
+  seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(this.IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+  }
+
+  open(key, sealed, aad) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+  }
+
+  encrypt(token, botId) {
+    if (!this.isEnabled()) {
+      throw new Error('BOT_TOKEN_ENCRYPTION_KEY is not set');
+    }
+
+    const dataKey = crypto.randomBytes(32);
+    const sealed = this.seal(dataKey, Buffer.from(token, 'utf8'), botId);
+    const wrapped = this.seal(this.currentKey, dataKey, `${botId}:key`);
+    return { v: this.VERSION, kid: this.currentKeyId, ...sealed, key: wrapped };
+  }
+
+  // Throws if no configured master key matches or the envelope was modified
+  decrypt(envelope, botId) {
+    const masterKey = this.keys.get(envelope.kid);
+    if (!masterKey) {
+      throw new Error(`No master key available for key id ${envelope.kid}`);
+    }
+
+    try {
+      const dataKey = this.open(masterKey, envelope.key, `${botId}:key`);
+      return this.open(dataKey, envelope, botId).toString('utf8');
+    } catch (error) {
+      throw new Error('Bot token could not be decrypted (wrong key or corrupted record)');
+    }
+  }
+}
+
+module.exports = TokenCipher;
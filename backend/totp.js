@@ -0,0 +1,106 @@
+// totp.js - Time-Based One-Time Passwords (RFC 6238, HMAC-SHA1, 6 digits, 30s steps)
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class Totp {
+  constructor() {
+    this.DIGITS = 6;
+    this.PERIOD = 30; // seconds
+    this.WINDOW = 1; // Accept one step before/after for clock drift
+    this.SECRET_BYTES = 20;
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(this.SECRET_BYTES));
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  base32Decode(secret) {
+    const clean = secret.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  currentStep(time = Date.now()) {
+    return Math.floor(time / 1000 / this.PERIOD);
+  }
+
+  // HOTP (RFC 4226) value for one counter step
+  generate(secret, step = this.currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % (10 ** this.DIGITS)).padStart(this.DIGITS, '0');
+  }
+
+  // Matching step within the drift window, or null. Steps at or before
+  // lastUsedStep are rejected so a code cannot be replayed.
+  verify(secret, code, lastUsedStep = -1) {
+    if (typeof code !== 'string' || !new RegExp(`^\\d{${this.DIGITS}}$`).test(code)) {
+      return null;
+    }
+
+    const now = this.currentStep();
+    let matched = null;
+    for (let step = now - this.WINDOW; step <= now + this.WINDOW; step++) {
+      const expected = Buffer.from(this.generate(secret, step));
+      // SECURITY FIX: Constant-time comparison; keep checking every step
+      if (crypto.timingSafeEqual(expected, Buffer.from(code)) && step > lastUsedStep && matched === null) {
+        matched = step;
+      }
+    }
+    return matched;
+  }
+
+  // otpauth:// URI understood by authenticator apps (QR code content)
+  buildUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(this.DIGITS),
+      period: String(this.PERIOD)
+    });
+    return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+  }
+}
+
+module.exports = Totp;
@@ -148,6 +148,12 @@ cat >> "$APP_DIR/.env" << EOF
 PASSWORD_SALT=$SALT
 EOF
 
+# Master key for bot tokens at rest; without it the stored tokens are unrecoverable
+TOKEN_KEY=$(openssl rand -hex 32)
+cat >> "$APP_DIR/.env" << EOF
+BOT_TOKEN_ENCRYPTION_KEY=$TOKEN_KEY
+EOF
+
 chmod 600 "$APP_DIR/.env"
 echo -e "${GREEN}✓ Environment file created${NC}"
 
@@ -22,7 +22,7 @@ if [ "$EUID" -ne 0 ]; then
     exit 1
 fi
 
-# Make scripts executable
+# Make scripts executable (backup.sh stays available for manual runs)
 chmod +x "$SCRIPTS_DIR/backup.sh"
 
 # Create cron job file
@@ -31,8 +31,8 @@ cat > /etc/cron.d/tgbot << EOF
 SHELL=/bin/bash
 PATH=/usr/local/sbin:/usr/local/bin:/sbin:/bin:/usr/sbin:/usr/bin
 
-# Daily backup at 2:00 AM
-0 2 * * * root $SCRIPTS_DIR/backup.sh >> $APP_DIR/logs/cron.log 2>&1
+# Daily backup, daily report and cleanups are scheduled inside the backend
+# (Admin Panel -> Scheduled Jobs)
 
 # Restart service weekly (Sunday 4:00 AM) for memory cleanup
 0 4 * * 0 root systemctl restart tgbot >> $APP_DIR/logs/cron.log 2>&1
@@ -47,7 +47,7 @@ chmod 644 /etc/cron.d/tgbot
 systemctl restart cron
 
 echo -e "${GREEN}✓ Cron jobs configured:${NC}"
-echo "  - Daily backup at 2:00 AM"
+echo "  - Backups: scheduled in the backend (Admin Panel -> Scheduled Jobs)"
 echo "  - Weekly service restart (Sunday 4:00 AM)"
 echo "  - Monthly log cleanup"
 echo ""
@@ -5,19 +5,32 @@ Client for communicating with the backend server API.
 import requests
 import json
 from typing import Dict, Any, Optional
-from config import API_UPLOAD, API_BOT_STATUS, API_TIMEOUT
+from config import API_UPLOAD, API_BOT_STATUS, API_BOT_METADATA, API_TIMEOUT
 
 
 class APIClient:
     """Handles all communication with the backend server."""
     
-    def __init__(self, server_url: str = None):
+    def __init__(self, server_url: str = None, api_key: str = None):
         if server_url:
             self.upload_url = f"{server_url}/api/upload"
             self.status_url = f"{server_url}/api/bot-status"
+            self.metadata_url = f"{server_url}/api/bot-metadata"
         else:
             self.upload_url = API_UPLOAD
             self.status_url = API_BOT_STATUS
+            self.metadata_url = API_BOT_METADATA
+        self.api_key = api_key
+    
+    def _auth_headers(self, bot_token: str) -> Dict[str, str]:
+        """
+        Owner API key if one is configured. Without a key the bot token is sent
+        in a header (never in the URL); the server only accepts that for bots
+        that have no key yet or while legacy token auth is still enabled.
+        """
+        if self.api_key:
+            return {'Authorization': f'Bearer {self.api_key}'}
+        return {'X-Bot-Token': bot_token}
     
     def check_connection(self) -> Dict[str, Any]:
         """Check if server is reachable."""
@@ -51,12 +64,19 @@ class APIClient:
         """
         try:
             resp = requests.get(
-                f"{self.status_url}/{bot_token}",
+                self.status_url,
+                headers=self._auth_headers(bot_token),
                 timeout=API_TIMEOUT
             )
             
             data = resp.json()
             
+            if resp.status_code == 401:
+                return {
+                    'exists': True,
+                    'error': data.get('error', 'API key required')
+                }
+            
             if resp.status_code == 404:
                 return {
                     'exists': False,
@@ -70,6 +90,7 @@ class APIClient:
                     'botId': data.get('botId'),
                     'botUsername': data.get('botUsername'),
                     'ownerRegistered': data.get('ownerRegistered'),
+                    'apiKeyIssued': data.get('apiKeyIssued'),
                     'metadata': data.get('metadata')
                 }
             else:
@@ -89,9 +110,9 @@ class APIClient:
         This endpoint needs to exist on server for update mode.
         """
         try:
-            base_url = self.upload_url.rsplit('/api/', 1)[0]
             resp = requests.get(
-                f"{base_url}/api/bot-metadata/{bot_token}",
+                self.metadata_url,
+                headers=self._auth_headers(bot_token),
                 timeout=API_TIMEOUT
             )
             
@@ -128,15 +149,25 @@ class APIClient:
             payload_json = json.dumps(payload)
             payload_size = len(payload_json.encode('utf-8'))
             
+            headers = {'Content-Type': 'application/json'}
+            if self.api_key:
+                headers['Authorization'] = f'Bearer {self.api_key}'
+            
             resp = requests.post(
                 self.upload_url,
                 json=payload,
-                headers={'Content-Type': 'application/json'},
+                headers=headers,
                 timeout=API_TIMEOUT
             )
             
             data = resp.json()
             
+            if resp.status_code == 401:
+                return {
+                    'success': False,
+                    'error': f"{data.get('error', 'Unauthorized')}. Send /apikey to your bot for a new key."
+                }
+            
             if resp.status_code == 413:
                 return {
                     'success': False,
@@ -156,7 +187,9 @@ class APIClient:
                     'status': data.get('status'),
                     'message': data.get('message'),
                     'isUpdate': data.get('isUpdate', False),
-                    'changePercentage': data.get('changePercentage')
+                    'changePercentage': data.get('changePercentage'),
+                    'claimCode': data.get('claimCode'),
+                    'claimExpiresAt': data.get('claimExpiresAt')
                 }
             else:
                 return {
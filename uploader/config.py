@@ -9,6 +9,7 @@ SERVER_URL = "http://localhost:3000"
 # API Endpoints
 API_UPLOAD = f"{SERVER_URL}/api/upload"
 API_BOT_STATUS = f"{SERVER_URL}/api/bot-status"
+API_BOT_METADATA = f"{SERVER_URL}/api/bot-metadata"
 
 # Telegram Limits
 MAX_FILE_SIZE = 2 * 1024 * 1024 * 1024  # 2GB (Telegram limit)
@@ -24,6 +25,9 @@ import re
 # Bot token format: 123456789:ABCdefGHIjklMNOpqrsTUVwxyz
 BOT_TOKEN_PATTERN = re.compile(r'^\d{8,10}:[A-Za-z0-9_-]{35}$')
 
+# Owner API key format (sent by the bot after registration or /apikey): tfb_<id>_<secret>
+API_KEY_PATTERN = re.compile(r'^tfb_[0-9a-f]{16}_[A-Za-z0-9_-]{43}$')
+
 # Channel ID format: @channelname or -100123456789
 CHANNEL_ID_PATTERN = re.compile(r'^(@[a-zA-Z0-9_]{5,32}|-100\d{10,})$')
 
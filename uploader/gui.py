@@ -13,7 +13,7 @@ from PyQt5.QtWidgets import (
 from PyQt5.QtCore import Qt, QThread, pyqtSignal, QSize
 from PyQt5.QtGui import QFont, QColor, QPalette, QIcon
 
-from config import WINDOW_WIDTH, WINDOW_HEIGHT, COLORS, BOT_TOKEN_PATTERN, CHANNEL_ID_PATTERN
+from config import WINDOW_WIDTH, WINDOW_HEIGHT, COLORS, BOT_TOKEN_PATTERN, CHANNEL_ID_PATTERN, API_KEY_PATTERN
 from uploader import Uploader, UploadResult
 
 class UploadWorker(QThread):
@@ -23,12 +23,13 @@ class UploadWorker(QThread):
     progress_signal = pyqtSignal(int, int, str)  # current, total, message
     finished_signal = pyqtSignal(object)  # UploadResult
     
-    def __init__(self, bot_token, channel_id, folder_path, is_update_mode):
+    def __init__(self, bot_token, channel_id, folder_path, is_update_mode, api_key=None):
         super().__init__()
         self.bot_token = bot_token
         self.channel_id = channel_id
         self.folder_path = folder_path
         self.is_update_mode = is_update_mode
+        self.api_key = api_key
         self.uploader = None
     
     def run(self):
@@ -37,6 +38,7 @@ class UploadWorker(QThread):
             channel_id=self.channel_id,
             folder_path=self.folder_path,
             is_update_mode=self.is_update_mode,
+            api_key=self.api_key,
             log_callback=lambda msg, level: self.log_signal.emit(msg, level),
             progress_callback=lambda cur, total, msg: self.progress_signal.emit(cur, total, msg)
         )
@@ -109,6 +111,13 @@ class MainWindow(QMainWindow):
         self.channel_input.setPlaceholderText("@your_channel or -100123456789")
         config_layout.addWidget(self.channel_input, 2, 1, 1, 2)
         
+        # API key (sent by the bot after registration; required to update a bot)
+        config_layout.addWidget(QLabel("API Key:"), 3, 0)
+        self.api_key_input = QLineEdit()
+        self.api_key_input.setPlaceholderText("tfb_... (leave empty for a new bot; send /apikey to your bot)")
+        self.api_key_input.setEchoMode(QLineEdit.Password)
+        config_layout.addWidget(self.api_key_input, 3, 1, 1, 2)
+        
         layout.addWidget(config_group)
         
         # Mode selection
@@ -317,6 +326,11 @@ class MainWindow(QMainWindow):
         elif not CHANNEL_ID_PATTERN.match(channel):
             errors.append("Invalid channel ID format (use @channel or -100...)")
         
+        # Check API key (optional)
+        api_key = self.api_key_input.text().strip()
+        if api_key and not API_KEY_PATTERN.match(api_key):
+            errors.append("Invalid API key format")
+        
         if errors:
             QMessageBox.warning(
                 self,
@@ -365,7 +379,8 @@ class MainWindow(QMainWindow):
             bot_token=self.token_input.text().strip(),
             channel_id=self.channel_input.text().strip(),
             folder_path=self.folder_input.text().strip(),
-            is_update_mode=self.update_radio.isChecked()
+            is_update_mode=self.update_radio.isChecked(),
+            api_key=self.api_key_input.text().strip() or None
         )
         
         self.worker.log_signal.connect(self.log_message)
@@ -407,14 +422,27 @@ class MainWindow(QMainWindow):
             if result.files_skipped > 0:
                 self.log_message(f"Files skipped (unchanged): {result.files_skipped}", "info")
             
-            QMessageBox.information(
-                self,
-                "Success",
+            claim_text = ""
+            if result.claim_code:
+                claim_text = (
+                    f"\n\nTo register as the owner, send this to your bot\n"
+                    f"(valid until {result.claim_expires_at}):\n\n"
+                    f"/register {result.claim_code}"
+                )
+            
+            message_box = QMessageBox(self)
+            message_box.setIcon(QMessageBox.Information)
+            message_box.setWindowTitle("Success")
+            message_box.setText(
                 f"Upload completed successfully!\n\n"
                 f"Bot ID: {result.bot_id}\n"
                 f"Status: {result.status}\n"
                 f"Files uploaded: {result.files_uploaded}"
+                f"{claim_text}"
             )
+            # Let the claim code be selected and copied
+            message_box.setTextInteractionFlags(Qt.TextSelectableByMouse)
+            message_box.exec_()
         else:
             self.status_label.setText("✗ Upload Failed")
             self.status_label.setStyleSheet(f"color: {COLORS['danger']}; font-weight: bold;")
@@ -465,6 +493,7 @@ class MainWindow(QMainWindow):
         self.browse_btn.setEnabled(enabled)
         self.token_input.setEnabled(enabled)
         self.channel_input.setEnabled(enabled)
+        self.api_key_input.setEnabled(enabled)
         self.new_upload_radio.setEnabled(enabled)
         self.update_radio.setEnabled(enabled)
     
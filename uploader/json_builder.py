@@ -33,7 +33,7 @@ class JsonBuilder:
     def clean_metadata_for_server(self, structure: Dict[str, Any]) -> Dict[str, Any]:
         """
         Remove local file paths from metadata before sending to server.
-        Server only needs: fileName, fileId, messageId
+        Server only needs: fileName, fileId, messageId (fileSize is shown on file buttons)
         """
         cleaned = {
             'files': [],
@@ -45,7 +45,8 @@ class JsonBuilder:
             cleaned['files'].append({
                 'fileName': f.get('fileName'),
                 'fileId': f.get('fileId'),
-                'messageId': f.get('messageId')
+                'messageId': f.get('messageId'),
+                'fileSize': f.get('fileSize')
             })
         
         # Clean subfolders recursively
@@ -15,6 +15,8 @@ class UploadResult:
         self.success = False
         self.bot_id = None
         self.status = None
+        self.claim_code = None  # One-time code for /register (unclaimed bots only)
+        self.claim_expires_at = None
         self.message = ""
         self.files_uploaded = 0
         self.files_skipped = 0
@@ -31,6 +33,7 @@ class Uploader:
         channel_id: str,
         folder_path: str,
         is_update_mode: bool = False,
+        api_key: str = None,
         log_callback: Callable[[str, str], None] = None,
         progress_callback: Callable[[int, int, str], None] = None
     ):
@@ -44,7 +47,7 @@ class Uploader:
         self.telegram = TelegramAPI(bot_token)
         self.scanner = FileScanner()
         self.json_builder = JsonBuilder()
-        self.api_client = APIClient()
+        self.api_client = APIClient(api_key=api_key or None)
         
         self._cancelled = False
         self._current_structure = None
@@ -156,6 +159,9 @@ class Uploader:
             files_to_delete = []
             
             if self.is_update_mode:
+                if not self.api_client.api_key:
+                    self.log("No API key entered; the server may reject updates. Send /apikey to your bot to get one.", "warning")
+                
                 self.log("Update mode: Fetching existing metadata...", "info")
                 self._existing_metadata = self.api_client.get_bot_metadata(self.bot_token)
                 
@@ -280,6 +286,15 @@ class Uploader:
                 
                 if server_result.get('isUpdate'):
                     self.log(f"Change percentage: {server_result.get('changePercentage', 0):.1f}%", "info")
+                
+                if server_result.get('claimCode'):
+                    result.claim_code = server_result['claimCode']
+                    result.claim_expires_at = server_result.get('claimExpiresAt')
+                    self.log(
+                        f"Claim code: {result.claim_code} - send /register {result.claim_code} "
+                        f"to your bot (valid until {result.claim_expires_at})",
+                        "success"
+                    )
             else:
                 result.message = f"Server error: {server_result.get('error')}"
                 result.errors.append(result.message)